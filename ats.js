@@ -0,0 +1,463 @@
+// ATS scoring: a rule-based, reproducible score (0-100) with a
+// per-criterion breakdown. The AI resume review explains this score rather
+// than inventing its own. The section, date and keyword helpers are shared
+// with job matching and document classification.
+import { hasPhoneNumber } from "./contact.js";
+
+export const MONTHS = "jan feb mar apr may jun jul aug sep oct nov dec".split(
+  " "
+);
+
+/** Helper: trim strings, drop empties and case-insensitive duplicates. */
+export function uniqueStrings(list) {
+  const seen = new Set();
+  const out = [];
+  for (const item of Array.isArray(list) ? list : []) {
+    if (typeof item !== "string") continue;
+    const value = item.trim();
+    if (!value || seen.has(value.toLowerCase())) continue;
+    seen.add(value.toLowerCase());
+    out.push(value);
+  }
+  return out;
+}
+
+const ATS_SECTION_PATTERNS = {
+  summary:
+    /^(professional |career |executive )?(summary|profile|objective|about me)$/,
+  experience:
+    /^(work |professional |relevant )?(experience|employment( history)?|work history|internships?)$/,
+  education:
+    /^(education|academic (background|qualifications)|qualifications)$/,
+  skills:
+    /^(technical |key |core )?(skills|competencies|technologies|tech stack)( & tools| and tools)?$/,
+  projects: /^(academic |personal |key )?projects$/,
+  certifications: /^(certifications?|licen[cs]es( & certifications)?|courses)$/,
+};
+// Points per detected section (sums to the 20-point section criterion)
+const ATS_SECTION_POINTS = {
+  experience: 6,
+  education: 5,
+  skills: 5,
+  summary: 2,
+  projects: 1,
+  certifications: 1,
+};
+const ACTION_VERBS = new Set(
+  `achieved administered analyzed architected automated built championed
+  collaborated conducted consolidated coordinated created cut decreased
+  delivered deployed designed developed devised directed drove eliminated
+  engineered enhanced established executed expanded facilitated generated
+  grew headed implemented improved increased initiated integrated introduced
+  launched led maintained managed mentored migrated modernized negotiated
+  optimized orchestrated organized oversaw pioneered planned produced
+  programmed reduced redesigned refactored resolved restructured revamped
+  scaled secured simplified spearheaded streamlined supervised taught tested
+  trained transformed tripled doubled upgraded won wrote`.split(/\s+/)
+);
+const ATS_STOPWORDS = new Set(
+  `a an and are as at be by for from has have in is it its of on or our that
+  the their this to we will with you your who our all any can must should
+  may able work working team role job experience years year strong good
+  knowledge skills ability etc using use including such other also well need
+  needs looking seeking plus required preferred nice`.split(/\s+/)
+);
+const MONTH_NAME =
+  "(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?";
+const DATE_TOKEN = `(?<!\\w)(?:${MONTH_NAME}\\s*'?\\d{2,4}|\\d{1,2}[/.-]\\d{4}|\\d{4}[/.-]\\d{1,2}|(?:19|20)\\d{2})(?!\\d)`;
+export const DATE_RANGE_RE = new RegExp(
+  `(${DATE_TOKEN})\\s*(?:-|–|—|to|till|until)\\s*(${DATE_TOKEN}|present|current|now|date)`,
+  "gi"
+);
+export const BULLET_RE = /^\s*[•▪●◦‣∙·*\-–—>]\s+/;
+
+/** Helper: "Mar 2021" / "03/2021" / "2021" -> { value: 2021.17, style }. */
+export function parseAtsDate(token) {
+  const t = token.toLowerCase().trim();
+  if (/^(present|current|now|date)$/.test(t)) {
+    return { value: Infinity, style: null };
+  }
+  let m = t.match(/^([a-z]{3})[a-z]*\.?\s*'?(\d{2,4})$/);
+  if (m) {
+    const year = m[2].length === 2 ? 2000 + Number(m[2]) : Number(m[2]);
+    const month = MONTHS.indexOf(m[1]);
+    return { value: year + Math.max(0, month) / 12, style: "month-name" };
+  }
+  m = t.match(/^(\d{1,2})[/.-](\d{4})$/);
+  if (m) return { value: Number(m[2]) + (m[1] - 1) / 12, style: "numeric" };
+  m = t.match(/^(\d{4})[/.-](\d{1,2})$/);
+  if (m) return { value: Number(m[1]) + (m[2] - 1) / 12, style: "numeric" };
+  return { value: Number(t), style: "year" };
+}
+
+/** Helper: split resume text into lines tagged with the section they sit in. */
+export function splitAtsSections(text) {
+  const found = {};
+  const lines = [];
+  let current = "header";
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line) continue;
+    const heading = line
+      .replace(/^[^a-z]+|[:\s]+$/gi, "")
+      .toLowerCase()
+      .replace(/\s+/g, " ");
+    const section =
+      line.length <= 40 &&
+      Object.keys(ATS_SECTION_PATTERNS).find((key) =>
+        ATS_SECTION_PATTERNS[key].test(heading)
+      );
+    if (section) {
+      current = section;
+      found[section] = true;
+      continue;
+    }
+    lines.push({ text: line, raw, section: current });
+  }
+  return { found, lines };
+}
+
+/** Helper: bullet text: marked lines, or longer lines in experience/projects. */
+export function resumeBullets(lines) {
+  const marked = lines.filter((l) => BULLET_RE.test(l.raw));
+  return (
+    marked.length
+      ? marked
+      : lines.filter(
+          (l) =>
+            (l.section === "experience" || l.section === "projects") &&
+            l.text.split(/\s+/).length >= 6
+        )
+  ).map((l) => l.text.replace(BULLET_RE, "").trim());
+}
+
+/** Helper: the most frequent non-stopword terms of a job description. */
+export function extractJobKeywords(jobDescription, max = 25) {
+  const counts = new Map();
+  const words =
+    (jobDescription || "")
+      .toLowerCase()
+      .match(/[a-z][a-z0-9+#.]*[a-z0-9+#]|[a-z]/g) || [];
+  for (const word of words) {
+    if (word.length < 2 || ATS_STOPWORDS.has(word)) continue;
+    counts.set(word, (counts.get(word) || 0) + 1);
+  }
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, max)
+    .map(([word]) => word);
+}
+
+/** Helper: whole-word, case-insensitive occurrences of `term` in `text`. */
+export function countTerm(text, term) {
+  const escaped = term.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const re = new RegExp(`(^|[^a-z0-9+#])${escaped}(?![a-z0-9+#])`, "g");
+  return (text.toLowerCase().match(re) || []).length;
+}
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+/**
+ * Score resume text against ATS rules. Same input, same output.
+ *  - `extraction` (from extractResumeText) adds OCR/table/image signals
+ *  - `keywords` or `jobDescription` switches the keyword criterion from
+ *    "skills backed by experience" to coverage of the target terms
+ *
+ * Returns { score, maxScore, rating, words, lengthPenalty, breakdown: [{
+ * id, label, score, max, details, suggestions }] }; `score` is the
+ * breakdown total less `lengthPenalty` for resumes under 250 or over 1,200
+ * words.
+ */
+export function scoreResumeAts(
+  text,
+  { extraction = null, keywords = null, jobDescription = "" } = {}
+) {
+  const { found, lines } = splitAtsSections(text || "");
+  const lower = (text || "").toLowerCase();
+  const wordCount = (text || "").split(/\s+/).filter(Boolean).length;
+  const breakdown = [];
+  const add = (id, label, max, score, details, suggestions) =>
+    breakdown.push({
+      id,
+      label,
+      score: round1(Math.max(0, Math.min(max, score))),
+      max,
+      details,
+      suggestions: suggestions.filter(Boolean),
+    });
+
+  // 1. Sections (20)
+  const missing = Object.keys(ATS_SECTION_POINTS).filter((key) => !found[key]);
+  add(
+    "sections",
+    "Standard sections",
+    20,
+    Object.keys(ATS_SECTION_POINTS).reduce(
+      (sum, key) => sum + (found[key] ? ATS_SECTION_POINTS[key] : 0),
+      0
+    ),
+    { found: Object.keys(found), missing },
+    missing.map(
+      (key) =>
+        `Add a clearly titled "${key[0].toUpperCase()}${key.slice(1)}" section heading.`
+    )
+  );
+
+  // 2. Contact completeness (10)
+  const contact = {
+    email: /[\w.+-]+@[\w-]+\.[\w.-]+/.test(text),
+    phone: hasPhoneNumber(text),
+    link: /(linkedin\.com|github\.com|https?:\/\/|www\.)/i.test(text),
+  };
+  add(
+    "contact",
+    "Contact details",
+    10,
+    (contact.email ? 4 : 0) + (contact.phone ? 3 : 0) + (contact.link ? 3 : 0),
+    contact,
+    [
+      !contact.email && "Add a professional email address.",
+      !contact.phone && "Add a phone number with country code.",
+      !contact.link && "Add a LinkedIn or portfolio URL.",
+    ]
+  );
+
+  // 3. Date consistency (10)
+  const ranges = [...text.matchAll(DATE_RANGE_RE)].map((m) => ({
+    start: parseAtsDate(m[1]),
+    end: parseAtsDate(m[2]),
+  }));
+  const styles = {};
+  for (const r of ranges) {
+    for (const d of [r.start, r.end]) {
+      if (d.style) styles[d.style] = (styles[d.style] || 0) + 1;
+    }
+  }
+  const styleTotal = Object.values(styles).reduce((a, b) => a + b, 0);
+  const consistency = styleTotal
+    ? Math.max(...Object.values(styles)) / styleTotal
+    : 0;
+  const validRanges = ranges.filter((r) => r.end.value >= r.start.value).length;
+  let ordered = 0;
+  for (let i = 1; i < ranges.length; i++) {
+    if (ranges[i].start.value <= ranges[i - 1].start.value) ordered++;
+  }
+  const orderRatio = ranges.length > 1 ? ordered / (ranges.length - 1) : 1;
+  add(
+    "dates",
+    "Date consistency",
+    10,
+    ranges.length
+      ? 4 * consistency + 3 * (validRanges / ranges.length) + 3 * orderRatio
+      : 0,
+    {
+      ranges: ranges.length,
+      styles,
+      invalidRanges: ranges.length - validRanges,
+      reverseChronological: orderRatio === 1,
+    },
+    [
+      !ranges.length &&
+        "Add start and end dates (e.g. Jan 2021 – Present) to each role.",
+      ranges.length &&
+        consistency < 1 &&
+        "Use one date format throughout (e.g. Mar 2022).",
+      validRanges < ranges.length &&
+        "Fix date ranges whose end comes before the start.",
+      orderRatio < 1 && "List roles in reverse-chronological order.",
+    ]
+  );
+
+  const bullets = resumeBullets(lines);
+  const bulletWords = bullets.map((b) => b.split(/\s+/).length);
+
+  // 4. Bullet length (10)
+  const wellSized = bulletWords.filter((n) => n >= 8 && n <= 30).length;
+  add(
+    "bullets",
+    "Bullet length",
+    10,
+    bullets.length ? 10 * (wellSized / bullets.length) : 0,
+    {
+      bullets: bullets.length,
+      wellSized,
+      tooShort: bulletWords.filter((n) => n < 8).length,
+      tooLong: bulletWords.filter((n) => n > 30).length,
+    },
+    [
+      !bullets.length && "Describe each role with 3-6 bullet points.",
+      bulletWords.some((n) => n < 8) &&
+        "Expand very short bullets with the result you achieved.",
+      bulletWords.some((n) => n > 30) && "Split bullets longer than 30 words.",
+    ]
+  );
+
+  // 5. Action verbs (10)
+  const withVerb = bullets.filter((b) =>
+    ACTION_VERBS.has((b.match(/^[a-z]+/i) || [""])[0].toLowerCase())
+  ).length;
+  add(
+    "actionVerbs",
+    "Action verbs",
+    10,
+    bullets.length ? 10 * Math.min(1, withVerb / bullets.length / 0.8) : 0,
+    { bulletsWithActionVerb: withVerb, bullets: bullets.length },
+    [
+      withVerb < bullets.length &&
+        "Start every bullet with a strong past-tense verb (Led, Built, Reduced...).",
+    ]
+  );
+
+  // 6. Quantified achievements (10)
+  const quantified = bullets.filter((b) =>
+    /\d/.test(b.replace(new RegExp(DATE_TOKEN, "gi"), ""))
+  ).length;
+  add(
+    "quantified",
+    "Quantified achievements",
+    10,
+    bullets.length ? 10 * Math.min(1, quantified / bullets.length / 0.5) : 0,
+    { quantifiedBullets: quantified, bullets: bullets.length },
+    [
+      quantified < bullets.length / 2 &&
+        "Add numbers (%, time saved, users, revenue) to at least half of your bullets.",
+    ]
+  );
+
+  // 7. Keywords (15)
+  const targets = uniqueStrings(
+    keywords?.length ? keywords : extractJobKeywords(jobDescription)
+  );
+  if (targets.length) {
+    const hits = targets.filter((k) => countTerm(lower, k) > 0);
+    const occurrences = targets.reduce((n, k) => n + countTerm(lower, k), 0);
+    const density = wordCount ? occurrences / wordCount : 0;
+    add(
+      "keywords",
+      "Keyword match",
+      15,
+      15 * (hits.length / targets.length) - (density > 0.08 ? 3 : 0),
+      {
+        mode: "target",
+        matched: hits,
+        missing: targets.filter((k) => !hits.includes(k)),
+        density: round1(density * 100),
+      },
+      [
+        hits.length < targets.length &&
+          "Work the missing keywords into your skills and experience where they are true.",
+        density > 0.08 &&
+          "Reduce keyword repetition; it reads as keyword stuffing.",
+      ]
+    );
+  } else {
+    const skills = uniqueStrings(
+      lines
+        .filter((l) => l.section === "skills")
+        .flatMap((l) =>
+          l.text
+            .replace(BULLET_RE, "")
+            .replace(/^[^:]{1,30}:\s*/, "")
+            .split(/[,|•;/]/)
+        )
+        .map((s) => s.trim())
+        .filter((s) => s && s.length <= 40)
+    );
+    const body = lines
+      .filter((l) => l.section === "experience" || l.section === "projects")
+      .map((l) => l.text)
+      .join("\n");
+    const evidenced = skills.filter((s) => countTerm(body, s) > 0);
+    add(
+      "keywords",
+      "Skill keywords",
+      15,
+      skills.length
+        ? 7.5 * Math.min(1, skills.length / 10) +
+            7.5 * (evidenced.length / skills.length)
+        : 0,
+      {
+        mode: "profile",
+        skills: skills.length,
+        evidenced,
+        unevidenced: skills.filter((s) => !evidenced.includes(s)),
+      },
+      [
+        skills.length < 10 &&
+          "List at least 10 specific tools and technologies.",
+        evidenced.length < skills.length &&
+          "Show your listed skills in use inside experience or project bullets.",
+      ]
+    );
+  }
+
+  // 8. Parse-hostile formatting (15)
+  const layout = extraction?.layout || { tables: 0, images: 0 };
+  const pipeRows = lines.filter(
+    (l) => (l.raw.match(/\|/g) || []).length >= 2
+  ).length;
+  const gapRows = lines.filter((l) => /\S(\t|\s{4,})\S/.test(l.raw)).length;
+  const tables = layout.tables > 0 || pipeRows >= 3;
+  const columns = lines.length > 0 && gapRows / lines.length >= 0.2;
+  const imageOnly = extraction?.method === "ocr";
+  const lowQuality = extraction && extraction.quality.score < 0.8;
+  add(
+    "formatting",
+    "ATS-friendly formatting",
+    15,
+    15 -
+      (imageOnly ? 6 : 0) -
+      (!imageOnly && layout.images > 0 ? 2 : 0) -
+      (tables ? 4 : 0) -
+      (columns ? 4 : 0) -
+      (lowQuality ? 3 : 0),
+    {
+      imageOnly,
+      images: layout.images,
+      tables,
+      columns,
+      words: wordCount,
+      extractionQuality: extraction?.quality.score ?? null,
+    },
+    [
+      imageOnly &&
+        "Export the resume from a word processor so it has selectable text.",
+      !imageOnly &&
+        layout.images > 0 &&
+        "Remove images, icons and graphics; ATS parsers skip them.",
+      tables && "Replace tables with plain text lines.",
+      columns && "Use a single-column layout.",
+      lowQuality &&
+        "Avoid unusual fonts and symbols that do not extract as text.",
+      wordCount < 250 && "Add more detail; the resume is under 250 words.",
+      wordCount > 1200 && "Trim the resume to two pages (under ~1,200 words).",
+    ]
+  );
+
+  // A few lines can tick every criterion, so length scales the whole score:
+  // under 250 words keeps wordCount/250 of it (at least 40%), over 1,200
+  // words loses up to 20%
+  const lengthFactor =
+    wordCount < 250
+      ? Math.max(0.4, wordCount / 250)
+      : wordCount > 1200
+        ? Math.max(0.8, 1200 / wordCount)
+        : 1;
+  const subtotal = breakdown.reduce((sum, c) => sum + c.score, 0);
+  const score = Math.round(subtotal * lengthFactor);
+  return {
+    score,
+    maxScore: 100,
+    words: wordCount,
+    lengthPenalty: Math.round(subtotal) - score,
+    rating:
+      score >= 80
+        ? "strong"
+        : score >= 60
+          ? "fair"
+          : score >= 40
+            ? "weak"
+            : "poor",
+    breakdown,
+  };
+}
@@ -0,0 +1,21 @@
+// Contact details in resume and document text, shared by ATS scoring and
+// document classification.
+
+// Runs of digits and phone separators on one line
+const PHONE_CANDIDATE_RE = /[+(]*\d[\d \t().+-]{7,}\d/g;
+// Employment dates ("2019 - 2021", "2019.01 - 2021.03") are not phone numbers
+const YEAR_RANGE_RE =
+  /(19|20)\d{2}(?:[./]\d{1,2})?[ \t]*[-–][ \t]*(?:\d{1,2}[./])?(19|20)\d{2}/;
+
+/**
+ * True when `text` contains something shaped like a phone number: 10-15
+ * digits once spaces, dots, dashes and brackets are removed, and not a
+ * YYYY - YYYY date range.
+ */
+export function hasPhoneNumber(text) {
+  for (const [candidate] of String(text || "").matchAll(PHONE_CANDIDATE_RE)) {
+    if (YEAR_RANGE_RE.test(candidate)) continue;
+    if (/^\+?\d{10,15}$/.test(candidate.replace(/[ \t().-]/g, ""))) return true;
+  }
+  return false;
+}
@@ -0,0 +1,192 @@
+// Document classification from structural heuristics: resume / CV / cover
+// letter / job description / other, with English, Hindi and Punjabi cues.
+import { BULLET_RE, DATE_RANGE_RE } from "./ats.js";
+import { hasPhoneNumber } from "./contact.js";
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+export const DOCUMENT_TYPES = [
+  "resume",
+  "cv",
+  "cover_letter",
+  "job_description",
+  "other",
+];
+// Short heading-like lines that mark resume sections
+const RESUME_HEADING_CUES = [
+  // English
+  /\b(summary|objective|profile|experience|employment|work history|career history|internships?|education|academic|qualifications?|skills|competencies|projects|certifications?|achievements|awards|personal details|declaration|hobbies|languages known)\b/i,
+  // Hindi
+  /(सारांश|उद्देश्य|अनुभव|कार्य अनुभव|शिक्षा|शैक्षिक योग्यता|योग्यता|कौशल|परियोजना|प्रमाण ?पत्र|उपलब्धियां|उपलब्धियाँ|व्यक्तिगत विवरण|घोषणा|रुचियां|रुचियाँ)/,
+  // Punjabi
+  /(ਸਾਰ|ਉਦੇਸ਼|ਤਜਰਬਾ|ਤਜਰਬੇ|ਅਨੁਭਵ|ਸਿੱਖਿਆ|ਵਿੱਦਿਅਕ ਯੋਗਤਾ|ਯੋਗਤਾ|ਹੁਨਰ|ਪ੍ਰੋਜੈਕਟ|ਸਰਟੀਫਿਕੇਟ|ਪ੍ਰਾਪਤੀਆਂ|ਨਿੱਜੀ ਵੇਰਵੇ|ਘੋਸ਼ਣਾ)/,
+];
+const CV_CUES =
+  /\b(curriculum vitae|publications?|research (experience|interests)|conferences?|teaching experience|grants?|thesis|dissertation|fellowships?)\b/gi;
+const COVER_LETTER_CUES =
+  /(\bdear\b|hiring manager|to whom it may concern|\bsincerely\b|yours (faithfully|truly|sincerely)|\bregards\b|i am writing to|i am (excited|pleased|thrilled) to apply|thank you for (your )?(time|consideration)|महोदय|आदरणीय|भवदीय|आपका विश्वासी|सधन्यवाद|ਸ੍ਰੀਮਾਨ|ਸਤਿਕਾਰਯੋਗ|ਧੰਨਵਾਦ ਸਹਿਤ|ਆਪ ਜੀ ਦਾ)/gi;
+const JOB_DESCRIPTION_CUES =
+  /(responsibilities|requirements|we are (looking|hiring)|you will|what you('|’)ll do|about the (role|company|team)|about us|apply now|how to apply|benefits|perks|we offer|job type|employment type|salary|ctc|the ideal candidate|equal opportunity|must have|nice to have|years of experience|जिम्मेदारियां|जिम्मेदारियाँ|आवश्यकताएं|आवश्यकताएँ|वेतन|आवेदन करें|ਜ਼ਿੰਮੇਵਾਰੀਆਂ|ਲੋੜਾਂ|ਤਨਖਾਹ|ਅਪਲਾਈ ਕਰੋ)/gi;
+
+// Code points of ० (Devanagari) and ੦ (Gurmukhi); 1-9 follow each in order
+const DEVANAGARI_ZERO = 0x0966;
+const GURMUKHI_ZERO = 0x0a66;
+
+/** Helper: Devanagari/Gurmukhi digits -> ASCII so date patterns match. */
+export function normalizeIndicDigits(text) {
+  return text
+    .replace(/[०-९]/g, (d) => String(d.charCodeAt(0) - DEVANAGARI_ZERO))
+    .replace(/[੦-੯]/g, (d) => String(d.charCodeAt(0) - GURMUKHI_ZERO));
+}
+
+/**
+ * Heuristic per-type scores plus the signals behind them. Scores are
+ * normalised into probabilities; "other" keeps a fixed baseline so weak
+ * evidence does not produce a confident guess.
+ */
+export function scoreDocumentHeuristics(text) {
+  const normalized = normalizeIndicDigits(text);
+  const lines = normalized
+    .split(/\r?\n/)
+    .map((l) => l.trim())
+    .filter(Boolean);
+  const words = normalized.split(/\s+/).filter(Boolean);
+  const wordCount = words.length || 1;
+  const count = (re) => (normalized.match(re) || []).length;
+
+  const headings = lines.filter(
+    (l) =>
+      l.length <= 40 &&
+      l.split(/\s+/).length <= 5 &&
+      RESUME_HEADING_CUES.some((re) => re.test(l))
+  ).length;
+  const dateRanges = [...normalized.matchAll(DATE_RANGE_RE)].length;
+  const bullets = lines.filter((l) => BULLET_RE.test(l)).length;
+  const contact = {
+    email: /[\w.+-]+@[\w-]+\.[\w.-]+/.test(normalized),
+    phone: hasPhoneNumber(normalized),
+    link: /(linkedin\.com|github\.com)/i.test(normalized),
+  };
+  const firstPerson =
+    (normalized.match(/\b(i|my|me)\b|मैं|मेरा|मेरी|ਮੈਂ|ਮੇਰਾ|ਮੇਰੀ/gi) || [])
+      .length / wordCount;
+  const secondPerson =
+    (normalized.match(/\b(you|your|you'll)\b/gi) || []).length / wordCount;
+  const longParagraphs = normalized
+    .split(/\n\s*\n/)
+    .filter((p) => p.split(/\s+/).length >= 40).length;
+  const signals = {
+    headings,
+    dateRanges,
+    bullets,
+    contact,
+    cvCues: count(CV_CUES),
+    coverLetterCues: count(COVER_LETTER_CUES),
+    jobDescriptionCues: count(JOB_DESCRIPTION_CUES),
+    firstPerson: round1(firstPerson * 100),
+    secondPerson: round1(secondPerson * 100),
+    longParagraphs,
+    words: words.length,
+  };
+
+  const contactPoints =
+    (contact.email ? 1.5 : 0) +
+    (contact.phone ? 1 : 0) +
+    (contact.link ? 1 : 0);
+  const resume =
+    Math.min(headings, 6) * 1.5 +
+    Math.min(dateRanges, 5) +
+    Math.min(bullets, 10) * 0.3 +
+    contactPoints -
+    Math.min(signals.coverLetterCues, 4) -
+    Math.min(signals.jobDescriptionCues, 6) * 0.5;
+  const cv =
+    signals.cvCues > 0
+      ? resume * 0.6 +
+        Math.min(signals.cvCues, 6) * 1.5 +
+        (words.length > 1000 ? 2 : 0)
+      : 0;
+  const coverLetter =
+    Math.min(signals.coverLetterCues, 5) * 2 +
+    Math.min(longParagraphs, 4) +
+    (firstPerson > 0.04 ? 2 : 0) +
+    (contact.email ? 0.5 : 0) -
+    Math.min(dateRanges, 4) * 0.5;
+  const jobDescription =
+    Math.min(signals.jobDescriptionCues, 8) * 1.2 +
+    (secondPerson > 0.01 ? 2 : 0) +
+    Math.min(bullets, 10) * 0.2 -
+    (contact.phone ? 1 : 0) -
+    Math.min(dateRanges, 4) * 0.5;
+
+  const raw = {
+    resume: Math.max(0, resume),
+    cv: Math.max(0, cv),
+    cover_letter: Math.max(0, coverLetter),
+    job_description: Math.max(0, jobDescription),
+    other: 3,
+  };
+  const total = Object.values(raw).reduce((a, b) => a + b, 0);
+  const probabilities = Object.fromEntries(
+    DOCUMENT_TYPES.map((type) => [type, raw[type] / total])
+  );
+  return { probabilities, signals };
+}
+
+/**
+ * Build classifyDocument(text, { useLlm = true }), which returns { type,
+ * confidence, isResume, method, probabilities, signals }.
+ *  - classifyWithLlm(text) resolves to a { type, confidence } vote, or null
+ *    when the model is unavailable
+ *  - with `useLlm`, heuristic results below `llmThreshold` are blended with
+ *    the vote (60% model, 40% heuristics)
+ */
+export function createDocumentClassifier({
+  classifyWithLlm,
+  llmThreshold = 0.7,
+}) {
+  return async function classifyDocument(text, { useLlm = true } = {}) {
+    if (!text || text.trim().length < 50) {
+      return {
+        type: "other",
+        confidence: 1,
+        isResume: false,
+        method: "heuristic",
+        probabilities: null,
+        signals: { words: text ? text.split(/\s+/).filter(Boolean).length : 0 },
+      };
+    }
+
+    let { probabilities, signals } = scoreDocumentHeuristics(text);
+    const best = (p) =>
+      DOCUMENT_TYPES.reduce((a, b) => (p[b] > p[a] ? b : a), DOCUMENT_TYPES[0]);
+    let method = "heuristic";
+
+    if (useLlm && probabilities[best(probabilities)] < llmThreshold) {
+      const vote = await classifyWithLlm(text);
+      if (vote) {
+        const others = (1 - vote.confidence) / (DOCUMENT_TYPES.length - 1);
+        probabilities = Object.fromEntries(
+          DOCUMENT_TYPES.map((type) => [
+            type,
+            0.4 * probabilities[type] +
+              0.6 * (type === vote.type ? vote.confidence : others),
+          ])
+        );
+        method = "heuristic+llm";
+      }
+    }
+
+    const type = best(probabilities);
+    return {
+      type,
+      confidence: Number(probabilities[type].toFixed(2)),
+      isResume: type === "resume" || type === "cv",
+      method,
+      probabilities: Object.fromEntries(
+        DOCUMENT_TYPES.map((t) => [t, Number(probabilities[t].toFixed(2))])
+      ),
+      signals,
+    };
+  };
+}
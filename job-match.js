@@ -0,0 +1,188 @@
+// Resume-to-job matching: skill coverage and experience fit, computed
+// without a model so the same resume and job always score the same.
+import {
+  DATE_RANGE_RE,
+  countTerm,
+  extractJobKeywords,
+  parseAtsDate,
+  splitAtsSections,
+  uniqueStrings,
+} from "./ats.js";
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+/**
+ * Experience label for a JSearch job ("3+ years", "2-5 years", "6 months",
+ * "Entry Level", "Not Disclosed"), from its structured requirement or the
+ * description text.
+ */
+export function getExperience(job) {
+  if (!job) return "Not Disclosed";
+
+  if (job.job_required_experience) {
+    const exp = job.job_required_experience;
+    if (exp.no_experience_required) return "Entry Level";
+
+    const months = exp.required_experience_in_months;
+    if (months) {
+      if (months < 12) return `${months} months`;
+      const years = (months / 12).toFixed(1).replace(".0", "");
+      return `${years}+ years`;
+    }
+  }
+
+  if (job.job_description) {
+    const description = job.job_description.toLowerCase();
+
+    const regex =
+      /(\d[\d.,-]*\+?)\s*(to|-)?\s*(\d[\d.,-]*\+?)?\s*(year|yr|month)s?/i;
+    const match = description.match(regex);
+
+    if (match) {
+      if (match[3]) {
+        return `${match[1]}-${match[3]} ${match[4]}s`;
+      } else {
+        return `${match[1]} ${match[4]}s`;
+      }
+    }
+
+    if (
+      description.includes("entry level") ||
+      description.includes("no experience")
+    ) {
+      return "Entry Level";
+    }
+  }
+
+  return "Not Disclosed";
+}
+
+/**
+ * Helper: getExperience() labels ("3+ years", "2-5 years", "6 months",
+ * "Entry Level") as { min, max } years; max is null when open-ended.
+ */
+function parseExperienceRange(label) {
+  if (!label || label === "Not Disclosed") return null;
+  if (/entry level/i.test(label)) return { min: 0, max: 1 };
+  const m = label.match(/([\d.]+)\+?\s*(?:-\s*([\d.]+)\+?)?\s*(year|month)/i);
+  if (!m) return null;
+  const unit = /month/i.test(m[3]) ? 1 / 12 : 1;
+  return {
+    min: round1(parseFloat(m[1]) * unit),
+    max: m[2] ? round1(parseFloat(m[2]) * unit) : null,
+  };
+}
+
+/** Years covered by experience-section date ranges, overlaps merged. */
+export function estimateExperienceYears(text, now = new Date()) {
+  const { lines } = splitAtsSections(text || "");
+  const body = lines
+    .filter((l) => l.section === "experience")
+    .map((l) => l.text)
+    .join("\n");
+  const today = now.getUTCFullYear() + now.getUTCMonth() / 12;
+  const spans = [...body.matchAll(DATE_RANGE_RE)]
+    .map((m) => [
+      parseAtsDate(m[1]).value,
+      Math.min(today, parseAtsDate(m[2]).value),
+    ])
+    .filter(([start, end]) => end >= start)
+    .sort((a, b) => a[0] - b[0]);
+  if (!spans.length) return null;
+
+  let total = 0;
+  let [start, end] = spans[0];
+  for (const [s, e] of spans.slice(1)) {
+    if (s <= end) {
+      end = Math.max(end, e);
+    } else {
+      total += end - start;
+      [start, end] = [s, e];
+    }
+  }
+  return round1(total + end - start);
+}
+
+/**
+ * Compare the candidate's years with the job's required range. `fit` is
+ * "match", "slightly-under" (up to a year short), "under", "over" (more than
+ * 3 years above the maximum) or "unknown".
+ */
+export function experienceFit(requiredLabel, candidateYears) {
+  const required = parseExperienceRange(requiredLabel);
+  const result = (fit, score) => ({
+    required: requiredLabel || "Not Disclosed",
+    requiredYears: required,
+    candidateYears,
+    fit,
+    score,
+  });
+  if (!required || candidateYears == null) return result("unknown", 0.5);
+  if (candidateYears < required.min - 1) return result("under", 0.2);
+  if (candidateYears < required.min) return result("slightly-under", 0.7);
+  if (required.max != null && candidateYears > required.max + 3) {
+    return result("over", 0.7);
+  }
+  return result("match", 1);
+}
+
+/**
+ * Deterministic resume-to-job match score (0-100):
+ * 60% required-skill coverage, 15% nice-to-have coverage, 25% experience fit.
+ * Without `requiredSkills` (batch mode) the job's top keywords stand in.
+ */
+export function scoreJobMatch({
+  resumeText,
+  skills = [],
+  job,
+  requiredSkills = null,
+  niceToHaveSkills = [],
+}) {
+  const haystack = `${resumeText}\n${skills.join(", ")}`;
+  const has = (term) => countTerm(haystack, term) > 0;
+  const jobText = `${job.title || ""}\n${job.description || ""}`;
+  const required = uniqueStrings(
+    requiredSkills?.length ? requiredSkills : extractJobKeywords(jobText, 20)
+  );
+  const requiredLower = required.map((s) => s.toLowerCase());
+  const nice = uniqueStrings(niceToHaveSkills).filter(
+    (s) => !requiredLower.includes(s.toLowerCase())
+  );
+  const matchedSkills = required.filter(has);
+  const niceMatched = nice.filter(has);
+  const keywords = extractJobKeywords(jobText, 15);
+  const experience = experienceFit(
+    job.experience || getExperience({ job_description: job.description }),
+    estimateExperienceYears(resumeText)
+  );
+
+  const requiredCoverage = required.length
+    ? matchedSkills.length / required.length
+    : 0;
+  const niceCoverage = nice.length
+    ? niceMatched.length / nice.length
+    : requiredCoverage;
+  const breakdown = {
+    requiredSkills: round1(60 * requiredCoverage),
+    niceToHave: round1(15 * niceCoverage),
+    experience: round1(25 * experience.score),
+  };
+
+  return {
+    matchScore: Math.round(
+      breakdown.requiredSkills + breakdown.niceToHave + breakdown.experience
+    ),
+    breakdown,
+    matchedSkills,
+    missingSkills: required.filter((s) => !has(s)),
+    niceToHave: {
+      matched: niceMatched,
+      missing: nice.filter((s) => !has(s)),
+    },
+    keywords: {
+      matched: keywords.filter(has),
+      missing: keywords.filter((k) => !has(k)),
+    },
+    experienceFit: experience,
+  };
+}
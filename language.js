@@ -0,0 +1,442 @@
+// Language support, driven by the LANGUAGES registry: detection for user
+// messages and transcripts (native scripts as well as romanized and
+// code-mixed text like "mujhe job chahiye" or "tusi ki karde ho"), speech
+// recognition locales, text-to-speech voices and the chat reply rules.
+import { franc } from "franc";
+
+/** Helper: whitespace-separated word list -> [word, weight] pairs. */
+const words = (list, weight = 1) =>
+  list
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((word) => [word, weight]);
+
+// -----------------------------------------------------------------
+// Supported languages. Detection, STT, TTS, chat replies, cover letters and
+// the preference options all read from this table, so a new entry is picked
+// up everywhere; its romanWords still need checking against English and the
+// other vocabularies (see test/language.test.js). Fields:
+//   code, iso3        ISO 639-1 / 639-3 codes (franc reports ISO 639-3)
+//   locale            Google Speech-to-Text / Text-to-Speech language code
+//   script, range     native script name and its Unicode block
+//   letters           letters only this language uses in a shared block;
+//                     text without them is left to franc (Arabic vs Urdu)
+//   nativeWords       common words that tell languages sharing a script apart
+//   romanWords        romanized chat vocabulary (word -> weight); words that
+//                     are also everyday English ("main", "to", "par", "me")
+//                     are left out on purpose, as are names and places
+//                     ("kollam", "mala"); words another language uses too
+//                     weigh 0.5. Omit to skip romanized detection.
+//   romanSingleWord   one word is enough in a very short message ("haan
+//                     ji"); other languages need two
+//   romanHint         how romanized replies look, for the chat prompt
+//   romanFallback     vocabulary shared widely across north Indian chat;
+//                     loses ties to more specific vocabularies
+//   voices            Google TTS voice names by gender
+//   sttAlternative    offered to the recognizer as an alternative language
+// -----------------------------------------------------------------
+export const LANGUAGES = {
+  English: {
+    code: "en",
+    iso3: "eng",
+    locale: "en-IN",
+    script: "Latin",
+    voices: { female: "en-IN-Wavenet-D", male: "en-IN-Wavenet-C" },
+    sttAlternative: true,
+  },
+  Hindi: {
+    code: "hi",
+    iso3: "hin",
+    locale: "hi-IN",
+    script: "Devanagari",
+    range: /[\u0900-\u097F]/,
+    nativeWords: new Set(
+      "है हैं मुझे मेरा मेरी मेरे क्या नहीं चाहिए आप और में से हूँ हूं रहा रही कैसे".split(
+        " "
+      )
+    ),
+    romanWords: new Map(
+      words(`mujhe mujhko mera meri mere tera teri tere apna apni apne aap aapka
+      aapki aapko aapke tum tumhe tumhara tumhari hum humko hamara hamari humara
+      hamein kya kyu kyun kyon kaise kaisa kaisi kaun kab kahan kidhar kitna kitni
+      kitne nahi nahin hai hain hoon hun tha thi hoga hogi hona karna karo karke
+      kar karta karti karte raha rahi rahe sakta sakti sakte chahiye chahta chahti
+      chahte batao bataiye bataye bata dijiye kijiye liye lekin aur bhi sirf abhi
+      yeh ye woh wo vo koi kuch bahut bohot accha acha achha theek thik naukri
+      naukari kaam padhai seekhna sikhna mein ke ki ka ko se wala wali wale haan
+      ji jaldi pata samajh matlab yaar paisa paise kal aaj naam milegi milega`)
+    ),
+    romanHint: 'Hinglish, e.g. "aapke liye yeh jobs hain"',
+    romanFallback: true,
+    romanSingleWord: true,
+    voices: { female: "hi-IN-Wavenet-D", male: "hi-IN-Wavenet-C" },
+    sttAlternative: true,
+  },
+  Punjabi: {
+    code: "pa",
+    iso3: "pan",
+    locale: "pa-IN",
+    script: "Gurmukhi",
+    range: /[\u0A00-\u0A7F]/,
+    romanWords: new Map([
+      ...words(`mainu menu mennu tenu tainu tuhanu tuhadi tuhada tuhade sanu saanu
+      sadda saddi tusi tussi assi kive kiven kidda kiddan kithe ethe othe hega
+      haiga hegi chahida chahidi chahide vich wich naal karda kardi karde janda
+      jandi reha rehi hoya hoyi nokri changa changi vadhiya pher dasso daso sakda
+      sakdi sakde lagda lagdi kehnda`),
+      ...words("da di de nu hunn haal", 0.5),
+    ]),
+    romanHint: 'e.g. "tuhade layi eh jobs ne"',
+    romanSingleWord: true,
+    voices: { female: "pa-IN-Wavenet-A", male: "pa-IN-Wavenet-B" },
+    sttAlternative: true,
+  },
+  Bengali: {
+    code: "bn",
+    iso3: "ben",
+    locale: "bn-IN",
+    script: "Bengali",
+    range: /[\u0980-\u09FF]/,
+    romanWords: new Map(
+      words(`amake amader tumi tomar tomake apnar apnake kemon kothay keno
+      chakri korte korbo korchi korben bolun janina hobe achhe bhalo onek ektu
+      kichu dorkar`)
+    ),
+    romanHint: 'e.g. "apnar jonno ei chakri gulo ache"',
+    voices: { female: "bn-IN-Wavenet-A", male: "bn-IN-Wavenet-B" },
+  },
+  Marathi: {
+    code: "mr",
+    iso3: "mar",
+    locale: "mr-IN",
+    script: "Devanagari",
+    range: /[\u0900-\u097F]/,
+    nativeWords: new Set(
+      "आहे आहेत मला तुम्हाला तुम्ही माझा माझी माझे आणि नाही पाहिजे हवी हवा हवे काय कसे कुठे शकता".split(
+        " "
+      )
+    ),
+    romanWords: new Map(
+      words(`tumhala amhala aahe aahet ahe ahet pahije pahijet majha majhi majhe
+      tumcha tumchi tumche karaycha karaychi karayche sangal kuthe kevha khup
+      havi`)
+    ),
+    romanHint: 'e.g. "tumchyasathi ya jobs aahet"',
+    voices: { female: "mr-IN-Wavenet-A", male: "mr-IN-Wavenet-B" },
+  },
+  Gujarati: {
+    code: "gu",
+    iso3: "guj",
+    locale: "gu-IN",
+    script: "Gujarati",
+    range: /[\u0A80-\u0AFF]/,
+    romanWords: new Map(
+      words(`tamne tamaru tamari kevi kyare joiye chhe nathi karvu karvanu
+      majama ghanu`)
+    ),
+    romanHint: 'e.g. "tamara mate aa jobs che"',
+    voices: { female: "gu-IN-Wavenet-A", male: "gu-IN-Wavenet-B" },
+  },
+  Tamil: {
+    code: "ta",
+    iso3: "tam",
+    locale: "ta-IN",
+    script: "Tamil",
+    range: /[\u0B80-\u0BFF]/,
+    romanWords: new Map([
+      ...words(`enakku unakku ungalukku neenga epdi eppadi venum vendum illai
+      irukku irukkanga pannunga sollunga theriyuma theriyala velai romba
+      konjam`),
+      ...words("illa", 0.5),
+    ]),
+    romanHint: 'e.g. "ungalukku indha velai irukku"',
+    voices: { female: "ta-IN-Wavenet-A", male: "ta-IN-Wavenet-B" },
+  },
+  Telugu: {
+    code: "te",
+    iso3: "tel",
+    locale: "te-IN",
+    script: "Telugu",
+    range: /[\u0C00-\u0C7F]/,
+    romanWords: new Map(
+      words(`naaku meeku nenu meeru ekkada kavali kaavali ledu unnayi cheyyali
+      cheppandi chesthunnanu udyogam baagundi bagundi konchem`)
+    ),
+    romanHint: 'e.g. "meeku ee udyogalu unnayi"',
+    voices: { female: "te-IN-Standard-A", male: "te-IN-Standard-B" },
+  },
+  Kannada: {
+    code: "kn",
+    iso3: "kan",
+    locale: "kn-IN",
+    script: "Kannada",
+    range: /[\u0C80-\u0CFF]/,
+    romanWords: new Map([
+      ...words(`nanage nange nimage naanu neevu yenu hege hegide yavaga beku
+      bekagide kelasa chennagide swalpa`),
+      ...words("illa", 0.5),
+    ]),
+    romanHint: 'e.g. "nimage ee kelasagalu ive"',
+    voices: { female: "kn-IN-Wavenet-A", male: "kn-IN-Wavenet-B" },
+  },
+  Malayalam: {
+    code: "ml",
+    iso3: "mal",
+    locale: "ml-IN",
+    script: "Malayalam",
+    range: /[\u0D00-\u0D7F]/,
+    romanWords: new Map([
+      ...words(`enikku ninakku ningalkku njan ningal entha enthanu engane evide
+      eppol venam cheyyanam parayu nannayi valare kurachu`),
+      ...words("illa", 0.5),
+    ]),
+    romanHint: 'e.g. "ningalkku ee jolikal undu"',
+    voices: { female: "ml-IN-Wavenet-A", male: "ml-IN-Wavenet-B" },
+  },
+  Urdu: {
+    code: "ur",
+    iso3: "urd",
+    locale: "ur-IN",
+    script: "Perso-Arabic (Nastaliq)",
+    range: /[\u0600-\u06FF\u0750-\u077F]/,
+    // ٹ ڈ ڑ ں ھ ہ ے: not used in Arabic or Persian
+    letters: /[\u0679\u0688\u0691\u06BA\u06BE\u06C1\u06D2]/,
+    // Romanized Urdu reads like Hinglish, which the Hindi entry covers
+    voices: { female: "ur-IN-Wavenet-A", male: "ur-IN-Wavenet-B" },
+  },
+};
+
+/** Names of all supported languages, in registry order. */
+export const SUPPORTED_LANGUAGES = Object.keys(LANGUAGES);
+
+const ENGLISH_WORDS = new Set(
+  `the a an is are am was were i you he she it we they my your our their for
+  of in on at to and or with this that what how why when where can could
+  please want need looking job jobs help me about have has do does be will
+  would should find tell give show hello hi hey thanks ok okay yes no sir`
+    .split(/\s+/)
+    .filter(Boolean)
+);
+// Share of romanized Indian-language words needed before a Latin-script
+// message is treated as that language rather than English
+const ROMAN_INDIC_MIN_SHARE = 0.2;
+// Google STT accepts at most three alternative language codes
+const STT_MAX_ALTERNATIVES = 3;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Resolve a language name, ISO code or locale ("Tamil", "ta", "tam",
+ * "ta-IN") to its registry name; null when unsupported.
+ */
+export function findLanguage(value) {
+  if (!value) return null;
+  const v = String(value).trim().toLowerCase();
+  return (
+    SUPPORTED_LANGUAGES.find((name) => {
+      const { code, iso3, locale } = LANGUAGES[name];
+      return (
+        name.toLowerCase() === v ||
+        code === v ||
+        iso3 === v ||
+        locale.toLowerCase() === v
+      );
+    }) || null
+  );
+}
+
+/**
+ * Speech locale for a requested language ("Tamil", "ta" or "ta-IN" ->
+ * "ta-IN"). Other locales such as "en-US" pass through unchanged; empty
+ * input gives `fallback`.
+ */
+export function languageLocale(value, fallback = LANGUAGES.English.locale) {
+  const raw = String(value || "").trim();
+  if (!raw) return fallback;
+  const name = findLanguage(raw);
+  return name ? LANGUAGES[name].locale : raw;
+}
+
+/** Alternative language codes to recognize alongside `primaryLocale`. */
+export function sttAlternativeLanguageCodes(primaryLocale) {
+  const primary = String(primaryLocale || "").toLowerCase();
+  return SUPPORTED_LANGUAGES.filter((name) => LANGUAGES[name].sttAlternative)
+    .map((name) => LANGUAGES[name].locale)
+    .filter((locale) => locale.toLowerCase() !== primary)
+    .slice(0, STT_MAX_ALTERNATIVES);
+}
+
+/**
+ * Helper: pick among languages sharing a native script by counting their
+ * `nativeWords`; ties go to the first in registry order.
+ */
+function pickByNativeWords(candidates, tokens) {
+  let best = candidates[0];
+  let bestHits = 0;
+  for (const name of candidates) {
+    const hints = LANGUAGES[name].nativeWords;
+    const hits = hints ? tokens.filter((token) => hints.has(token)).length : 0;
+    if (hits > bestHits) {
+      best = name;
+      bestHits = hits;
+    }
+  }
+  return best;
+}
+
+/**
+ * Detect the language of a message. Returns { language (a LANGUAGES name),
+ * confidence (0-1), script: "native" | "roman", codeMixed, signals }.
+ * `script` is "roman" for Indian languages written in Latin letters;
+ * `codeMixed` means English words are mixed in.
+ */
+export function detectLanguage(message) {
+  const tokens =
+    typeof message === "string"
+      ? message.toLowerCase().match(/[\p{L}\p{M}]+/gu) || []
+      : [];
+  // native: words per script; roman: romanized vocabulary score per language
+  const signals = { latin: 0, english: 0, native: {}, roman: {} };
+  const nativeTokens = {};
+  for (const token of tokens) {
+    if (/[a-z]/.test(token)) {
+      signals.latin += 1;
+      if (ENGLISH_WORDS.has(token)) signals.english += 1;
+      for (const name of SUPPORTED_LANGUAGES) {
+        const weight = LANGUAGES[name].romanWords?.get(token);
+        if (weight) signals.roman[name] = (signals.roman[name] || 0) + weight;
+      }
+      continue;
+    }
+    const name = SUPPORTED_LANGUAGES.find((n) =>
+      LANGUAGES[n].range?.test(token)
+    );
+    if (name) {
+      const { script } = LANGUAGES[name];
+      signals.native[script] = (signals.native[script] || 0) + 1;
+      (nativeTokens[script] ||= []).push(token);
+    }
+  }
+  const result = (language, confidence, script, codeMixed) => ({
+    language,
+    confidence: round2(confidence),
+    script,
+    codeMixed,
+    signals,
+  });
+
+  // Native script: the most used script decides; languages sharing it
+  // (Hindi/Marathi) are told apart by their common words
+  const scripts = Object.keys(signals.native);
+  if (scripts.length) {
+    const script = scripts.reduce((a, b) =>
+      signals.native[b] > signals.native[a] ? b : a
+    );
+    const native = scripts.reduce((sum, s) => sum + signals.native[s], 0);
+    const candidates = SUPPORTED_LANGUAGES.filter(
+      (name) =>
+        LANGUAGES[name].script === script &&
+        (!LANGUAGES[name].letters ||
+          nativeTokens[script].some((t) => LANGUAGES[name].letters.test(t)))
+    );
+    const share = native / (native + signals.latin);
+    if (candidates.length) {
+      return result(
+        pickByNativeWords(candidates, nativeTokens[script]),
+        0.6 + 0.4 * share,
+        "native",
+        signals.latin / (native + signals.latin) >= ROMAN_INDIC_MIN_SHARE
+      );
+    }
+  }
+
+  // Romanized: enough vocabulary of one language among the Latin words. A
+  // single word only counts in very short, English-free messages like "haan
+  // ji", and only for romanSingleWord languages; such guesses stay near 0.5.
+  const [romanLanguage, indic = 0] =
+    Object.entries(signals.roman).sort(
+      ([nameA, a], [nameB, b]) =>
+        b - a ||
+        Boolean(LANGUAGES[nameA].romanFallback) -
+          Boolean(LANGUAGES[nameB].romanFallback)
+    )[0] || [];
+  const singleWord =
+    indic >= 1 &&
+    signals.latin <= 2 &&
+    signals.english === 0 &&
+    LANGUAGES[romanLanguage].romanSingleWord;
+  if (
+    (indic >= 2 || singleWord) &&
+    indic >= ROMAN_INDIC_MIN_SHARE * signals.latin
+  ) {
+    const confidence = 0.5 + 0.45 * (indic / (indic + signals.english));
+    return result(
+      romanLanguage,
+      indic >= 2 ? confidence : Math.min(0.55, confidence),
+      "roman",
+      signals.english > 0
+    );
+  }
+
+  if (signals.latin) {
+    return result(
+      "English",
+      Math.min(0.95, 0.6 + 0.1 * signals.english),
+      "native",
+      false
+    );
+  }
+  try {
+    const name = findLanguage(franc(message || ""));
+    if (name) return result(name, 0.6, "native", false);
+  } catch (e) {}
+  return result("English", 0.5, "native", false);
+}
+
+/** A LANGUAGES name ("English", "Hindi", ...); English when unsure. */
+export function detectLanguageSimple(message) {
+  if (!message || typeof message !== "string" || message.trim() === "")
+    return "English";
+  return detectLanguage(message).language;
+}
+
+/** Allowed values for users/{uid}.languagePreference. */
+export const LANGUAGE_PREFERENCE_OPTIONS = {
+  language: ["auto", ...SUPPORTED_LANGUAGES],
+  script: ["auto", "native", "roman"],
+};
+
+/**
+ * Decide the reply language and script from the detection result and the
+ * user's stored preference ({ language, script }, each "auto" when unset).
+ * An explicit language overrides detection. English, and languages without
+ * romanized vocabulary, are always "native".
+ */
+export function resolveResponseLanguage(detection, preference) {
+  const detected = detection?.language || "English";
+  const preferred = preference?.language;
+  const overridden =
+    preferred !== "auto" && Object.hasOwn(LANGUAGES, preferred || "");
+  const response = overridden ? preferred : detected;
+
+  let script = "native";
+  if (LANGUAGES[response]?.romanWords) {
+    if (["native", "roman"].includes(preference?.script)) {
+      script = preference.script;
+    } else if (response === detected) {
+      script = detection?.script || "native";
+    }
+  }
+  return { response, script, overridden };
+}
+
+/** Prompt line telling the model which language and script to write in. */
+export function scriptInstruction(language, script) {
+  const lang = LANGUAGES[language];
+  if (!lang || language === "English") return "Write the reply in English.";
+  if (script === "roman" && lang.romanWords) {
+    const hint = lang.romanHint ? ` (${lang.romanHint})` : "";
+    return `Write the reply in ${language} using Roman letters${hint}; common English job terms may stay in English.`;
+  }
+  return `Write the reply in ${language} using ${lang.script} script.`;
+}
@@ -0,0 +1,298 @@
+// LLM provider adapters. Each provider maps the OpenAI chat-completions
+// request, response and stream-chunk shapes to its own API, so the model
+// chain in server.js stays provider-agnostic.
+
+// OpenAI models that accept response_format "json_schema" (older ones are
+// sent "json_object" instead)
+const OPENAI_JSON_SCHEMA_MODELS = /^(gpt-4o|gpt-4\.1|gpt-5|o\d)/;
+// Anthropic has no JSON mode: structured output becomes a forced tool call
+const ANTHROPIC_STRUCTURED_TOOL = "structured_output";
+
+function safeJsonParse(text, fallback = {}) {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return fallback;
+  }
+}
+
+/**
+ * Anthropic Messages API mapping: system messages become `system`, assistant
+ * tool_calls become `tool_use` blocks and `tool` messages become `tool_result`
+ * blocks on a user turn.
+ */
+export function toAnthropicRequest(body) {
+  const system = [];
+  const messages = [];
+  for (const m of body.messages) {
+    if (m.role === "system") {
+      system.push(m.content);
+    } else if (m.role === "tool") {
+      const block = {
+        type: "tool_result",
+        tool_use_id: m.tool_call_id,
+        content: m.content,
+      };
+      const last = messages[messages.length - 1];
+      if (
+        last?.role === "user" &&
+        Array.isArray(last.content) &&
+        last.content.every((b) => b.type === "tool_result")
+      ) {
+        last.content.push(block);
+      } else {
+        messages.push({ role: "user", content: [block] });
+      }
+    } else if (m.role === "assistant") {
+      const content = [];
+      if (m.content) content.push({ type: "text", text: m.content });
+      for (const tc of m.tool_calls || []) {
+        content.push({
+          type: "tool_use",
+          id: tc.id,
+          name: tc.function.name,
+          input: safeJsonParse(tc.function.arguments),
+        });
+      }
+      messages.push({ role: "assistant", content });
+    } else {
+      messages.push({ role: "user", content: m.content });
+    }
+  }
+
+  const request = {
+    model: body.model,
+    messages,
+    max_tokens: body.max_tokens || 4096,
+    temperature: Math.min(body.temperature ?? 0.5, 1),
+  };
+  if (system.length) request.system = system.join("\n\n");
+  if (body.stream) request.stream = true;
+  if (body.tools) {
+    request.tools = body.tools.map((t) => ({
+      name: t.function.name,
+      description: t.function.description,
+      input_schema: t.function.parameters,
+    }));
+    const choice = body.tool_choice;
+    if (choice === "none") request.tool_choice = { type: "none" };
+    else if (choice === "required") request.tool_choice = { type: "any" };
+    else if (choice?.function?.name)
+      request.tool_choice = { type: "tool", name: choice.function.name };
+    else request.tool_choice = { type: "auto" };
+  } else if (body.response_format?.type === "json_schema") {
+    request.tools = [
+      {
+        name: ANTHROPIC_STRUCTURED_TOOL,
+        description: "Return the final answer as structured JSON.",
+        input_schema: body.response_format.json_schema.schema,
+      },
+    ];
+    request.tool_choice = { type: "tool", name: ANTHROPIC_STRUCTURED_TOOL };
+  }
+  return request;
+}
+
+const ANTHROPIC_STOP_REASONS = {
+  end_turn: "stop",
+  stop_sequence: "stop",
+  max_tokens: "length",
+  tool_use: "tool_calls",
+};
+
+/** Anthropic Messages response -> OpenAI chat-completion shaped object. */
+export function fromAnthropicResponse(data) {
+  const blocks = data?.content || [];
+  const structured = blocks.find(
+    (b) => b.type === "tool_use" && b.name === ANTHROPIC_STRUCTURED_TOOL
+  );
+  const text = structured
+    ? JSON.stringify(structured.input)
+    : blocks
+        .filter((b) => b.type === "text")
+        .map((b) => b.text)
+        .join("");
+  const toolCalls = blocks
+    .filter((b) => b.type === "tool_use" && b !== structured)
+    .map((b) => ({
+      id: b.id,
+      type: "function",
+      function: { name: b.name, arguments: JSON.stringify(b.input || {}) },
+    }));
+  const promptTokens = data?.usage?.input_tokens || 0;
+  const completionTokens = data?.usage?.output_tokens || 0;
+  return {
+    id: data?.id,
+    model: data?.model,
+    choices: [
+      {
+        index: 0,
+        message: {
+          role: "assistant",
+          content: text || (toolCalls.length ? null : ""),
+          ...(toolCalls.length && { tool_calls: toolCalls }),
+        },
+        finish_reason: structured
+          ? "stop"
+          : ANTHROPIC_STOP_REASONS[data?.stop_reason] || "stop",
+      },
+    ],
+    usage: {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens,
+    },
+  };
+}
+
+/**
+ * Anthropic SSE events -> OpenAI-style stream chunks (stateful per stream:
+ * content block indexes are mapped to tool_call indexes).
+ */
+export function createAnthropicStreamMapper() {
+  const toolIndexByBlock = {};
+  let toolCount = 0;
+  let promptTokens = 0;
+  return (event) => {
+    switch (event.type) {
+      case "message_start":
+        promptTokens = event.message?.usage?.input_tokens || 0;
+        return null;
+      case "content_block_start":
+        if (event.content_block?.type !== "tool_use") return null;
+        toolIndexByBlock[event.index] = toolCount++;
+        return {
+          choices: [
+            {
+              delta: {
+                tool_calls: [
+                  {
+                    index: toolIndexByBlock[event.index],
+                    id: event.content_block.id,
+                    type: "function",
+                    function: { name: event.content_block.name, arguments: "" },
+                  },
+                ],
+              },
+            },
+          ],
+        };
+      case "content_block_delta":
+        if (event.delta?.type === "text_delta") {
+          return { choices: [{ delta: { content: event.delta.text } }] };
+        }
+        if (event.delta?.type === "input_json_delta") {
+          return {
+            choices: [
+              {
+                delta: {
+                  tool_calls: [
+                    {
+                      index: toolIndexByBlock[event.index],
+                      function: { arguments: event.delta.partial_json },
+                    },
+                  ],
+                },
+              },
+            ],
+          };
+        }
+        return null;
+      case "message_delta": {
+        const completionTokens = event.usage?.output_tokens || 0;
+        return {
+          choices: [
+            {
+              delta: {},
+              finish_reason:
+                ANTHROPIC_STOP_REASONS[event.delta?.stop_reason] || "stop",
+            },
+          ],
+          usage: {
+            prompt_tokens: promptTokens,
+            completion_tokens: completionTokens,
+            total_tokens: promptTokens + completionTokens,
+          },
+        };
+      }
+      case "error":
+        throw new Error(event.error?.message || "Anthropic stream error.");
+      default:
+        return null;
+    }
+  };
+}
+
+/**
+ * Build a provider from its config. A provider exposes:
+ *  - buildRequest(body) -> { url, headers, body } for an OpenAI-shaped body
+ *  - parseResponse(json) -> OpenAI chat-completion shaped object
+ *  - createStreamMapper() -> (event) => OpenAI stream chunk | null
+ */
+export function createProvider(name, config) {
+  const apiKey =
+    config.apiKey || (config.apiKeyEnv ? process.env[config.apiKeyEnv] : null);
+  const baseUrl = (config.baseUrl || "").replace(/\/+$/, "");
+  const identity = (x) => x;
+
+  switch (config.type) {
+    case "openai":
+    case "openai-compatible":
+      return {
+        name,
+        type: config.type,
+        // Local servers (Ollama, llama.cpp) usually need no key
+        configured: Boolean(baseUrl && (apiKey || config.type !== "openai")),
+        buildRequest: (body) => ({
+          url: `${baseUrl}/chat/completions`,
+          headers: {
+            "Content-Type": "application/json",
+            ...(apiKey && { Authorization: `Bearer ${apiKey}` }),
+          },
+          body:
+            config.type === "openai" &&
+            body.response_format?.type === "json_schema" &&
+            !OPENAI_JSON_SCHEMA_MODELS.test(body.model)
+              ? { ...body, response_format: { type: "json_object" } }
+              : body,
+        }),
+        parseResponse: identity,
+        createStreamMapper: () => identity,
+      };
+    case "azure":
+      return {
+        name,
+        type: config.type,
+        configured: Boolean(baseUrl && apiKey),
+        // Azure addresses models by deployment name
+        buildRequest: ({ model, ...body }) => ({
+          url: `${baseUrl}/openai/deployments/${encodeURIComponent(
+            model
+          )}/chat/completions?api-version=${config.apiVersion || "2024-10-21"}`,
+          headers: { "Content-Type": "application/json", "api-key": apiKey },
+          body,
+        }),
+        parseResponse: identity,
+        createStreamMapper: () => identity,
+      };
+    case "anthropic":
+      return {
+        name,
+        type: config.type,
+        configured: Boolean(baseUrl && apiKey),
+        buildRequest: (body) => ({
+          url: `${baseUrl}/messages`,
+          headers: {
+            "Content-Type": "application/json",
+            "x-api-key": apiKey,
+            "anthropic-version": config.apiVersion || "2023-06-01",
+          },
+          body: toAnthropicRequest(body),
+        }),
+        parseResponse: fromAnthropicResponse,
+        createStreamMapper: createAnthropicStreamMapper,
+      };
+    default:
+      throw new Error(`Unknown LLM provider type "${config.type}" for ${name}`);
+  }
+}
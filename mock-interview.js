@@ -0,0 +1,315 @@
+// Mock interview analysis: timed, speaker-tagged words from long-running
+// recognition -> speaker turns, question/answer pairs, and pace, filler-word
+// and pause metrics for the candidate.
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+// Gaps between words shorter than PAUSE_MIN_SEC are normal speech rhythm
+const PAUSE_MIN_SEC = 0.7;
+const LONG_PAUSE_SEC = 2;
+// Words per minute while speaking
+const PACE_RANGE = { slow: 110, fast: 160 };
+// Disfluencies only (hesitation sounds, Hindi/Punjabi "matlab", "yaani"):
+// "like", "actually" or "kind of" are too often ordinary words to count
+const FILLER_WORDS = new Set([
+  "um",
+  "umm",
+  "uh",
+  "uhh",
+  "erm",
+  "hmm",
+  "matlab",
+  "yaani",
+  "मतलब",
+  "यानी",
+  "हम्म",
+  "अं",
+  "ਮਤਲਬ",
+  "ਹੰਮ",
+]);
+// Scripted two-speaker interview returned under STT_MOCK
+const MOCK_INTERVIEW_SCRIPT = [
+  [1, "Tell me about yourself."],
+  [
+    2,
+    "Um I am a software developer with three years of experience, basically in Node and React.",
+  ],
+  [1, "Why do you want to join our company?"],
+  [2, "I like your product and uh I want to work on like large scale systems."],
+];
+
+/** Helper: seconds from a protobuf Duration ({ seconds, nanos }). */
+function protoSeconds(duration) {
+  if (!duration) return 0;
+  return Number(duration.seconds || 0) + (duration.nanos || 0) / 1e9;
+}
+
+/** Length of an Ogg Opus file from its last page's granule position. */
+export function oggOpusDurationSec(buffer) {
+  const head = buffer.indexOf("OpusHead");
+  const lastPage = buffer.lastIndexOf("OggS");
+  if (head < 0 || lastPage < 0 || lastPage + 14 > buffer.length) return null;
+  const preSkip = buffer.readUInt16LE(head + 10);
+  // Opus granule positions always count 48 kHz samples
+  const granule = Number(buffer.readBigInt64LE(lastPage + 6));
+  return Math.max(0, (granule - preSkip) / 48000);
+}
+
+/**
+ * Results from longRunningRecognize -> [{ word, start, end, speaker }].
+ * With diarization Google repeats every word, speaker-tagged, in the last
+ * result; otherwise words are spread over the results and speaker is 1.
+ */
+export function collectTimedWords(results) {
+  const toWord = (w) => ({
+    word: w.word,
+    start: Math.round(protoSeconds(w.startTime) * 100) / 100,
+    end: Math.round(protoSeconds(w.endTime) * 100) / 100,
+    speaker: w.speakerTag || 1,
+  });
+  const last = results?.[results.length - 1]?.alternatives?.[0]?.words || [];
+  if (last.some((w) => w.speakerTag)) return last.map(toWord);
+  return (results || []).flatMap((r) =>
+    (r.alternatives?.[0]?.words || []).map(toWord)
+  );
+}
+
+/** Helper: consecutive words by the same speaker -> speaker turns. */
+function buildSpeakerTurns(words) {
+  const turns = [];
+  for (const w of words) {
+    const turn = turns[turns.length - 1];
+    if (turn && turn.speaker === w.speaker) {
+      turn.end = w.end;
+      turn.text += ` ${w.word}`;
+      turn.wordCount += 1;
+    } else {
+      turns.push({
+        speaker: w.speaker,
+        start: w.start,
+        end: w.end,
+        text: w.word,
+        wordCount: 1,
+      });
+    }
+  }
+  return turns;
+}
+
+/** Helper: lower-case a word and strip surrounding punctuation. */
+function normalizeSpokenWord(word) {
+  return String(word)
+    .toLowerCase()
+    .replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, "");
+}
+
+/**
+ * Pace, filler-word and pause metrics for one speaker's timed words. Pace
+ * counts speaking time only; gaps are pauses only within a turn (`turn`).
+ */
+export function speechMetrics(words) {
+  const tokens = words.map((w) => normalizeSpokenWord(w.word));
+  const fillerCounts = {};
+  for (const token of tokens) {
+    if (FILLER_WORDS.has(token)) {
+      fillerCounts[token] = (fillerCounts[token] || 0) + 1;
+    }
+  }
+  const fillerTotal = Object.values(fillerCounts).reduce((a, b) => a + b, 0);
+
+  const gaps = [];
+  let speakingSec = 0;
+  for (let i = 0; i < words.length; i++) {
+    speakingSec += words[i].end - words[i].start;
+    // Silence while someone else has the floor is not a pause
+    if (i === 0 || words[i].turn !== words[i - 1].turn) continue;
+    const gap = words[i].start - words[i - 1].end;
+    if (gap >= PAUSE_MIN_SEC) gaps.push(gap);
+    else if (gap > 0) speakingSec += gap;
+  }
+  const pauseSec = gaps.reduce((a, b) => a + b, 0);
+  const wordsPerMinute = speakingSec
+    ? Math.round(words.length / (speakingSec / 60))
+    : 0;
+
+  return {
+    wordCount: words.length,
+    speakingSec: round1(speakingSec),
+    wordsPerMinute,
+    pace: !wordsPerMinute
+      ? "unknown"
+      : wordsPerMinute < PACE_RANGE.slow
+        ? "slow"
+        : wordsPerMinute > PACE_RANGE.fast
+          ? "fast"
+          : "good",
+    fillers: {
+      count: fillerTotal,
+      per100Words: words.length
+        ? round1((fillerTotal / words.length) * 100)
+        : 0,
+      terms: Object.entries(fillerCounts)
+        .sort((a, b) => b[1] - a[1])
+        .map(([term, count]) => ({ term, count })),
+    },
+    pauses: {
+      count: gaps.length,
+      longCount: gaps.filter((g) => g >= LONG_PAUSE_SEC).length,
+      longestSec: round1(gaps.length ? Math.max(...gaps) : 0),
+      totalSec: round1(pauseSec),
+    },
+  };
+}
+
+/** One-line summary of speechMetrics for the feedback prompt. */
+export function describeDelivery(metrics) {
+  const fillers = metrics.fillers.terms.map((f) => f.term).slice(0, 3);
+  return [
+    `${metrics.wordsPerMinute} words per minute (${metrics.pace})`,
+    `${metrics.fillers.count} filler words${fillers.length ? ` (${fillers.join(", ")})` : ""}`,
+    `${metrics.pauses.longCount} pauses over ${LONG_PAUSE_SEC}s (longest ${metrics.pauses.longestSec}s)`,
+  ].join(", ");
+}
+
+/**
+ * Helper: pair questions with the candidate's answers.
+ * - Questions with `startSec` split the candidate's words by time.
+ * - Otherwise, with two or more speakers, each interviewer turn is a
+ *   question and the candidate's speech until the next one its answer.
+ * - Otherwise the whole recording answers `questions[0]` (if given).
+ */
+function splitAnswersByQuestion({ words, turns, questions, candidateSpeaker }) {
+  const candidateWords = words.filter((w) => w.speaker === candidateSpeaker);
+  const answer = (question, answerWords, start, end) => ({
+    question,
+    start,
+    end,
+    answer: answerWords.map((w) => w.word).join(" "),
+    words: answerWords,
+  });
+
+  if (questions.length && questions.every((q) => Number.isFinite(q.startSec))) {
+    const timed = [...questions].sort((a, b) => a.startSec - b.startSec);
+    return timed.map((q, i) => {
+      const end = timed[i + 1]?.startSec ?? Infinity;
+      const inRange = candidateWords.filter(
+        (w) => w.start >= q.startSec && w.start < end
+      );
+      return answer(
+        q.question,
+        inRange,
+        q.startSec,
+        inRange.length ? inRange[inRange.length - 1].end : q.startSec
+      );
+    });
+  }
+
+  if (new Set(words.map((w) => w.speaker)).size > 1) {
+    const answers = [];
+    for (const turn of turns) {
+      if (turn.speaker !== candidateSpeaker) {
+        answers.push({ question: turn.text, start: turn.end, words: [] });
+      } else if (answers.length) {
+        answers[answers.length - 1].words.push(
+          ...words.filter(
+            (w) =>
+              w.speaker === candidateSpeaker &&
+              w.start >= turn.start &&
+              w.end <= turn.end
+          )
+        );
+      }
+    }
+    return answers
+      .filter((a) => a.words.length)
+      .map((a) =>
+        answer(a.question, a.words, a.start, a.words[a.words.length - 1].end)
+      );
+  }
+
+  if (!candidateWords.length) return [];
+  return [
+    answer(
+      questions[0]?.question || "Overall interview",
+      candidateWords,
+      candidateWords[0].start,
+      candidateWords[candidateWords.length - 1].end
+    ),
+  ];
+}
+
+/**
+ * Analyse a transcribed mock interview. `candidateSpeaker` defaults to the
+ * speaker with the most words. Returns { transcript: { text, turns, words },
+ * candidateSpeaker, speakers: [{ speaker, role, metrics }], metrics,
+ * answers: [{ question, start, end, answer, metrics }] }.
+ */
+export function analyzeMockInterview({
+  words,
+  questions = [],
+  candidateSpeaker = null,
+}) {
+  const turns = buildSpeakerTurns(words);
+  let turn = 0;
+  const turnWords = words.map((w, i) => {
+    if (i && w.speaker !== words[i - 1].speaker) turn += 1;
+    return { ...w, turn };
+  });
+  const wordsBySpeaker = {};
+  for (const w of turnWords) (wordsBySpeaker[w.speaker] ||= []).push(w);
+  const speakerIds = Object.keys(wordsBySpeaker).map(Number);
+  const candidate =
+    candidateSpeaker && wordsBySpeaker[candidateSpeaker]
+      ? candidateSpeaker
+      : speakerIds.sort(
+          (a, b) => wordsBySpeaker[b].length - wordsBySpeaker[a].length
+        )[0] || 1;
+
+  const answers = splitAnswersByQuestion({
+    words: turnWords,
+    turns,
+    questions,
+    candidateSpeaker: candidate,
+  }).map(({ words: answerWords, ...rest }) => ({
+    ...rest,
+    metrics: speechMetrics(answerWords),
+  }));
+
+  return {
+    transcript: {
+      text: turns.map((t) => t.text).join("\n"),
+      turns,
+      words,
+    },
+    candidateSpeaker: candidate,
+    speakers: speakerIds.map((speaker) => ({
+      speaker,
+      role:
+        speakerIds.length > 1 && speaker !== candidate
+          ? "interviewer"
+          : "candidate",
+      metrics: speechMetrics(wordsBySpeaker[speaker]),
+    })),
+    metrics: speechMetrics(wordsBySpeaker[candidate] || []),
+    answers,
+  };
+}
+
+/** MOCK_INTERVIEW_SCRIPT as diarized, timed words (for STT_MOCK). */
+export function mockLongRecognizeWords() {
+  const words = [];
+  let clock = 0.5;
+  for (const [speaker, line] of MOCK_INTERVIEW_SCRIPT) {
+    for (const word of line.split(" ")) {
+      words.push({
+        word,
+        start: round1(clock),
+        end: round1(clock + 0.3),
+        speaker,
+      });
+      clock += 0.4;
+    }
+    clock += 1.5; // turn-taking pause
+  }
+  return words;
+}
@@ -7,16 +7,76 @@ import multer from "multer";
 import fs from "fs";
 import path from "path";
 import speech from "@google-cloud/speech";
+import textToSpeech from "@google-cloud/text-to-speech";
 import admin from "firebase-admin";
 import { URL } from "url";
-import { franc } from "franc";
-import langs from "langs";
+import crypto from "crypto";
+import { AsyncLocalStorage } from "async_hooks";
+import Ajv from "ajv";
 import { DocumentProcessorServiceClient } from "@google-cloud/documentai";
+import { PDFParse } from "pdf-parse";
+import mammoth from "mammoth";
+import {
+  AlignmentType,
+  BorderStyle,
+  Document,
+  Packer,
+  Paragraph,
+  TabStopType,
+  TextRun,
+} from "docx";
+import PDFDocument from "pdfkit";
+import ffmpeg from "fluent-ffmpeg";
+import ffmpegStatic from "ffmpeg-static";
+import { WebSocketServer } from "ws";
+import {
+  MONTHS,
+  resumeBullets,
+  scoreResumeAts,
+  splitAtsSections,
+  uniqueStrings,
+} from "./ats.js";
+import {
+  DOCUMENT_TYPES,
+  createDocumentClassifier,
+} from "./document-classifier.js";
+import { getExperience, scoreJobMatch } from "./job-match.js";
+import {
+  analyzeMockInterview,
+  collectTimedWords,
+  describeDelivery,
+  mockLongRecognizeWords,
+  oggOpusDurationSec,
+} from "./mock-interview.js";
+import {
+  LANGUAGES,
+  LANGUAGE_PREFERENCE_OPTIONS,
+  SUPPORTED_LANGUAGES,
+  detectLanguage,
+  detectLanguageSimple,
+  findLanguage,
+  languageLocale,
+  resolveResponseLanguage,
+  scriptInstruction,
+  sttAlternativeLanguageCodes,
+} from "./language.js";
+import {
+  STT_SAMPLE_RATE,
+  audioError,
+  createSttProvider,
+  transcodeAudio,
+  transcribeAudioFile,
+} from "./stt.js";
+import { createProvider } from "./llm-providers.js";
+import {
+  createMockRecognizeStream,
+  createSttStreamHandler,
+} from "./stt-stream.js";
 
 dotenv.config();
 
 // =================================================================
-// 0. CONFIG: OpenAI Wrapper & Utilities
+// 0. CONFIG: LLM Wrapper (openaiRequest), Providers & Utilities
 // =================================================================
 
 const DEFAULT_PRIMARY_MODEL = process.env.OPENAI_MODEL || "gpt-4o"; // FIX: Updated to a current model (e.g., gpt-4o)
@@ -26,14 +86,90 @@ const DEFAULT_FALLBACKS = (process.env.OPENAI_FALLBACK_MODELS &&
   "gpt-3.5-turbo",
 ]; // FIX: Updated to currently supported models (e.g., gpt-4-turbo, gpt-3.5-turbo)
 
-// Build the ordered models list: primary first, then fallbacks
-const MODEL_CHAIN = [
-  DEFAULT_PRIMARY_MODEL,
-  ...DEFAULT_FALLBACKS.filter((m) => m !== DEFAULT_PRIMARY_MODEL),
-];
+// -----------------------------------------------------------------
+// LLM providers. Every chain entry is "provider:model" (a bare model name means
+// "openai:<model>"). Each provider (llm-providers.js) maps the OpenAI
+// chat-completions request and response shape to its own API, so
+// openaiRequest and its callers stay provider-agnostic. Providers come from
+// env vars and, optionally, a JSON file named by LLM_CONFIG_FILE:
+//   {
+//     "providers": { "ollama": { "type": "openai-compatible",
+//                                "baseUrl": "http://localhost:11434/v1" } },
+//     "chain": ["ollama:llama3.1", "openai:gpt-4o"]
+//   }
+// Provider types: openai, azure, openai-compatible, anthropic. API keys may be
+// given as `apiKey` or, preferably, `apiKeyEnv` (name of an env var).
+// -----------------------------------------------------------------
+const LLM_CONFIG = process.env.LLM_CONFIG_FILE
+  ? JSON.parse(fs.readFileSync(process.env.LLM_CONFIG_FILE, "utf8"))
+  : {};
+
+const PROVIDER_CONFIGS = {
+  openai: {
+    type: "openai",
+    baseUrl: process.env.OPENAI_BASE_URL || "https://api.openai.com/v1",
+    apiKey: process.env.OPENAI_API_KEY,
+  },
+  ...(process.env.AZURE_OPENAI_ENDPOINT && {
+    azure: {
+      type: "azure",
+      baseUrl: process.env.AZURE_OPENAI_ENDPOINT,
+      apiKey: process.env.AZURE_OPENAI_API_KEY,
+      apiVersion: process.env.AZURE_OPENAI_API_VERSION || "2024-10-21",
+    },
+  }),
+  ...(process.env.LOCAL_LLM_BASE_URL && {
+    local: {
+      type: "openai-compatible",
+      baseUrl: process.env.LOCAL_LLM_BASE_URL, // e.g. http://localhost:11434/v1 (Ollama)
+      apiKey: process.env.LOCAL_LLM_API_KEY,
+    },
+  }),
+  ...(process.env.ANTHROPIC_API_KEY && {
+    anthropic: {
+      type: "anthropic",
+      baseUrl: process.env.ANTHROPIC_BASE_URL || "https://api.anthropic.com/v1",
+      apiKey: process.env.ANTHROPIC_API_KEY,
+    },
+  }),
+  ...(LLM_CONFIG.providers || {}),
+};
+
+const PROVIDERS = Object.fromEntries(
+  Object.entries(PROVIDER_CONFIGS).map(([name, config]) => [
+    name,
+    createProvider(name, config),
+  ])
+);
+
+/**
+ * Helper: "provider:model" (or a bare OpenAI model name) -> chain entry.
+ */
+function parseModelSpec(spec) {
+  const trimmed = String(spec).trim();
+  const sep = trimmed.indexOf(":");
+  const providerName = sep > 0 ? trimmed.slice(0, sep) : "openai";
+  const model = sep > 0 ? trimmed.slice(sep + 1) : trimmed;
+  const provider = PROVIDERS[providerName];
+  if (!provider) throw new Error(`Unknown LLM provider in "${spec}"`);
+  return { id: `${providerName}:${model}`, provider, model };
+}
 
-// OpenAI endpoint (chat completions)
-const OPENAI_URL = "https://api.openai.com/v1/chat/completions";
+// Build the ordered models list: LLM_MODEL_CHAIN, the config file's chain, or
+// the OpenAI primary model followed by its fallbacks
+const MODEL_CHAIN_SPECS = process.env.LLM_MODEL_CHAIN
+  ? process.env.LLM_MODEL_CHAIN.split(",").filter((m) => m.trim())
+  : LLM_CONFIG.chain || [
+      DEFAULT_PRIMARY_MODEL,
+      ...DEFAULT_FALLBACKS.filter((m) => m !== DEFAULT_PRIMARY_MODEL),
+    ];
+const MODEL_CHAIN = MODEL_CHAIN_SPECS.map(parseModelSpec);
+console.log(
+  "🤖 LLM model chain:",
+  MODEL_CHAIN.map(
+    (e) => `${e.id}${e.provider.configured ? "" : " (not configured)"}`
+  ).join(" → ")
+);
 
 // Configurable options
 const OPENAI_TIMEOUT_MS = parseInt(
@@ -42,6 +178,10 @@ const OPENAI_TIMEOUT_MS = parseInt(
 ); // 25s
 const OPENAI_MAX_RETRIES = parseInt(process.env.OPENAI_MAX_RETRIES || "2", 10); // per-model retries on 429/transient
 
+// Per-request context ({ req, quotaKey, routeGroup }) so openaiRequest can
+// attribute usage to a route and caller without threading `req` through.
+const requestContext = new AsyncLocalStorage();
+
 /**
  * Helper: sleep ms
  */
@@ -49,6 +189,246 @@ function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
+// -----------------------------------------------------------------
+// Circuit breaker per chain entry ("provider:model"). After
+// CIRCUIT_FAILURE_THRESHOLD consecutive failures (429/5xx, timeouts, network,
+// auth or unknown-model errors) the model is skipped for CIRCUIT_COOLDOWN_MS,
+// or until a longer Retry-After expires. Then one request is let through as a
+// half-open probe: success closes the circuit, failure re-opens it.
+// -----------------------------------------------------------------
+const CIRCUIT_FAILURE_THRESHOLD = parseInt(
+  process.env.CIRCUIT_FAILURE_THRESHOLD || "3",
+  10
+);
+const CIRCUIT_COOLDOWN_MS = parseInt(
+  process.env.CIRCUIT_COOLDOWN_MS || "60000",
+  10
+);
+// Retry-After waits longer than this are not slept through: the next model is
+// tried instead
+const OPENAI_MAX_RETRY_AFTER_MS = parseInt(
+  process.env.OPENAI_MAX_RETRY_AFTER_MS || "10000",
+  10
+);
+const modelHealth = new Map(); // entry id -> health record
+
+function getModelHealth(entry) {
+  if (!modelHealth.has(entry.id)) {
+    modelHealth.set(entry.id, {
+      state: "closed",
+      consecutiveFailures: 0,
+      failures: 0,
+      successes: 0,
+      openUntil: 0,
+      probeInFlight: false,
+      lastError: null,
+      lastErrorAt: null,
+      lastSuccessAt: null,
+    });
+  }
+  return modelHealth.get(entry.id);
+}
+
+/**
+ * Helper: current circuit state; an open circuit whose cool-down has passed
+ * becomes half-open.
+ */
+function circuitState(entry) {
+  const health = getModelHealth(entry);
+  if (health.state === "open" && Date.now() >= health.openUntil) {
+    health.state = "half_open";
+    health.probeInFlight = false;
+  }
+  return health.state;
+}
+
+/**
+ * Helper: may this request use the model? Claims the single probe slot when
+ * the circuit is half-open.
+ */
+function acquireCircuit(entry) {
+  const state = circuitState(entry);
+  if (state === "closed") return true;
+  const health = getModelHealth(entry);
+  if (state === "half_open" && !health.probeInFlight) {
+    health.probeInFlight = true;
+    console.log(`[Circuit] Probing ${entry.id} (half-open).`);
+    return true;
+  }
+  return false;
+}
+
+function releaseCircuitProbe(entry) {
+  getModelHealth(entry).probeInFlight = false;
+}
+
+function recordModelSuccess(entry) {
+  const health = getModelHealth(entry);
+  if (health.state !== "closed") console.log(`[Circuit] ${entry.id} closed.`);
+  health.state = "closed";
+  health.consecutiveFailures = 0;
+  health.successes += 1;
+  health.probeInFlight = false;
+  health.lastSuccessAt = new Date().toISOString();
+}
+
+/**
+ * Helper: count a failure; opens the circuit once the threshold is reached,
+ * immediately for a failed half-open probe, or when the provider asked us to
+ * back off longer than we are willing to wait. Returns true if now open.
+ */
+function recordModelFailure(entry, reason, retryAfterMs = null) {
+  const health = getModelHealth(entry);
+  health.consecutiveFailures += 1;
+  health.failures += 1;
+  health.lastError = reason;
+  health.lastErrorAt = new Date().toISOString();
+
+  const shouldOpen =
+    health.state === "half_open" ||
+    health.consecutiveFailures >= CIRCUIT_FAILURE_THRESHOLD ||
+    (retryAfterMs && retryAfterMs > OPENAI_MAX_RETRY_AFTER_MS);
+  if (shouldOpen) {
+    const cooldown = Math.max(CIRCUIT_COOLDOWN_MS, retryAfterMs || 0);
+    health.state = "open";
+    health.openUntil = Date.now() + cooldown;
+    health.probeInFlight = false;
+    console.warn(
+      `[Circuit] ${entry.id} opened for ${cooldown}ms after: ${reason}`
+    );
+  }
+  return health.state === "open";
+}
+
+/**
+ * Helper: Retry-After as milliseconds. Understands OpenAI's `retry-after-ms`
+ * and the standard `Retry-After` (seconds or HTTP date).
+ */
+function parseRetryAfterMs(headers) {
+  const ms = parseFloat(headers.get("retry-after-ms"));
+  if (!Number.isNaN(ms)) return Math.max(0, ms);
+  const value = headers.get("retry-after");
+  if (!value) return null;
+  const seconds = parseFloat(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Helper: normalize OpenAI `tool_calls` into { id, name, arguments, raw }.
+ * Arguments that are not valid JSON are surfaced as `argumentsError` so the
+ * tool loop can report it back to the model instead of crashing.
+ */
+function normalizeToolCalls(rawToolCalls) {
+  if (!Array.isArray(rawToolCalls)) return [];
+  return rawToolCalls
+    .filter((tc) => tc && tc.type === "function" && tc.function?.name)
+    .map((tc) => {
+      let args = {};
+      let argumentsError = null;
+      try {
+        args = tc.function.arguments ? JSON.parse(tc.function.arguments) : {};
+      } catch (e) {
+        argumentsError = `Invalid JSON arguments: ${e.message}`;
+      }
+      return {
+        id: tc.id,
+        name: tc.function.name,
+        arguments: args || {},
+        argumentsError,
+        raw: tc,
+      };
+    });
+}
+
+/**
+ * Helper: consume a `stream: true` response (SSE `data:` lines, mapped to
+ * OpenAI chunks by the provider's `mapEvent`),
+ * calling `onToken` for each content delta and stitching `tool_calls` deltas
+ * back together by index. The request is aborted if no chunk arrives within
+ * OPENAI_TIMEOUT_MS. Errors raised after a token was relayed are tagged with
+ * `afterFirstToken` so openaiRequest does not fall back mid-reply.
+ */
+async function readChatCompletionStream(
+  resp,
+  { onToken, controller, mapEvent = (event) => event }
+) {
+  const message = { role: "assistant", content: null };
+  const toolCallsByIndex = [];
+  const decoder = new TextDecoder();
+  let finishReason = null;
+  let usage = null;
+  let emitted = false;
+  let buffer = "";
+  let idleTimer = setTimeout(() => controller.abort(), OPENAI_TIMEOUT_MS);
+
+  const handleLine = (line) => {
+    if (!line.startsWith("data:")) return;
+    const payload = line.slice(5).trim();
+    if (!payload || payload === "[DONE]") return;
+    let event;
+    try {
+      event = JSON.parse(payload);
+    } catch (e) {
+      return;
+    }
+    event = mapEvent(event); // provider-specific events -> OpenAI chunk shape
+    if (!event) return;
+    if (event?.usage) usage = event.usage; // sent last, with include_usage
+    const choice = event?.choices?.[0];
+    if (!choice) return;
+    const delta = choice.delta || {};
+    if (delta.content) {
+      message.content = (message.content || "") + delta.content;
+      emitted = true;
+      onToken(delta.content);
+    }
+    if (Array.isArray(delta.tool_calls)) {
+      for (const tcDelta of delta.tool_calls) {
+        const index = tcDelta.index ?? 0;
+        if (!toolCallsByIndex[index]) {
+          toolCallsByIndex[index] = {
+            id: "",
+            type: "function",
+            function: { name: "", arguments: "" },
+          };
+        }
+        const tc = toolCallsByIndex[index];
+        if (tcDelta.id) tc.id = tcDelta.id;
+        if (tcDelta.function?.name) tc.function.name += tcDelta.function.name;
+        if (tcDelta.function?.arguments)
+          tc.function.arguments += tcDelta.function.arguments;
+      }
+    }
+    if (choice.finish_reason) finishReason = choice.finish_reason;
+  };
+
+  try {
+    for await (const chunk of resp.body) {
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(() => controller.abort(), OPENAI_TIMEOUT_MS);
+      buffer += decoder.decode(chunk, { stream: true });
+      let newlineIndex;
+      while ((newlineIndex = buffer.indexOf("\n")) >= 0) {
+        const line = buffer.slice(0, newlineIndex).trim();
+        buffer = buffer.slice(newlineIndex + 1);
+        handleLine(line);
+      }
+    }
+    handleLine(buffer.trim());
+  } catch (err) {
+    if (emitted) err.afterFirstToken = true;
+    throw err;
+  } finally {
+    clearTimeout(idleTimer);
+  }
+
+  const toolCalls = toolCallsByIndex.filter(Boolean);
+  if (toolCalls.length) message.tool_calls = toolCalls;
+  return { message, finishReason, usage };
+}
+
 /**
  * Centralized OpenAI request wrapper that:
  *  - Tries models in MODEL_CHAIN order
@@ -57,6 +437,20 @@ function sleep(ms) {
  *
  * Returns: { status, rawResponse, parsed: optional }
  *
+ * When `tools` are passed they are forwarded as-is; if the model answers with
+ * `tool_calls`, the result carries `toolCalls` ([{ id, name, arguments }], with
+ * `arguments` already JSON-parsed) and `message` (the raw assistant message, to
+ * be echoed back in the follow-up request).
+ *
+ * When `onToken` is passed the request is streamed: content deltas are relayed
+ * as they arrive and the same shape is returned once the stream ends. A model
+ * that fails before its first token still falls through to the next model; a
+ * failure after that returns { ok: false, partial: true }.
+ *
+ * When `signal` aborts (e.g. the client disconnected) the request in flight is
+ * cancelled and { ok: false, aborted: true } is returned without retries,
+ * fallbacks or a circuit-breaker failure.
+ *
  * Usage:
  * const { ok, data } = await openaiRequest({ messages, temperature: 0.5 });
  */
@@ -68,24 +462,58 @@ async function openaiRequest({
   returnContent = true, // Abortable timeout is enforced
   extraBody = {}, // whether the caller expects the response content to be JSON string which needs parsing
   parseJsonContent = false,
+  tools = null, // OpenAI function-calling tool definitions
+  toolChoice = null, // "auto" | "none" | "required" | { type: "function", function: { name } }
+  onToken = null, // when set, the request is streamed and each content delta is passed here
+  jsonSchema = null, // { name, schema }: request structured JSON output
+  signal = null, // AbortSignal: stop without trying other models
 }) {
-  const modelsToTry = modelOverride
-    ? [modelOverride, ...MODEL_CHAIN.filter((m) => m !== modelOverride)]
-    : MODEL_CHAIN;
-
-  const headers = {
-    "Content-Type": "application/json",
-    Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
-  }; // For each model in the chain, try up to OPENAI_MAX_RETRIES times on retryable errors.
-
-  for (const model of modelsToTry) {
+  const startedAt = Date.now();
+  const aborted = () => ({
+    ok: false,
+    aborted: true,
+    error: "Request aborted.",
+  });
+  const overrideEntry = modelOverride ? parseModelSpec(modelOverride) : null;
+  const modelsToTry = (
+    overrideEntry
+      ? [overrideEntry, ...MODEL_CHAIN.filter((e) => e.id !== overrideEntry.id)]
+      : MODEL_CHAIN
+  ).filter((e) => e.provider.configured);
+
+  // If every circuit is open, probe the one that reopens soonest rather than
+  // failing outright
+  if (
+    modelsToTry.length > 0 &&
+    modelsToTry.every((e) => circuitState(e) === "open")
+  ) {
+    const soonest = modelsToTry.reduce((a, b) =>
+      getModelHealth(a).openUntil <= getModelHealth(b).openUntil ? a : b
+    );
+    console.warn(`[Circuit] All models open; forcing a probe of ${soonest.id}.`);
+    getModelHealth(soonest).state = "half_open";
+    getModelHealth(soonest).probeInFlight = false;
+  } // For each model in the chain, try up to OPENAI_MAX_RETRIES times on retryable errors.
+
+  for (const entry of modelsToTry) {
+    const { provider, model } = entry;
+    if (!acquireCircuit(entry)) {
+      console.warn(`[Circuit] Skipping ${entry.id}: circuit open.`);
+      continue;
+    }
     let attempt = 0;
     let backoffMs = 800;
 
     while (attempt <= OPENAI_MAX_RETRIES) {
+      if (signal?.aborted) {
+        releaseCircuitProbe(entry);
+        return aborted();
+      }
       attempt += 1;
       const controller = new AbortController();
       const timeout = setTimeout(() => controller.abort(), OPENAI_TIMEOUT_MS);
+      const cancel = () => controller.abort();
+      signal?.addEventListener("abort", cancel, { once: true });
 
       try {
         const body = {
@@ -95,16 +523,64 @@ async function openaiRequest({
           ...extraBody,
         };
         if (maxTokens) body.max_tokens = maxTokens;
+        if (Array.isArray(tools) && tools.length > 0) {
+          body.tools = tools;
+          if (toolChoice) body.tool_choice = toolChoice;
+        }
+        if (jsonSchema) {
+          body.response_format = {
+            type: "json_schema",
+            json_schema: {
+              name: jsonSchema.name,
+              schema: jsonSchema.schema,
+              strict: false,
+            },
+          };
+        }
+        if (onToken) {
+          body.stream = true;
+          body.stream_options = { include_usage: true };
+        }
 
-        const resp = await fetch(OPENAI_URL, {
+        const request = provider.buildRequest(body);
+        const resp = await fetch(request.url, {
           method: "POST",
-          headers,
-          body: JSON.stringify(body),
+          headers: request.headers,
+          body: JSON.stringify(request.body),
           signal: controller.signal,
         });
 
         clearTimeout(timeout);
 
+        if (onToken && resp.ok) {
+          // Streaming mode: relay deltas as they arrive, then return the assembled message
+          const streamed = await readChatCompletionStream(resp, {
+            onToken,
+            controller,
+            mapEvent: provider.createStreamMapper(),
+          });
+          recordModelSuccess(entry);
+          recordOpenAIUsage({
+            provider: provider.name,
+            model,
+            usage: streamed.usage,
+            latencyMs: Date.now() - startedAt,
+            fallbackHops: modelsToTry.indexOf(entry),
+            streamed: true,
+          });
+          const toolCalls = normalizeToolCalls(streamed.message.tool_calls);
+          return {
+            ok: true,
+            modelUsed: model,
+            provider: provider.name,
+            response: null,
+            content: streamed.message.content ?? "",
+            message: streamed.message,
+            toolCalls,
+            finishReason: streamed.finishReason,
+          };
+        }
+
         const text = await resp.text(); // Non-OK status codes handling
 
         if (!resp.ok) {
@@ -115,11 +591,19 @@ async function openaiRequest({
           } catch (e) {} // Rate-limited or server busy: 429, 503, 502 -> retry on same model
 
           if ([429, 502, 503, 504].includes(resp.status)) {
+            const retryAfterMs = parseRetryAfterMs(resp.headers);
+            const opened = recordModelFailure(
+              entry,
+              `HTTP ${resp.status}`,
+              retryAfterMs
+            );
+            if (opened) break; // open, or Retry-After too long: next model
+            const waitMs = retryAfterMs ?? backoffMs;
             console.warn(
-              `[OpenAI] Model ${model} returned ${resp.status}. Attempt ${attempt} of ${OPENAI_MAX_RETRIES}. Retrying after ${backoffMs}ms.`
+              `[OpenAI] Model ${model} returned ${resp.status}. Attempt ${attempt} of ${OPENAI_MAX_RETRIES}. Retrying after ${waitMs}ms.`
             );
             if (attempt <= OPENAI_MAX_RETRIES) {
-              await sleep(backoffMs);
+              await sleep(waitMs);
               backoffMs *= 2;
               continue;
             } else {
@@ -134,24 +618,54 @@ async function openaiRequest({
           console.error(
             `[OpenAI] Non-retriable error from model ${model}: HTTP ${resp.status} - ${text}`
           );
+          // Auth / unknown-model errors mean the model is unusable; other 4xx
+          // errors are specific to this request
+          if ([401, 403, 404].includes(resp.status)) {
+            recordModelFailure(entry, `HTTP ${resp.status}`);
+          }
           break; // move to next model
         } // Response OK
 
         let data;
         try {
-          data = JSON.parse(text);
+          data = provider.parseResponse(JSON.parse(text));
         } catch (e) {
           // If response is not JSON, return raw text
           data = { raw: text };
         } // Extract content (if requested)
 
+        recordModelSuccess(entry);
+        recordOpenAIUsage({
+          provider: provider.name,
+          model,
+          usage: data?.usage,
+          latencyMs: Date.now() - startedAt,
+          fallbackHops: modelsToTry.indexOf(entry),
+        });
+
         if (returnContent) {
           try {
-            const content =
-              data?.choices?.[0]?.message?.content ??
-              data?.choices?.[0]?.message ??
-              data?.choices?.[0]?.text ??
-              null;
+            const message = data?.choices?.[0]?.message || null;
+            const toolCalls = normalizeToolCalls(message?.tool_calls);
+            const content = toolCalls.length
+              ? message?.content ?? null
+              : message?.content ??
+                message ??
+                data?.choices?.[0]?.text ??
+                null;
+            if (toolCalls.length) {
+              // The model asked for tools: hand the structured calls back to the caller
+              return {
+                ok: true,
+                modelUsed: model,
+                provider: provider.name,
+                response: data,
+                content,
+                message,
+                toolCalls,
+                finishReason: data?.choices?.[0]?.finish_reason || null,
+              };
+            }
             if (parseJsonContent && content) {
               // Trim possible ```json blocks
               const jsonMatch = content.match(/```json\s*([\s\S]*?)\s*```/);
@@ -173,6 +687,7 @@ async function openaiRequest({
               return {
                 ok: true,
                 modelUsed: model,
+                provider: provider.name,
                 response: data,
                 content: content,
                 parsed,
@@ -181,8 +696,12 @@ async function openaiRequest({
             return {
               ok: true,
               modelUsed: model,
+              provider: provider.name,
               response: data,
               content: content,
+              message,
+              toolCalls,
+              finishReason: data?.choices?.[0]?.finish_reason || null,
             };
           } catch (err) {
             // Parsing error - move to fallback models
@@ -193,14 +712,38 @@ async function openaiRequest({
             break;
           }
         } else {
-          return { ok: true, modelUsed: model, response: data };
+          return {
+            ok: true,
+            modelUsed: model,
+            provider: provider.name,
+            response: data,
+          };
         }
       } catch (err) {
-        clearTimeout(timeout); // Abort error on timeout
+        clearTimeout(timeout);
+        if (signal?.aborted) {
+          releaseCircuitProbe(entry);
+          return aborted();
+        }
+        if (err.afterFirstToken) {
+          // Tokens already reached the caller, so switching models would garble the reply
+          recordModelFailure(entry, "Stream interrupted");
+          console.error(
+            `[OpenAI] Stream from model ${model} failed after the first token:`,
+            err.message || err
+          );
+          return {
+            ok: false,
+            partial: true,
+            modelUsed: model,
+            error: "Model stream was interrupted.",
+          };
+        } // Abort error on timeout
         if (err.name === "AbortError") {
           console.warn(
             `[OpenAI] Request to model ${model} timed out after ${OPENAI_TIMEOUT_MS}ms. Attempt ${attempt} of ${OPENAI_MAX_RETRIES}.`
           );
+          if (recordModelFailure(entry, "Timeout")) break;
           if (attempt <= OPENAI_MAX_RETRIES) {
             await sleep(backoffMs);
             backoffMs *= 2;
@@ -217,6 +760,8 @@ async function openaiRequest({
           `[OpenAI] Network/transient error for model ${model}:`,
           err.message || err
         );
+        if (recordModelFailure(entry, `Network error: ${err.message || err}`))
+          break;
         if (attempt <= OPENAI_MAX_RETRIES) {
           await sleep(backoffMs);
           backoffMs *= 2;
@@ -227,15 +772,180 @@ async function openaiRequest({
           );
           break;
         }
+      } finally {
+        signal?.removeEventListener("abort", cancel);
       }
     } // end attempts for this model // Try next model in the chain
+    releaseCircuitProbe(entry);
   } // end model loop // If we've reached here, all models failed
 
+  recordOpenAIUsage({
+    model: null,
+    usage: null,
+    latencyMs: Date.now() - startedAt,
+    fallbackHops: Math.max(0, modelsToTry.length - 1),
+    failed: true,
+  });
   return {
     ok: false,
     error: "All models failed or returned non-retriable errors.",
   };
 }
+
+// -----------------------------------------------------------------
+// Structured outputs: routes declare a JSON Schema, the provider is asked for
+// JSON in that shape, the result is validated with Ajv, and one repair pass
+// (errors fed back to the model) runs before giving up.
+// -----------------------------------------------------------------
+const ajv = new Ajv({ allErrors: true, strict: false });
+const compiledSchemas = new WeakMap();
+const STRUCTURED_MAX_REPAIRS = parseInt(
+  process.env.STRUCTURED_MAX_REPAIRS || "1",
+  10
+);
+
+/**
+ * Helper: validate `data` against a JSON Schema (compiled once per schema
+ * object). Returns { valid, errors: ["/path message", ...] }.
+ */
+function validateJson(schema, data) {
+  let validate = compiledSchemas.get(schema);
+  if (!validate) {
+    validate = ajv.compile(schema);
+    compiledSchemas.set(schema, validate);
+  }
+  const valid = validate(data);
+  return {
+    valid,
+    errors: valid
+      ? []
+      : validate.errors.map((e) => `${e.instancePath || "/"} ${e.message}`),
+  };
+}
+
+/**
+ * Helper: cache schema factories by arguments so each distinct schema object
+ * is compiled once (e.g. one "exactly N questions" schema per N).
+ */
+function memoizeSchema(factory) {
+  const cache = new Map();
+  return (...args) => {
+    const key = JSON.stringify(args);
+    if (!cache.has(key)) cache.set(key, factory(...args));
+    return cache.get(key);
+  };
+}
+
+const NON_EMPTY_STRING = { type: "string", minLength: 1 };
+
+/**
+ * Helper: schema for { [key]: [minItems..maxItems items] }.
+ */
+const listSchema = memoizeSchema((key, itemSchema, minItems, maxItems) => ({
+  type: "object",
+  properties: {
+    [key]: { type: "array", items: itemSchema, minItems, maxItems },
+  },
+  required: [key],
+}));
+
+/**
+ * Helper: parse a `count` query param, clamped to [1, max].
+ */
+function parseCount(value, fallback, max = 50) {
+  const n = parseInt(value, 10);
+  if (Number.isNaN(n)) return fallback;
+  return Math.min(Math.max(n, 1), max);
+}
+
+/**
+ * Helper: coerce { [key]: array } by dropping duplicates and extra items.
+ */
+function trimList(key, max) {
+  return (data) =>
+    Array.isArray(data?.[key])
+      ? { ...data, [key]: [...new Set(data[key])].slice(0, max) }
+      : data;
+}
+
+/**
+ * Request JSON matching `schema` from the model chain.
+ *  - `coerce(parsed)` may fix harmless deviations (e.g. trim an over-long list)
+ *    before validation
+ *  - invalid output triggers up to STRUCTURED_MAX_REPAIRS repair requests
+ *
+ * Returns the validated data, or throws an Error with
+ * code "STRUCTURED_OUTPUT_INVALID" (and `details`) when nothing valid came back.
+ */
+async function structuredRequest({
+  prompt,
+  schema,
+  schemaName,
+  temperature = 0.3,
+  modelOverride = null,
+  coerce = (data) => data,
+}) {
+  const messages = [
+    {
+      role: "system",
+      content: `Respond with a single JSON value that matches this JSON Schema exactly. No Markdown, no commentary.\n${JSON.stringify(schema)}`,
+    },
+    { role: "user", content: prompt },
+  ];
+  let lastErrors = [];
+
+  for (let attempt = 0; attempt <= STRUCTURED_MAX_REPAIRS; attempt++) {
+    const aiResp = await openaiRequest({
+      messages,
+      modelOverride,
+      temperature,
+      returnContent: true,
+      parseJsonContent: true,
+      jsonSchema: { name: schemaName, schema },
+    });
+    if (!aiResp.ok) {
+      lastErrors = [aiResp.error || "Model request failed."];
+      break;
+    }
+
+    const data = coerce(aiResp.parsed);
+    const { valid, errors } = validateJson(schema, data);
+    if (valid) return data;
+
+    lastErrors = errors;
+    console.warn(
+      `[Structured] ${schemaName} failed validation (attempt ${attempt + 1}):`,
+      errors.slice(0, 5)
+    );
+    const errorList = errors
+      .slice(0, 10)
+      .map((e) => `- ${e}`)
+      .join("\n");
+    messages.push(
+      { role: "assistant", content: aiResp.content },
+      {
+        role: "user",
+        content: `That JSON does not match the required schema:\n${errorList}\nReturn the complete corrected JSON only, keeping all valid content.`,
+      }
+    );
+  }
+
+  const err = new Error(`Model output did not match the ${schemaName} schema.`);
+  err.code = "STRUCTURED_OUTPUT_INVALID";
+  err.details = lastErrors;
+  throw err;
+}
+
+/**
+ * Helper: map a structuredRequest failure to an HTTP response.
+ */
+function sendStructuredError(res, err, message) {
+  if (err.code === "STRUCTURED_OUTPUT_INVALID") {
+    return res.status(502).json({ error: message, details: err.details });
+  }
+  return res.status(500).json({ error: message });
+}
+
 // =================================================================
 // 1. CONFIGURATION & INITIALIZATION (original preserved)
 // =================================================================
@@ -258,12 +968,27 @@ const upload = multer({
   storage: storage,
   limits: { fileSize: 10 * 1024 * 1024 },
 });
+// Mock interview recordings are far longer than anything else we accept
+const recordingUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: parseInt(process.env.RECORDING_MAX_MB || "50", 10) * 1024 * 1024,
+  },
+});
 const app = express();
+// Behind a load balancer (e.g. Render), set TRUST_PROXY=1 so req.ip is the
+// real client IP rather than the proxy's
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY, 10);
+  app.set("trust proxy", Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
 app.use(bodyParser.json({ limit: "10mb" }));
 app.use(bodyParser.urlencoded({ extended: true }));
+app.use((req, res, next) => requestContext.run({ req }, () => next()));
 
-const AI_MODEL = DEFAULT_PRIMARY_MODEL;
+const AI_MODEL = MODEL_CHAIN[0].id;
 let sttClient = null;
+let ttsClient = null;
 
 const firebaseServiceAccount = process.env.FIREBASE_SERVICE_ACCOUNT_JSON
   ? JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT_JSON)
@@ -299,6 +1024,42 @@ try {
 } catch (err) {
   console.error("🔥 Google STT initialization failed:", err);
 }
+try {
+  if (!googleServiceAccount)
+    throw new Error("Missing GOOGLE_APPLICATION_CREDENTIALS_JSON");
+  ttsClient = new textToSpeech.TextToSpeechClient({
+    credentials: {
+      client_email: googleServiceAccount.client_email,
+      private_key: googleServiceAccount.private_key,
+    },
+    projectId: googleServiceAccount.project_id,
+  });
+  console.log("✅ Google Text-to-Speech client initialized successfully.");
+} catch (err) {
+  console.error("🔥 Google TTS initialization failed:", err);
+}
+// FFMPEG_PATH overrides the bundled binary (e.g. a system ffmpeg)
+ffmpeg.setFfmpegPath(process.env.FFMPEG_PATH || ffmpegStatic);
+// Engine behind /stt: STT_PROVIDER=google (default) or local, an offline
+// Whisper/Vosk-compatible engine (see stt.js). Streaming and long-running
+// recognition always use Google.
+const STT_MAX_SECONDS = parseInt(process.env.STT_MAX_SECONDS || "60", 10);
+let sttProvider = null;
+try {
+  sttProvider = createSttProvider({
+    provider: process.env.STT_PROVIDER || "google",
+    googleClient: sttClient,
+    local: {
+      url: process.env.STT_LOCAL_URL,
+      command: process.env.STT_LOCAL_COMMAND,
+      model: process.env.STT_LOCAL_MODEL,
+      timeoutMs: parseInt(process.env.STT_LOCAL_TIMEOUT_MS || "120000", 10),
+    },
+  });
+  console.log(`✅ STT provider: ${sttProvider.name}`);
+} catch (err) {
+  console.error("🔥 STT provider initialization failed:", err);
+}
 let docAIClient = null;
 const docAIprojectId = googleServiceAccount?.project_id;
 const docAIlocation = process.env.DOC_AI_LOCATION || "us";
@@ -325,74 +1086,706 @@ try {
 }
 const db = admin.firestore();
 
-// =================================================================
-// 2. HELPERS (unchanged logic, minor adjustments to use wrapper)
-// =================================================================
-const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
-async function extractResumeText(filePath, fileMimeType) {
-  if (!docAIClient) {
-    throw new Error("Document AI client is not initialized.");
-  }
-  if (!docAIprojectId || !docAIlocation || !docAIprocessorId) {
-    throw new Error("Document AI configuration is missing.");
+// -----------------------------------------------------------------
+// Authentication: Firebase ID tokens from `Authorization: Bearer <token>`.
+// AUTH_TEST_MODE=true swaps in a verifier that accepts "test:<uid>" tokens so
+// the middleware can run without live Firebase (never in production).
+// -----------------------------------------------------------------
+const AUTH_TEST_MODE =
+  process.env.AUTH_TEST_MODE === "true" &&
+  process.env.NODE_ENV !== "production";
+if (process.env.AUTH_TEST_MODE === "true" && !AUTH_TEST_MODE) {
+  console.error("🔥 AUTH_TEST_MODE is ignored when NODE_ENV=production.");
+}
+
+async function verifyTestIdToken(token) {
+  const match = /^test:([A-Za-z0-9_-]{1,128})$/.exec(token);
+  if (!match) {
+    const err = new Error("Invalid test token.");
+    err.code = "auth/argument-error";
+    throw err;
   }
-  console.log(
-    `Sending file to Document AI OCR: ${filePath}, MIME: ${fileMimeType}`
-  );
+  return { uid: match[1], firebase: { sign_in_provider: "test" } };
+}
 
-  try {
-    const content = fs.readFileSync(filePath).toString("base64");
-    const name = `projects/${docAIprojectId}/locations/${docAIlocation}/processors/${docAIprocessorId}`;
-    const request = {
-      name: name,
-      rawDocument: {
-        content: content,
-        mimeType: fileMimeType,
-      },
-    };
+const verifyIdToken = AUTH_TEST_MODE
+  ? verifyTestIdToken
+  : (token) => admin.auth().verifyIdToken(token);
+if (AUTH_TEST_MODE) console.warn("⚠️ Auth running in TEST mode.");
 
-    console.log("Calling Document AI OCR processDocument...");
-    const [result] = await docAIClient.processDocument(request);
-    const { document } = result;
+/**
+ * Middleware: verify the Firebase ID token, attach `req.uid` / `req.auth`,
+ * and reject requests whose client-supplied uid (path, query or body) does
+ * not match the verified one.
+ *
+ * With `{ optional: true }` a request that carries neither a token nor a uid
+ * passes through anonymously (e.g. /jobs without personalization).
+ */
+function requireAuth({ optional = false } = {}) {
+  return async (req, res, next) => {
+    const claimedUids = [req.params?.uid, req.query?.uid, req.body?.uid].filter(
+      (v) => v !== undefined && v !== null && v !== ""
+    );
+    const header = req.headers.authorization || "";
+    const match = /^Bearer\s+(.+)$/i.exec(header);
 
-    if (!document || !document.text) {
-      console.warn("Document AI OCR processed the file but returned no text.");
-      throw new Error("Could not extract text from the document using OCR.");
+    if (!match) {
+      if (optional && claimedUids.length === 0) return next();
+      return res
+        .status(401)
+        .json({ error: "Missing or invalid Authorization header." });
     }
 
-    console.log(
-      `Extracted ${document.text.length} characters via Document AI OCR.`
-    );
-    return document.text;
-  } catch (error) {
-    console.error(`Error calling Google Document AI OCR:`, error);
-    const errorMessage =
-      error.details || error.message || "Unknown Document AI OCR error";
-    throw new Error(`Failed to process document with OCR: ${errorMessage}`);
-  }
+    let decoded;
+    try {
+      decoded = await verifyIdToken(match[1].trim());
+    } catch (err) {
+      const expired = err.code === "auth/id-token-expired";
+      console.warn("[Auth] Token verification failed:", err.code || err.message);
+      return res.status(401).json({
+        error: expired ? "Token expired." : "Invalid authentication token.",
+      });
+    }
+
+    if (claimedUids.some((claimed) => claimed !== decoded.uid)) {
+      console.warn(
+        `[Auth] uid mismatch: token ${decoded.uid}, claimed`,
+        claimedUids
+      );
+      return res
+        .status(403)
+        .json({ error: "User ID does not match the authenticated user." });
+    }
+
+    req.uid = decoded.uid;
+    req.auth = decoded;
+    return next();
+  };
 }
-async function getUserStats(uid) {
-  if (!uid) return null;
-  const statsRef = db.collection("user_stats").doc(uid);
-  const doc = await statsRef.get();
 
-  if (!doc.exists) {
-    const defaultStats = {
-      hrAnswersCompleted: 0,
-      starStoriesSaved: 0,
-      techQuestionsPracticed: 0,
-      mockInterviewsRecorded: 0,
-      companyNotesCreated: 0,
-    };
-    await statsRef.set(defaultStats);
-    return defaultStats;
-  }
-  return doc.data();
+// -----------------------------------------------------------------
+// Rate limiting & daily AI quota for OpenAI-backed routes. Callers are keyed
+// by verified uid, falling back to IP. Short windows are kept in memory per
+// route group; the daily request/token quota lives in Firestore
+// (ai_daily_quota/{YYYY-MM-DD}_{key}) so it survives restarts.
+// -----------------------------------------------------------------
+function intFromEnv(name, fallback) {
+  const value = parseInt(process.env[name] || "", 10);
+  return Number.isNaN(value) ? fallback : value;
 }
-async function getResumeFeedback(resumeText) {
-  if (!resumeText || resumeText.trim().length < 50) {
-    throw new Error("Extracted resume text is too short or empty.");
+
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+const RATE_LIMITS = {
+  chat: intFromEnv("RATE_LIMIT_CHAT_PER_MIN", 20),
+  resume: intFromEnv("RATE_LIMIT_RESUME_PER_MIN", 5),
+  skills: intFromEnv("RATE_LIMIT_SKILLS_PER_MIN", 10),
+  interviewPrep: intFromEnv("RATE_LIMIT_INTERVIEW_PREP_PER_MIN", 30),
+  counseling: intFromEnv("RATE_LIMIT_COUNSELING_PER_MIN", 15),
+  speech: intFromEnv("RATE_LIMIT_SPEECH_PER_MIN", 30),
+};
+const DAILY_AI_REQUEST_LIMIT = intFromEnv("DAILY_AI_REQUEST_LIMIT", 300);
+const DAILY_AI_TOKEN_LIMIT = intFromEnv("DAILY_AI_TOKEN_LIMIT", 300000);
+
+const rateLimitWindows = new Map(); // `${group}:${key}` -> { count, resetAt }
+setInterval(() => {
+  const now = Date.now();
+  for (const [bucket, win] of rateLimitWindows) {
+    if (win.resetAt <= now) rateLimitWindows.delete(bucket);
+  }
+}, RATE_LIMIT_WINDOW_MS).unref();
+
+function utcDateKey(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+function secondsUntilUtcMidnight() {
+  const now = new Date();
+  const midnight = Date.UTC(
+    now.getUTCFullYear(),
+    now.getUTCMonth(),
+    now.getUTCDate() + 1
+  );
+  return Math.ceil((midnight - now.getTime()) / 1000);
+}
+
+function dailyQuotaRef(quotaKey) {
+  return db.collection("ai_daily_quota").doc(`${utcDateKey()}_${quotaKey}`);
+}
+
+/**
+ * Helper: count one request against today's quota inside a transaction.
+ * Returns { allowed, requests, tokens }.
+ */
+async function consumeDailyQuota(quotaKey) {
+  const ref = dailyQuotaRef(quotaKey);
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const current = snap.exists ? snap.data() : { requests: 0, tokens: 0 };
+    const requests = current.requests || 0;
+    const tokens = current.tokens || 0;
+    if (requests >= DAILY_AI_REQUEST_LIMIT || tokens >= DAILY_AI_TOKEN_LIMIT) {
+      return { allowed: false, requests, tokens };
+    }
+    tx.set(
+      ref,
+      {
+        key: quotaKey,
+        date: utcDateKey(),
+        requests: requests + 1,
+        tokens,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      },
+      { merge: true }
+    );
+    return { allowed: true, requests: requests + 1, tokens };
+  });
+}
+
+
+function setQuotaHeaders(res, { requests, tokens }) {
+  res.setHeader("X-Quota-Requests-Limit", DAILY_AI_REQUEST_LIMIT);
+  res.setHeader(
+    "X-Quota-Requests-Remaining",
+    Math.max(0, DAILY_AI_REQUEST_LIMIT - requests)
+  );
+  res.setHeader("X-Quota-Tokens-Limit", DAILY_AI_TOKEN_LIMIT);
+  res.setHeader(
+    "X-Quota-Tokens-Remaining",
+    Math.max(0, DAILY_AI_TOKEN_LIMIT - tokens)
+  );
+}
+
+function discardUpload(req) {
+  if (req.file?.path && fs.existsSync(req.file.path)) {
+    fs.unlink(req.file.path, () => {});
+  }
+}
+
+/**
+ * Helper: count one request for `group` against the per-minute window and
+ * the daily quota. Returns { allowed, limit, remaining, resetAt, quota,
+ * retryAfter, error }; `error` is the 429 body when not allowed.
+ */
+async function consumeAiLimit(group, quotaKey) {
+  const max = RATE_LIMITS[group];
+  const bucket = `${group}:${quotaKey}`;
+  const now = Date.now();
+
+  let win = rateLimitWindows.get(bucket);
+  if (!win || win.resetAt <= now) {
+    win = { count: 0, resetAt: now + RATE_LIMIT_WINDOW_MS };
+    rateLimitWindows.set(bucket, win);
+  }
+  win.count += 1;
+  const result = {
+    allowed: true,
+    limit: max,
+    remaining: Math.max(0, max - win.count),
+    resetAt: win.resetAt,
+    quota: null,
+  };
+
+  if (win.count > max) {
+    return {
+      ...result,
+      allowed: false,
+      retryAfter: Math.ceil((win.resetAt - now) / 1000),
+      error: { error: "Too many requests. Please slow down.", retryable: true },
+    };
+  }
+
+  try {
+    result.quota = await consumeDailyQuota(quotaKey);
+    if (!result.quota.allowed) {
+      return {
+        ...result,
+        allowed: false,
+        retryAfter: secondsUntilUtcMidnight(),
+        error: {
+          error: "Daily AI usage limit reached. Please try again tomorrow.",
+          quotaExceeded: true,
+        },
+      };
+    }
+  } catch (err) {
+    // Quota storage problems should not take the AI features down
+    console.error("[Quota] Daily quota check failed:", err.message || err);
+  }
+  return result;
+}
+
+/**
+ * Middleware: per-route-group rate limit plus daily AI quota. Place it after
+ * requireAuth() so the verified uid is used as the key. Runs the rest of the
+ * request inside `requestContext` for token accounting.
+ */
+function limitAiRoute(group) {
+  if (!RATE_LIMITS[group]) throw new Error(`Unknown rate limit group: ${group}`);
+
+  return async (req, res, next) => {
+    const quotaKey = req.uid ? `uid:${req.uid}` : `ip:${req.ip}`;
+    const limit = await consumeAiLimit(group, quotaKey);
+    res.setHeader("X-RateLimit-Limit", limit.limit);
+    res.setHeader("X-RateLimit-Remaining", limit.remaining);
+    res.setHeader("X-RateLimit-Reset", Math.ceil(limit.resetAt / 1000));
+    if (limit.quota) setQuotaHeaders(res, limit.quota);
+
+    if (!limit.allowed) {
+      discardUpload(req);
+      res.setHeader("Retry-After", limit.retryAfter);
+      return res.status(429).json(limit.error);
+    }
+
+    // Re-enter the context: multer's callbacks can run outside the original one
+    const ctx = { ...(requestContext.getStore() || {}), req, quotaKey };
+    ctx.routeGroup = group;
+    return requestContext.run(ctx, () => next());
+  };
+}
+
+// -----------------------------------------------------------------
+// Usage & cost accounting: every openaiRequest call is written to the
+// ai_usage_ledger collection (tokens, model, latency, route, fallback hops,
+// estimated cost) and aggregated by GET /admin/usage.
+// -----------------------------------------------------------------
+// USD per 1M tokens; override or extend with OPENAI_PRICING_JSON
+const MODEL_PRICING = {
+  "gpt-4o": { input: 2.5, output: 10 },
+  "gpt-4o-mini": { input: 0.15, output: 0.6 },
+  "gpt-4.1": { input: 2, output: 8 },
+  "gpt-4.1-mini": { input: 0.4, output: 1.6 },
+  "gpt-4-turbo": { input: 10, output: 30 },
+  "gpt-3.5-turbo": { input: 0.5, output: 1.5 },
+  "claude-3-5-haiku": { input: 0.8, output: 4 },
+  "claude-3-5-sonnet": { input: 3, output: 15 },
+  "claude-sonnet-4": { input: 3, output: 15 },
+  ...(process.env.OPENAI_PRICING_JSON
+    ? JSON.parse(process.env.OPENAI_PRICING_JSON)
+    : {}),
+};
+const ADMIN_UIDS = (process.env.ADMIN_UIDS || "")
+  .split(",")
+  .map((s) => s.trim())
+  .filter(Boolean);
+
+function estimateCostUsd(model, promptTokens, completionTokens) {
+  // Dated snapshots (e.g. gpt-4o-2024-08-06) are priced like their base model
+  const key = Object.keys(MODEL_PRICING)
+    .sort((a, b) => b.length - a.length)
+    .find((name) => model === name || model?.startsWith(`${name}-`));
+  if (!key) return null;
+  const price = MODEL_PRICING[key];
+  return (
+    (promptTokens * price.input + completionTokens * price.output) / 1_000_000
+  );
+}
+
+/**
+ * Called by openaiRequest after every model call (and once when the whole
+ * chain failed). Writes a ledger entry and charges the tokens to the daily
+ * quota of the request that triggered it. Never throws.
+ */
+function recordOpenAIUsage({
+  provider = null,
+  model,
+  usage,
+  latencyMs,
+  fallbackHops = 0,
+  streamed = false,
+  failed = false,
+}) {
+  const ctx = requestContext.getStore() || {};
+  const promptTokens = usage?.prompt_tokens || 0;
+  const completionTokens = usage?.completion_tokens || 0;
+  const totalTokens = usage?.total_tokens || promptTokens + completionTokens;
+  const route = ctx.req
+    ? `${ctx.req.method} ${ctx.req.route?.path || ctx.req.path}`
+    : "internal";
+  const estimatedCostUsd = model
+    ? estimateCostUsd(model, promptTokens, completionTokens)
+    : 0;
+
+  console.log(
+    `[Usage] ${route} model=${model || "none"} tokens=${totalTokens} latency=${latencyMs}ms hops=${fallbackHops}${failed ? " FAILED" : ""}`
+  );
+
+  db.collection("ai_usage_ledger")
+    .add({
+      day: utcDateKey(),
+      uid: ctx.req?.uid || null,
+      quotaKey: ctx.quotaKey || null,
+      route,
+      routeGroup: ctx.routeGroup || null,
+      provider,
+      model: model || null,
+      promptTokens,
+      completionTokens,
+      totalTokens,
+      latencyMs,
+      fallbackHops,
+      streamed,
+      failed,
+      estimatedCostUsd,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    })
+    .catch((err) =>
+      console.error("[Usage] Failed to write ledger entry:", err.message)
+    );
+
+  if (ctx.quotaKey && totalTokens) {
+    dailyQuotaRef(ctx.quotaKey)
+      .set(
+        {
+          tokens: admin.firestore.FieldValue.increment(totalTokens),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        },
+        { merge: true }
+      )
+      .catch((err) =>
+        console.error(`[Quota] Failed to record ${model} tokens:`, err.message)
+      );
+  }
+}
+
+/**
+ * Middleware: only admins (custom claim `admin: true` or listed in ADMIN_UIDS)
+ * may continue. Use after requireAuth().
+ */
+function requireAdmin(req, res, next) {
+  if (req.auth?.admin === true || ADMIN_UIDS.includes(req.uid)) return next();
+  return res.status(403).json({ error: "Admin access required." });
+}
+
+// =================================================================
+// 2. HELPERS (unchanged logic, minor adjustments to use wrapper)
+// =================================================================
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+// -----------------------------------------------------------------
+// Resume text extraction: native parsers first, Document AI OCR for
+// images, scans and PDFs whose text layer is too poor to trust.
+// -----------------------------------------------------------------
+const RESUME_MIME_BY_EXTENSION = {
+  ".pdf": "application/pdf",
+  ".docx":
+    "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  ".doc": "application/msword",
+  ".rtf": "application/rtf",
+  ".txt": "text/plain",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".tif": "image/tiff",
+  ".tiff": "image/tiff",
+  ".gif": "image/gif",
+};
+const RESUME_MIME_TYPES = new Set([
+  ...Object.values(RESUME_MIME_BY_EXTENSION),
+  "text/rtf",
+]);
+// A PDF text layer below either threshold is treated as a scan
+const PDF_MIN_CHARS_PER_PAGE = parseInt(
+  process.env.PDF_MIN_CHARS_PER_PAGE || "200",
+  10
+);
+const PDF_MIN_QUALITY_SCORE = parseFloat(
+  process.env.PDF_MIN_QUALITY_SCORE || "0.6"
+);
+
+/** Helper: trust the upload's MIME type unless it is generic, then go by extension. */
+function resolveResumeMimeType(mimeType, originalName = "") {
+  if (RESUME_MIME_TYPES.has(mimeType)) return mimeType;
+  const ext = path.extname(originalName).toLowerCase();
+  return RESUME_MIME_BY_EXTENSION[ext] || mimeType;
+}
+
+/** Helper: score extracted text (0-1) by how much of it is readable characters. */
+function assessTextQuality(text, pageCount = 1) {
+  const clean = text || "";
+  const nonSpace = clean.replace(/\s/g, "");
+  const letters = (nonSpace.match(/[\p{L}\p{N}]/gu) || []).length;
+  const garbled = (nonSpace.match(/[\uFFFD\u0000-\u001F]/g) || []).length;
+  const words = clean.match(/\p{L}{2,}/gu) || [];
+  const charsPerPage = Math.round(nonSpace.length / Math.max(1, pageCount));
+  const alphaRatio = nonSpace.length ? letters / nonSpace.length : 0;
+  const garbledRatio = nonSpace.length ? garbled / nonSpace.length : 0;
+  const score = Number(Math.max(0, alphaRatio - garbledRatio * 2).toFixed(2));
+
+  return {
+    score,
+    label:
+      score >= 0.8 ? "good" : score >= PDF_MIN_QUALITY_SCORE ? "fair" : "poor",
+    characters: nonSpace.length,
+    words: words.length,
+    pages: pageCount,
+    charsPerPage,
+    alphaRatio: Number(alphaRatio.toFixed(2)),
+  };
+}
+
+/** Helper: strip RTF control words and skipped groups, keeping plain text. */
+function rtfToText(rtf) {
+  const SKIPPED_GROUP = /^\\(\*|fonttbl|colortbl|stylesheet|info|pict|header|footer)/;
+  const stack = [];
+  let skipping = false;
+  let out = "";
+  let i = 0;
+
+  while (i < rtf.length) {
+    const ch = rtf[i];
+    if (ch === "{") {
+      stack.push(skipping);
+      if (SKIPPED_GROUP.test(rtf.slice(i + 1, i + 12))) skipping = true;
+      i += 1;
+    } else if (ch === "}") {
+      skipping = stack.pop() ?? false;
+      i += 1;
+    } else if (ch === "\\") {
+      const rest = rtf.slice(i, i + 40);
+      const hex = /^\\'([0-9a-fA-F]{2})/.exec(rest);
+      const word = /^\\([a-zA-Z]+)(-?\d+)? ?/.exec(rest);
+      if (hex) {
+        if (!skipping) out += String.fromCharCode(parseInt(hex[1], 16));
+        i += 4;
+      } else if (word) {
+        i += word[0].length;
+        if (skipping) continue;
+        if (word[1] === "par" || word[1] === "line") out += "\n";
+        else if (word[1] === "tab") out += "\t";
+        else if (word[1] === "u" && word[2]) {
+          out += String.fromCharCode((parseInt(word[2], 10) + 65536) % 65536);
+          // Skip the ANSI fallback character that follows \uN
+          if (rtf[i] === "?") i += 1;
+          else if (rtf.startsWith("\\'", i)) i += 4;
+        }
+      } else {
+        if (!skipping && "\\{}".includes(rtf[i + 1])) out += rtf[i + 1];
+        i += 2;
+      }
+    } else {
+      if (!skipping && ch !== "\r" && ch !== "\n") out += ch;
+      i += 1;
+    }
+  }
+
+  return out.replace(/[ \t]+\n/g, "\n").replace(/\n{3,}/g, "\n\n").trim();
+}
+
+/** Helper: read a PDF's embedded text layer (and ruled tables) with pdf-parse. */
+async function extractPdfTextLayer(filePath) {
+  const parser = new PDFParse({ data: fs.readFileSync(filePath) });
+  try {
+    const result = await parser.getText();
+    const text = (result.pages || [])
+      .map((page) => page.text.trim())
+      .filter(Boolean)
+      .join("\n\n");
+    let tables = 0;
+    try {
+      const tableResult = await parser.getTable();
+      for (const page of tableResult.pages || []) tables += page.tables.length;
+    } catch (err) {
+      console.warn(`[Extract] PDF table detection failed: ${err.message}`);
+    }
+    return {
+      text,
+      pages: result.total || result.pages?.length || 1,
+      layout: { tables, images: 0 },
+    };
+  } finally {
+    await parser.destroy().catch(() => {});
+  }
+}
+
+/** Helper: count tables and images in a DOCX (both trip up ATS parsers). */
+async function docxLayout(filePath) {
+  const { value: html } = await mammoth.convertToHtml(
+    { path: filePath },
+    { convertImage: mammoth.images.imgElement(() => ({ src: "" })) }
+  );
+  return {
+    tables: (html.match(/<table/g) || []).length,
+    images: (html.match(/<img/g) || []).length,
+  };
+}
+
+/** Helper: OCR a file with Google Document AI. */
+async function extractTextWithDocumentAI(filePath, fileMimeType) {
+  if (!docAIClient) {
+    throw new Error("Document AI client is not initialized.");
+  }
+  if (!docAIprojectId || !docAIlocation || !docAIprocessorId) {
+    throw new Error("Document AI configuration is missing.");
+  }
+  console.log(
+    `Sending file to Document AI OCR: ${filePath}, MIME: ${fileMimeType}`
+  );
+
+  try {
+    const content = fs.readFileSync(filePath).toString("base64");
+    const name = `projects/${docAIprojectId}/locations/${docAIlocation}/processors/${docAIprocessorId}`;
+    const request = {
+      name: name,
+      rawDocument: {
+        content: content,
+        mimeType: fileMimeType,
+      },
+    };
+
+    console.log("Calling Document AI OCR processDocument...");
+    const [result] = await docAIClient.processDocument(request);
+    const { document } = result;
+
+    if (!document || !document.text) {
+      console.warn("Document AI OCR processed the file but returned no text.");
+      throw new Error("Could not extract text from the document using OCR.");
+    }
+
+    console.log(
+      `Extracted ${document.text.length} characters via Document AI OCR.`
+    );
+    const pages = document.pages?.length || 1;
+    // The whole document is an image as far as an ATS is concerned
+    return { text: document.text, pages, layout: { tables: 0, images: pages } };
+  } catch (error) {
+    console.error(`Error calling Google Document AI OCR:`, error);
+    const errorMessage =
+      error.details || error.message || "Unknown Document AI OCR error";
+    throw new Error(`Failed to process document with OCR: ${errorMessage}`);
+  }
+}
+
+/**
+ * Extracts resume text, preferring native parsers over OCR.
+ * Returns { text, method, quality, layout, warnings } where method is one of
+ * "docx", "rtf", "text", "pdf-text", "ocr". Errors start with
+ * "Extraction failed" so callers can map them to a readable message.
+ */
+async function extractResumeText(filePath, fileMimeType) {
+  const warnings = [];
+  const done = (method, { text, pages, layout = { tables: 0, images: 0 } }) => {
+    const quality = assessTextQuality(text, pages);
+    console.log(
+      `[Extract] ${method}: ${quality.characters} chars, quality ${quality.score} (${quality.label})`
+    );
+    return { text, method, quality, layout, warnings };
+  };
+
+  if (
+    fileMimeType ===
+    "application/vnd.openxmlformats-officedocument.wordprocessingml.document"
+  ) {
+    const { value, messages } = await mammoth.extractRawText({ path: filePath });
+    for (const m of messages || []) warnings.push(m.message);
+    if (!value.trim()) throw new Error("Extraction failed: DOCX has no text.");
+    let layout;
+    try {
+      layout = await docxLayout(filePath);
+    } catch (err) {
+      console.warn(`[Extract] DOCX layout detection failed: ${err.message}`);
+    }
+    return done("docx", { text: value.trim(), pages: 1, layout });
+  }
+
+  if (fileMimeType === "application/rtf" || fileMimeType === "text/rtf") {
+    const text = rtfToText(fs.readFileSync(filePath, "latin1"));
+    if (!text) throw new Error("Extraction failed: RTF has no text.");
+    return done("rtf", { text, pages: 1 });
+  }
+
+  if (fileMimeType === "text/plain") {
+    const text = fs
+      .readFileSync(filePath, "utf8")
+      .replace(/^\uFEFF/, "")
+      .trim();
+    if (!text) throw new Error("Extraction failed: text file is empty.");
+    return done("text", { text, pages: 1 });
+  }
+
+  let textLayer = null;
+  if (fileMimeType === "application/pdf") {
+    try {
+      textLayer = await extractPdfTextLayer(filePath);
+    } catch (err) {
+      console.warn(`[Extract] pdf-parse failed: ${err.message}`);
+      warnings.push("PDF text layer could not be read.");
+    }
+    if (textLayer) {
+      const quality = assessTextQuality(textLayer.text, textLayer.pages);
+      if (
+        quality.charsPerPage >= PDF_MIN_CHARS_PER_PAGE &&
+        quality.score >= PDF_MIN_QUALITY_SCORE
+      ) {
+        return done("pdf-text", textLayer);
+      }
+      warnings.push(
+        `PDF text layer looks like a scan (${quality.charsPerPage} chars/page, quality ${quality.score}).`
+      );
+    }
+  }
+
+  // Images, legacy .doc, scanned PDFs: OCR when Document AI is available
+  if (docAIClient) {
+    try {
+      return done("ocr", await extractTextWithDocumentAI(filePath, fileMimeType));
+    } catch (err) {
+      if (!textLayer?.text.trim()) {
+        throw new Error(`Extraction failed: ${err.message}`);
+      }
+      warnings.push("OCR failed; using the PDF text layer instead.");
+    }
+  } else if (textLayer?.text.trim()) {
+    warnings.push("OCR is not configured; using the PDF text layer as-is.");
+  }
+
+  if (textLayer?.text.trim()) return done("pdf-text", textLayer);
+  throw new Error(
+    docAIClient
+      ? "Extraction failed: no text could be read from the file."
+      : `Extraction failed: ${fileMimeType} needs OCR, which is not configured.`
+  );
+}
+
+/** Helper: the client-facing part of an extractResumeText result. */
+function describeExtraction(extraction) {
+  if (!extraction) return null;
+  const { method, quality, layout, warnings } = extraction;
+  return { method, quality, layout, warnings };
+}
+async function getUserStats(uid) {
+  if (!uid) return null;
+  const statsRef = db.collection("user_stats").doc(uid);
+  const doc = await statsRef.get();
+
+  if (!doc.exists) {
+    const defaultStats = {
+      hrAnswersCompleted: 0,
+      starStoriesSaved: 0,
+      techQuestionsPracticed: 0,
+      mockInterviewsRecorded: 0,
+      companyNotesCreated: 0,
+    };
+    await statsRef.set(defaultStats);
+    return defaultStats;
+  }
+  return doc.data();
+}
+async function getResumeFeedback(resumeText, ats = null) {
+  if (!resumeText || resumeText.trim().length < 50) {
+    throw new Error("Extracted resume text is too short or empty.");
   }
+  // The ATS score is computed by scoreResumeAts; the model only explains it
+  const atsBreakdown = ats
+    ? [
+        ...ats.breakdown.map(
+          (c) =>
+            `- ${c.label}: ${c.score}/${c.max} ${JSON.stringify(c.details)}`
+        ),
+        ats.lengthPenalty &&
+          `- Length: ${ats.words} words, -${ats.lengthPenalty} points from the total`,
+      ]
+        .filter(Boolean)
+        .join("\n")
+    : "";
 
   const analysisPrompt = `
 You are an **expert career strategist, HR consultant, and professional resume reviewer** with 15+ years of experience helping candidates optimize their resumes for top global employers (FAANG, Fortune 500, startups, and government roles).
@@ -427,7 +1820,13 @@ For each section (if present), evaluate:
 - **Projects/Certifications:** Are they meaningful and add credibility?
 
 # ATS & Keyword Optimization
-Analyze whether the resume is likely to **pass an Applicant Tracking System (ATS)** scan.
+${
+  ats
+    ? `A rule-based ATS check scored this resume **${ats.score}/100**. Per-criterion results:
+${atsBreakdown}
+Explain what drove this score, criterion by criterion, and how to raise the lowest ones. Do not compute or state a different ATS score.`
+    : "Analyze whether the resume is likely to **pass an Applicant Tracking System (ATS)** scan."
+}
 - Identify missing **industry-relevant keywords**.
 - Suggest 5–10 keywords the candidate should integrate based on their likely field.
 
@@ -446,7 +1845,7 @@ Each recommendation should start with a bold heading (e.g., **Add Measurable Res
 # Final Verdict
 Summarize your professional opinion in 3–5 sentences:
 - Overall impression (Professional / Needs Major Work / Excellent)
-- Estimated ATS score (out of 100)
+- ${ats ? `ATS score: ${ats.score}/100 (from the rule-based check above)` : "Estimated ATS score (out of 100)"}
 - Hiring-readiness level (e.g., Ready for submission, Needs moderate revisions, Major rewrite needed)
 `;
 
@@ -466,41 +1865,624 @@ Summarize your professional opinion in 3–5 sentences:
   }
 }
 
-function detectLanguageSimple(message) {
-  if (!message || typeof message !== "string" || message.trim() === "")
-    return "English";
-  if (/[\u0900-\u097F]/.test(message)) return "Hindi";
-  if (/[\u0A00-\u0A7F]/.test(message)) return "Punjabi";
-  try {
-    const code3 = franc(message);
-    if (code3 && code3 !== "und") {
-      const info = langs.where("3", code3);
-      if (info && info.name) {
-        if (info.name.toLowerCase().includes("english")) return "English";
-        if (info.name.toLowerCase().includes("hindi")) return "Hindi";
-        if (info.name.toLowerCase().includes("punjabi")) return "Punjabi";
-      }
-    }
-  } catch (e) {}
-  return "English";
-}
-async function fetchUserPreferences(uid) {
-  if (!uid) return null;
-  try {
-    const snap = await db.collection("users").doc(uid).get();
-    return snap.exists ? snap.data() : null;
-  } catch (err) {
-    console.error("Error fetching user prefs:", err);
-    return null;
+// -----------------------------------------------------------------
+// Resume parsing: extracted text -> canonical JSON profile, optionally
+// stored on users/{uid}.resumeProfile
+// -----------------------------------------------------------------
+const RESUME_MAX_CHARS = parseInt(process.env.RESUME_MAX_CHARS || "20000", 10);
+// "" when unknown, otherwise YYYY, YYYY-MM or "Present"
+const RESUME_DATE = {
+  type: "string",
+  pattern: "^(\\d{4}(-(0[1-9]|1[0-2]))?|Present)?$",
+};
+const STRING_LIST = { type: "array", items: NON_EMPTY_STRING };
+const RESUME_PROFILE_SCHEMA = {
+  type: "object",
+  properties: {
+    contact: {
+      type: "object",
+      properties: {
+        name: { type: "string" },
+        email: { type: "string" },
+        phone: { type: "string" },
+        location: { type: "string" },
+        links: STRING_LIST,
+      },
+      required: ["name", "email", "phone", "location", "links"],
+    },
+    summary: { type: "string" },
+    experience: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          title: { type: "string" },
+          company: { type: "string" },
+          location: { type: "string" },
+          startDate: RESUME_DATE,
+          endDate: RESUME_DATE,
+          bullets: STRING_LIST,
+        },
+        required: ["title", "company", "startDate", "endDate", "bullets"],
+      },
+    },
+    education: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          institution: { type: "string" },
+          degree: { type: "string" },
+          field: { type: "string" },
+          startDate: RESUME_DATE,
+          endDate: RESUME_DATE,
+          grade: { type: "string" },
+        },
+        required: ["institution", "degree", "startDate", "endDate"],
+      },
+    },
+    skills: STRING_LIST,
+    projects: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          name: NON_EMPTY_STRING,
+          description: { type: "string" },
+          technologies: STRING_LIST,
+          link: { type: "string" },
+        },
+        required: ["name", "description", "technologies"],
+      },
+    },
+    certifications: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          name: NON_EMPTY_STRING,
+          issuer: { type: "string" },
+          date: RESUME_DATE,
+        },
+        required: ["name", "issuer", "date"],
+      },
+    },
+    languages: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          language: NON_EMPTY_STRING,
+          proficiency: { type: "string" },
+        },
+        required: ["language", "proficiency"],
+      },
+    },
+  },
+  required: [
+    "contact",
+    "summary",
+    "experience",
+    "education",
+    "skills",
+    "projects",
+    "certifications",
+    "languages",
+  ],
+};
+
+/** Helper: normalise "Jan 2020", "01/2020", "current" etc. to RESUME_DATE form. */
+function normalizeResumeDate(value) {
+  if (typeof value !== "string") return "";
+  const v = value.trim().toLowerCase();
+  if (!v) return "";
+  if (/^(present|current|now|ongoing|till date|to date)$/.test(v)) {
+    return "Present";
+  }
+  let m = v.match(/^(\d{4})[-/.](\d{1,2})$/);
+  if (m) return `${m[1]}-${m[2].padStart(2, "0")}`;
+  m = v.match(/^(\d{1,2})[-/.](\d{4})$/);
+  if (m) return `${m[2]}-${m[1].padStart(2, "0")}`;
+  m = v.match(/^([a-z]{3})[a-z]*\.?,?\s+(\d{4})$/);
+  if (m && MONTHS.includes(m[1])) {
+    return `${m[2]}-${String(MONTHS.indexOf(m[1]) + 1).padStart(2, "0")}`;
   }
+  m = v.match(/\b(19|20)\d{2}\b/);
+  return m ? m[0] : value.trim();
 }
 
-async function getCompanyLogo(companyName, jsearchLogo) {
-  if (jsearchLogo) return jsearchLogo;
-  if (!companyName || companyName.trim() === "") return null;
-  const companyKey = companyName
-    .toLowerCase()
-    .replace(/[^a-z0-9]/g, "")
+/** Helper: fix the harmless deviations models make in resume profiles. */
+function coerceResumeProfile(data) {
+  if (!data || typeof data !== "object") return data;
+  const entries = (list, fix) =>
+    Array.isArray(list)
+      ? list.map((e) => (e && typeof e === "object" ? fix(e) : e))
+      : list;
+
+  return {
+    ...data,
+    contact: data.contact
+      ? { ...data.contact, links: uniqueStrings(data.contact.links) }
+      : data.contact,
+    experience: entries(data.experience, (e) => ({
+      ...e,
+      startDate: normalizeResumeDate(e.startDate),
+      endDate: normalizeResumeDate(e.endDate),
+      bullets: uniqueStrings(e.bullets),
+    })),
+    education: entries(data.education, (e) => ({
+      ...e,
+      startDate: normalizeResumeDate(e.startDate),
+      endDate: normalizeResumeDate(e.endDate),
+    })),
+    certifications: entries(data.certifications, (e) => ({
+      ...e,
+      date: normalizeResumeDate(e.date),
+    })),
+    skills: uniqueStrings(data.skills),
+  };
+}
+
+/**
+ * Parse resume text into a RESUME_PROFILE_SCHEMA object. Facts only come from
+ * the text; unknown strings are "" and missing sections are empty arrays.
+ */
+async function parseResumeProfile(resumeText) {
+  if (!resumeText || resumeText.trim().length < 50) {
+    throw new Error("Extracted resume text is too short or empty.");
+  }
+  const prompt = `
+Parse the resume below into the JSON structure described by the schema.
+
+Rules:
+- Copy facts from the resume only. Never invent employers, dates, skills or contact details.
+- Use "" for unknown text fields and [] for missing sections.
+- Dates: "YYYY-MM" when the month is known, "YYYY" when only the year is, "Present" for ongoing roles, "" when absent.
+- experience: most recent first; one entry per role; bullets are the achievement/responsibility lines, copied verbatim without bullet symbols.
+- skills: individual technologies, tools and competencies (e.g. "Python", "Docker", "Stakeholder Management"), not sentences.
+- languages: spoken languages only, not programming languages.
+
+Resume:
+---
+${resumeText.slice(0, RESUME_MAX_CHARS)}
+---
+`;
+  return structuredRequest({
+    prompt,
+    schema: RESUME_PROFILE_SCHEMA,
+    schemaName: "resume_profile",
+    temperature: 0,
+    coerce: coerceResumeProfile,
+  });
+}
+
+/**
+ * Helper: resume text for a request, taken from an uploaded `resumeFile`
+ * (via extractResumeText) or a pasted `resumeText` body field. Throws an
+ * Error with `status` 400 when neither is usable.
+ */
+async function readResumeInput(req) {
+  if (req.file) {
+    const mimeType = resolveResumeMimeType(
+      req.file.mimetype,
+      req.file.originalname
+    );
+    if (!RESUME_MIME_TYPES.has(mimeType)) {
+      const err = new Error(`Unsupported file type: ${mimeType}.`);
+      err.status = 400;
+      throw err;
+    }
+    const extraction = await extractResumeText(req.file.path, mimeType);
+    return { text: extraction.text, extraction };
+  }
+  const text =
+    typeof req.body?.resumeText === "string" ? req.body.resumeText.trim() : "";
+  if (!text) {
+    const err = new Error("Upload a resumeFile or send resumeText.");
+    err.status = 400;
+    throw err;
+  }
+  return { text, extraction: null };
+}
+
+/** Helper: store a parsed profile on the user document. */
+async function saveResumeProfile(uid, profile) {
+  await db.collection("users").doc(uid).set(
+    {
+      resumeProfile: profile,
+      resumeProfileUpdatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    },
+    { merge: true }
+  );
+}
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+// -----------------------------------------------------------------
+// Document classification: resume / CV / cover letter / job description
+// / other. The heuristics live in document-classifier.js; a cheap LLM check
+// breaks ties when they are unsure.
+// -----------------------------------------------------------------
+const CLASSIFIER_LLM_THRESHOLD = parseFloat(
+  process.env.CLASSIFIER_LLM_THRESHOLD || "0.7"
+);
+const CLASSIFIER_SCHEMA = {
+  type: "object",
+  properties: {
+    type: { type: "string", enum: DOCUMENT_TYPES },
+    confidence: { type: "number", minimum: 0, maximum: 1 },
+  },
+  required: ["type", "confidence"],
+};
+
+/** Helper: ask the model for a document type; null when the call fails. */
+async function classifyDocumentWithLlm(text) {
+  try {
+    return await structuredRequest({
+      prompt: `Classify this document as one of: resume (1-2 page job application summary), cv (academic/long-form curriculum vitae), cover_letter, job_description, other. It may be in any of: ${SUPPORTED_LANGUAGES.join(", ")}. Give your confidence from 0 to 1.
+
+Document (truncated):
+---
+${text.slice(0, 3000)}
+---`,
+      schema: CLASSIFIER_SCHEMA,
+      schemaName: "document_type",
+      temperature: 0,
+      modelOverride: process.env.OPENAI_CLASSIFIER_MODEL || null,
+    });
+  } catch (err) {
+    console.warn(`[Classifier] LLM check failed: ${err.message}`);
+    return null;
+  }
+}
+
+const classifyDocument = createDocumentClassifier({
+  classifyWithLlm: classifyDocumentWithLlm,
+  llmThreshold: CLASSIFIER_LLM_THRESHOLD,
+});
+
+async function fetchUserPreferences(uid) {
+  if (!uid) return null;
+  try {
+    const snap = await db.collection("users").doc(uid).get();
+    return snap.exists ? snap.data() : null;
+  } catch (err) {
+    console.error("Error fetching user prefs:", err);
+    return null;
+  }
+}
+
+/**
+ * Helper: the user's skills as a list, preferring the parsed resume profile
+ * (users/{uid}.resumeProfile) over the free-text comma-separated `skills`.
+ */
+function userSkillList(prefs) {
+  const parsed = prefs?.resumeProfile?.skills;
+  if (Array.isArray(parsed) && parsed.length) return parsed;
+  return (prefs?.skills || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+// Conversations: users/{uid}/conversations/{conversationId}/messages/{messageId}
+const CONVERSATION_HISTORY_LIMIT = parseInt(
+  process.env.CONVERSATION_HISTORY_LIMIT || "500",
+  10
+);
+
+function conversationsRef(uid) {
+  return db.collection("users").doc(uid).collection("conversations");
+}
+
+/**
+ * Helper: load a stored conversation as [{ role, content, id, createdAtMs }]
+ * in chronological order (the latest CONVERSATION_HISTORY_LIMIT messages).
+ * Returns null when the conversation does not exist.
+ */
+async function loadConversationHistory(uid, conversationId) {
+  const convRef = conversationsRef(uid).doc(conversationId);
+  const convDoc = await convRef.get();
+  if (!convDoc.exists) return null;
+  const snap = await convRef
+    .collection("messages")
+    .orderBy("createdAt", "desc")
+    .limit(CONVERSATION_HISTORY_LIMIT)
+    .get();
+  return snap.docs
+    .map((d) => ({ id: d.id, ...d.data() }))
+    .filter((m) => m.role === "user" || m.role === "assistant")
+    .map((m) => ({
+      role: m.role,
+      content: m.content || "",
+      id: m.id,
+      createdAtMs: m.createdAt?.toMillis?.() ?? null,
+    }))
+    .reverse();
+}
+
+/**
+ * Helper: append messages to a stored conversation and bump its metadata.
+ * Timestamps are spaced by 1ms so messages written in one batch keep their
+ * order.
+ */
+async function appendConversationMessages(uid, conversationId, messages) {
+  const convRef = conversationsRef(uid).doc(conversationId);
+  const batch = db.batch();
+  const now = Date.now();
+  messages.forEach((m, i) => {
+    batch.set(convRef.collection("messages").doc(), {
+      role: m.role,
+      content: m.content,
+      createdAt: admin.firestore.Timestamp.fromMillis(now + i),
+    });
+  });
+  const last = messages[messages.length - 1];
+  batch.set(
+    convRef,
+    {
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      messageCount: admin.firestore.FieldValue.increment(messages.length),
+      lastMessagePreview: (last?.content || "").slice(0, 120),
+    },
+    { merge: true }
+  );
+  await batch.commit();
+
+  // Name untitled conversations after their first user message
+  const firstUser = messages.find((m) => m.role === "user");
+  if (firstUser) {
+    const convDoc = await convRef.get();
+    if (convDoc.exists && !convDoc.data().title) {
+      await convRef.update({ title: firstUser.content.trim().slice(0, 60) });
+    }
+  }
+}
+
+// -----------------------------------------------------------------
+// Chat context manager: keeps the prompt within a token budget by replacing
+// older turns with a rolling summary. The summary state is stored on the
+// conversation document as { text, coveredThroughId, coveredThroughMs } (the
+// last message it covers, since stored history is a sliding window of the
+// latest messages), or in memory per uid as { text, coveredCount, prefixHash }
+// for client-supplied history. It is only regenerated once the recent window
+// outgrows its share of the budget.
+// -----------------------------------------------------------------
+const CHAT_CONTEXT_TOKEN_BUDGET = parseInt(
+  process.env.CHAT_CONTEXT_TOKEN_BUDGET || "6000",
+  10
+);
+const CHAT_SUMMARY_MAX_TOKENS = parseInt(
+  process.env.CHAT_SUMMARY_MAX_TOKENS || "400",
+  10
+);
+// After a summary refresh, recent turns may use this share of the history budget
+const CHAT_RECENT_WINDOW_RATIO = 0.6;
+const CHAT_MIN_RECENT_MESSAGES = 4;
+// uid -> summary state, for history supplied by the client
+const historySummaryCache = new Map();
+
+/**
+ * Helper: estimate tokens for a string without a tokenizer. Latin text
+ * averages ~4 chars per token; Indic scripts tokenize far more densely.
+ */
+function estimateTokens(text) {
+  if (!text) return 0;
+  const str = typeof text === "string" ? text : JSON.stringify(text);
+  const indicChars = (str.match(/[\u0900-\u0DFF]/g) || []).length;
+  return Math.ceil((str.length - indicChars) / 4 + indicChars / 1.5);
+}
+
+function countMessageTokens(message) {
+  // ~4 tokens of per-message overhead for role and separators
+  let tokens = 4 + estimateTokens(message.content);
+  if (message.tool_calls) tokens += estimateTokens(message.tool_calls);
+  return tokens;
+}
+
+function hashMessages(messages) {
+  return crypto
+    .createHash("sha1")
+    .update(JSON.stringify(messages.map((m) => [m.role, m.content])))
+    .digest("hex");
+}
+
+async function loadSummaryState({ uid, conversationId }) {
+  if (conversationId) {
+    const convDoc = await conversationsRef(uid).doc(conversationId).get();
+    return convDoc.exists ? convDoc.data().summary || null : null;
+  }
+  return historySummaryCache.get(uid) || null;
+}
+
+async function saveSummaryState({ uid, conversationId }, state) {
+  if (conversationId) {
+    await conversationsRef(uid)
+      .doc(conversationId)
+      .set(
+        {
+          summary: {
+            ...state,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+          },
+        },
+        { merge: true }
+      );
+    return;
+  }
+  historySummaryCache.delete(uid);
+  historySummaryCache.set(uid, state);
+  if (historySummaryCache.size > 1000) {
+    // Map keeps insertion order: drop the least recently written entry
+    historySummaryCache.delete(historySummaryCache.keys().next().value);
+  }
+}
+
+/**
+ * Helper: index just past the messages `state` covers in `history`, or -1
+ * when the summary does not belong to this history. A covered message that
+ * has slid out of the loaded window means the summary covers all of it.
+ */
+function summaryCoverage(state, history) {
+  if (!state) return -1;
+  if (state.coveredThroughId) {
+    const index = history.findIndex((m) => m.id === state.coveredThroughId);
+    if (index !== -1) return index + 1;
+    return history[0]?.createdAtMs > state.coveredThroughMs ? 0 : -1;
+  }
+  return state.coveredCount <= history.length &&
+    state.prefixHash === hashMessages(history.slice(0, state.coveredCount))
+    ? state.coveredCount
+    : -1;
+}
+
+/**
+ * Helper: summary state covering history[0..cut). Stored conversations are
+ * keyed by message id, client-supplied history by a hash of the prefix.
+ */
+function summaryStateFor(text, history, cut) {
+  const last = history[cut - 1];
+  if (last?.id) {
+    return {
+      text,
+      coveredThroughId: last.id,
+      coveredThroughMs: last.createdAtMs,
+    };
+  }
+  return {
+    text,
+    coveredCount: cut,
+    prefixHash: hashMessages(history.slice(0, cut)),
+  };
+}
+
+/**
+ * Helper: fold `messages` into an existing summary (or start a new one).
+ */
+async function summarizeHistory(previousSummary, messages) {
+  const transcript = messages
+    .map((m) => `${m.role === "assistant" ? "Assistant" : "User"}: ${m.content}`)
+    .join("\n");
+  const prompt = `
+You maintain a running summary of a conversation between a user and RozgarAI, an AI career mentor.
+
+${previousSummary ? `Current summary:\n${previousSummary}\n` : ""}
+New messages to fold into the summary:
+---
+${transcript}
+---
+
+Write the updated summary in at most 200 words. Keep facts the mentor will need later: the user's goals, skills, experience, locations, preferences, jobs or resources already discussed, and any open questions. Write it in English as plain prose, with no preamble.
+`;
+  const aiResp = await openaiRequest({
+    messages: [{ role: "user", content: prompt }],
+    modelOverride: process.env.OPENAI_SUMMARY_MODEL || null,
+    temperature: 0.2,
+    maxTokens: CHAT_SUMMARY_MAX_TOKENS,
+    returnContent: true,
+  });
+  if (!aiResp.ok || !aiResp.content)
+    throw new Error(aiResp.error || "Summary request failed.");
+  return aiResp.content.trim();
+}
+
+/**
+ * Fit chat history into CHAT_CONTEXT_TOKEN_BUDGET alongside the system prompt
+ * and the new user message. Returns the history to send: unchanged when it
+ * fits, otherwise [summary system message, ...recent turns].
+ */
+async function fitHistoryToBudget({
+  systemPrompt,
+  history,
+  newMessage,
+  uid,
+  conversationId,
+}) {
+  const historyBudget =
+    CHAT_CONTEXT_TOKEN_BUDGET -
+    estimateTokens(systemPrompt) -
+    estimateTokens(newMessage) -
+    CHAT_SUMMARY_MAX_TOKENS;
+  const tokensFrom = (start) =>
+    history.slice(start).reduce((sum, m) => sum + countMessageTokens(m), 0);
+
+  if (tokensFrom(0) <= historyBudget) return history;
+
+  const key = { uid, conversationId };
+  let state = null;
+  try {
+    state = await loadSummaryState(key);
+  } catch (err) {
+    console.error("[Context] Could not load summary:", err.message || err);
+  }
+  const covered = summaryCoverage(state, history);
+  const stateIsValid = covered !== -1;
+
+  let summaryText = stateIsValid ? state.text : null;
+  let cut = stateIsValid ? covered : 0;
+
+  if (!stateIsValid || tokensFrom(cut) > historyBudget) {
+    // Slide the window: keep recent turns up to the target share of the budget
+    const target = Math.floor(historyBudget * CHAT_RECENT_WINDOW_RATIO);
+    let used = 0;
+    let newCut = history.length;
+    while (newCut > 0) {
+      const cost = countMessageTokens(history[newCut - 1]);
+      const keepAnyway = history.length - newCut < CHAT_MIN_RECENT_MESSAGES;
+      if (!keepAnyway && used + cost > target) break;
+      used += cost;
+      newCut -= 1;
+    }
+    newCut = Math.max(newCut, cut);
+
+    try {
+      summaryText = await summarizeHistory(
+        summaryText,
+        history.slice(cut, newCut)
+      );
+      console.log(
+        `[Context] Summarized ${newCut} of ${history.length} messages for ${uid}.`
+      );
+      await saveSummaryState(
+        key,
+        summaryStateFor(summaryText, history, newCut)
+      );
+    } catch (err) {
+      // Without a summary, fall back to simply dropping the older turns
+      console.error("[Context] Summary failed:", err.message || err);
+    }
+    cut = newCut;
+  }
+
+  const recent = history.slice(cut);
+  if (!summaryText) return recent;
+  return [
+    {
+      role: "system",
+      content: `Summary of the earlier conversation (older messages omitted):\n${summaryText}`,
+    },
+    ...recent,
+  ];
+}
+
+function serializeConversation(doc) {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    title: data.title || null,
+    messageCount: data.messageCount || 0,
+    lastMessagePreview: data.lastMessagePreview || "",
+    createdAt: data.createdAt?.toDate?.().toISOString() || null,
+    updatedAt: data.updatedAt?.toDate?.().toISOString() || null,
+  };
+}
+
+async function getCompanyLogo(companyName, jsearchLogo) {
+  if (jsearchLogo) return jsearchLogo;
+  if (!companyName || companyName.trim() === "") return null;
+  const companyKey = companyName
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "")
     .replace(/inc|llc|ltd|pvt/g, "");
   if (!companyKey) return null;
   const logoRef = db.collection("company_logos").doc(companyKey);
@@ -576,46 +2558,58 @@ function cleanJobDescription(description) {
   return Array.from(uniqueParagraphs).join("\n\n");
 }
 
-function getExperience(job) {
-  if (!job) return "Not Disclosed";
-
-  if (job.job_required_experience) {
-    const exp = job.job_required_experience;
-    if (exp.no_experience_required) return "Entry Level";
-
-    const months = exp.required_experience_in_months;
-    if (months) {
-      if (months < 12) return `${months} months`;
-      const years = (months / 12).toFixed(1).replace(".0", "");
-      return `${years}+ years`;
-    }
-  }
-
-  if (job.job_description) {
-    const description = job.job_description.toLowerCase();
-
-    const regex =
-      /(\d[\d.,-]*\+?)\s*(to|-)?\s*(\d[\d.,-]*\+?)?\s*(year|yr|month)s?/i;
-    const match = description.match(regex);
-
-    if (match) {
-      if (match[3]) {
-        return `${match[1]}-${match[3]} ${match[4]}s`;
-      } else {
-        return `${match[1]} ${match[4]}s`;
-      }
-    }
+/** Helper: map a raw JSearch job to the shape the app stores and returns. */
+async function normalizeJob(job) {
+  const logoUrl = await getCompanyLogo(job.employer_name, job.employer_logo);
+  const location = `${job.job_city || ""}${
+    job.job_city && job.job_state ? ", " : ""
+  }${job.job_state || ""}`.trim();
+  const cleanDescription = cleanJobDescription(job.job_description);
+  return {
+    job_id: job.job_id,
+    title: job.job_title,
+    company: job.employer_name,
+    companyLogoUrl: logoUrl,
+    location: location || "N/A",
+    description: cleanDescription || "No description available.",
+    applicationLink:
+      job.job_apply_link ||
+      `https://www.google.com/search?q=${encodeURIComponent(
+        job.job_title + " " + job.employer_name
+      )}`,
+    salary: formatSalary(job),
+    jobType: getJobType(job),
+    experience: getExperience(job),
+  };
+}
 
-    if (
-      description.includes("entry level") ||
-      description.includes("no experience")
-    ) {
-      return "Entry Level";
+/** Helper: fetch a single JSearch job by id. Returns null when not found. */
+async function findJobById(jobId) {
+  if (!process.env.JSEARCH_API_KEY || !jobId) return null;
+  const url = new URL("https://jsearch.p.rapidapi.com/job-details");
+  url.searchParams.append("job_id", jobId);
+  try {
+    const response = await fetch(url, {
+      method: "GET",
+      headers: {
+        "X-RapidAPI-Key": process.env.JSEARCH_API_KEY,
+        "X-RapidAPI-Host": "jsearch.p.rapidapi.com",
+      },
+      timeout: 10000,
+    });
+    if (!response.ok) {
+      console.warn(`[findJobById] HTTP ${response.status} for ${jobId}`);
+      return null;
     }
+    const result = await response.json();
+    const job = result?.data?.[0];
+    return job ? normalizeJob(job) : null;
+  } catch (err) {
+    console.error("[findJobById] Error:", err.message);
+    return null;
   }
-
-  return "Not Disclosed";
 }
+
 const findJobs = async (params) => {
   console.log("[findJobs] Checking API Key...");
   if (!process.env.JSEARCH_API_KEY) {
@@ -647,91 +2641,1189 @@ const findJobs = async (params) => {
 
       console.log(`[findJobs] Fetching Page ${page} → ${url.toString()}`);
 
-      const response = await fetch(url, {
-        method: "GET",
-        headers: {
-          "X-RapidAPI-Key": process.env.JSEARCH_API_KEY,
-          "X-RapidAPI-Host": "jsearch.p.rapidapi.com",
+      const response = await fetch(url, {
+        method: "GET",
+        headers: {
+          "X-RapidAPI-Key": process.env.JSEARCH_API_KEY,
+          "X-RapidAPI-Host": "jsearch.p.rapidapi.com",
+        },
+        timeout: 10000,
+      });
+
+      console.log(
+        `[findJobs] Page ${page} status:`,
+        response.status,
+        response.statusText
+      );
+
+      if (!response.ok) {
+        console.warn(
+          `[findJobs] Warning: Page ${page} returned HTTP ${response.status}. Skipping...`
+        );
+        continue;
+      }
+
+      const result = await response.json();
+      if (!result?.data || result.data.length === 0) {
+        console.log(
+          `[findJobs] Page ${page} returned no data. Stopping pagination.`
+        );
+        break;
+      }
+
+      allResults.push(...result.data);
+      console.log(
+        `[findJobs] Page ${page} fetched ${result.data.length} jobs.`
+      );
+    }
+
+    if (allResults.length === 0) {
+      console.log("[findJobs] No jobs found after fetching all pages.");
+      return [];
+    }
+    const jobs = await Promise.all(
+      allResults.slice(0, jobLimit).map(normalizeJob)
+    );
+
+    console.log(
+      `[findJobs] ✅ Success: Found ${jobs.length} jobs (limit was ${jobLimit}).`
+    );
+    return jobs;
+  } catch (err) {
+    console.error(
+      "[findJobs] ❌ CRITICAL ERROR during fetch:",
+      err.name,
+      err.message
+    );
+    return [];
+  }
+};
+
+// -----------------------------------------------------------------
+// Resume-to-job matching. Skill coverage and experience fit come from
+// scoreJobMatch (job-match.js); the model only lists the job's skills and
+// suggests bullet rewrites.
+// -----------------------------------------------------------------
+const JOB_MATCH_BATCH_LIMIT = parseInt(
+  process.env.JOB_MATCH_BATCH_LIMIT || "50",
+  10
+);
+const JOB_MATCH_SCHEMA = {
+  type: "object",
+  properties: {
+    requiredSkills: {
+      type: "array",
+      items: NON_EMPTY_STRING,
+      minItems: 1,
+      maxItems: 25,
+    },
+    niceToHaveSkills: { type: "array", items: NON_EMPTY_STRING, maxItems: 15 },
+    bulletSuggestions: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          original: NON_EMPTY_STRING,
+          rewrite: NON_EMPTY_STRING,
+          reason: { type: "string" },
+        },
+        required: ["original", "rewrite", "reason"],
+      },
+      maxItems: 6,
+    },
+    summary: { type: "string" },
+  },
+  required: [
+    "requiredSkills",
+    "niceToHaveSkills",
+    "bulletSuggestions",
+    "summary",
+  ],
+};
+
+/** Helper: render a resume profile as plain text with standard headings. */
+function profileToText(profile) {
+  if (!profile || typeof profile !== "object") return "";
+  const contact = profile.contact || {};
+  const range = (e) => [e.startDate, e.endDate].filter(Boolean).join(" - ");
+  const entryLine = (parts, e) =>
+    `${parts.filter(Boolean).join(", ")}  ${range(e)}`.trim();
+  const out = [
+    contact.name,
+    [contact.email, contact.phone, contact.location, ...(contact.links || [])]
+      .filter(Boolean)
+      .join(" | "),
+  ];
+
+  if (profile.summary) out.push("", "SUMMARY", profile.summary);
+  if (profile.experience?.length) {
+    out.push("", "EXPERIENCE");
+    for (const e of profile.experience) {
+      out.push(entryLine([e.title, e.company], e));
+      for (const bullet of e.bullets || []) out.push(`• ${bullet}`);
+    }
+  }
+  if (profile.education?.length) {
+    out.push("", "EDUCATION");
+    for (const e of profile.education) {
+      const degree = [e.degree, e.field].filter(Boolean).join(" in ");
+      out.push(entryLine([degree, e.institution], e));
+    }
+  }
+  if (profile.skills?.length) {
+    out.push("", "SKILLS", profile.skills.join(", "));
+  }
+  if (profile.projects?.length) {
+    out.push("", "PROJECTS");
+    for (const p of profile.projects) {
+      out.push(`${p.name}${p.description ? `: ${p.description}` : ""}`);
+      if (p.technologies?.length) {
+        out.push(`Technologies: ${p.technologies.join(", ")}`);
+      }
+    }
+  }
+  if (profile.certifications?.length) {
+    out.push("", "CERTIFICATIONS");
+    for (const c of profile.certifications) {
+      out.push([c.name, c.issuer, c.date].filter(Boolean).join(", "));
+    }
+  }
+  return out
+    .filter((line) => typeof line === "string")
+    .join("\n")
+    .trim();
+}
+
+/**
+ * Helper: the resume a request refers to, from an upload or pasted
+ * resumeText, a `profile` object in the body, or the caller's saved
+ * resumeProfile. Returns { text, profile, skills, extraction }; `profile` is
+ * null for raw text. Throws an Error with `status` 400 when there is none.
+ */
+async function readResumeSource(req) {
+  if (req.file || req.body?.resumeText) {
+    const { text, extraction } = await readResumeInput(req);
+    return { text, profile: null, skills: [], extraction };
+  }
+  let profile = req.body?.profile;
+  if (typeof profile === "string") {
+    // Multipart bodies carry the profile as a JSON string
+    try {
+      profile = JSON.parse(profile);
+    } catch {
+      profile = null;
+    }
+  }
+  if (!profile && req.uid) {
+    profile = (await fetchUserPreferences(req.uid))?.resumeProfile;
+  }
+  if (!profile) {
+    const err = new Error(
+      "Send a resumeFile, resumeText or profile, or save a parsed resume first."
+    );
+    err.status = 400;
+    throw err;
+  }
+  return {
+    text: profileToText(profile),
+    profile,
+    skills: uniqueStrings(profile.skills),
+    extraction: null,
+  };
+}
+
+/**
+ * Helper: the job to match against: the caller's saved job or a JSearch job
+ * for `jobId`, otherwise a pasted `jobDescription`. Returns null if neither.
+ */
+async function resolveJobForMatch({ uid, jobId, jobDescription, jobTitle }) {
+  if (jobId) {
+    if (uid) {
+      const saved = await db
+        .collection("users")
+        .doc(uid)
+        .collection("saved_jobs")
+        .doc(jobId)
+        .get();
+      if (saved.exists) return saved.data();
+    }
+    return findJobById(jobId);
+  }
+  if (typeof jobDescription === "string" && jobDescription.trim()) {
+    return {
+      job_id: null,
+      title: jobTitle || "",
+      company: "",
+      description: jobDescription.trim(),
+      experience: getExperience({ job_description: jobDescription }),
+    };
+  }
+  return null;
+}
+
+/**
+ * Ask the model for the job's skill list and job-tailored rewrites of the
+ * resume's bullets. Scoring itself stays in scoreJobMatch.
+ */
+async function suggestJobMatch({ job, resumeText, skills }) {
+  const { lines } = splitAtsSections(resumeText);
+  const bullets = resumeBullets(lines).slice(0, 25);
+  const prompt = `
+You are a recruiter matching a candidate to a job.
+
+Job: ${job.title || "Untitled"}${job.company ? ` at ${job.company}` : ""}
+Required experience: ${job.experience || "Not Disclosed"}
+Job description:
+---
+${(job.description || "").slice(0, 6000)}
+---
+
+Candidate skills: ${skills.length ? skills.join(", ") : "see resume"}
+Candidate resume bullets:
+${bullets.length ? bullets.map((b) => `- ${b}`).join("\n") : "(none found)"}
+
+Return:
+- requiredSkills: the concrete skills, tools and qualifications the job requires (short names like "React", "SQL", "B2B sales"), most important first.
+- niceToHaveSkills: skills the job lists as preferred or a plus.
+- bulletSuggestions: up to 6 of the candidate bullets above, rewritten to mirror the job's language. "original" must be copied exactly from the list. Never add tools, numbers or achievements the bullet does not already support.
+- summary: 2-3 sentences on how well the candidate fits and the biggest gap.
+`;
+  const trimRequired = trimList("requiredSkills", 25);
+  const trimNice = trimList("niceToHaveSkills", 15);
+  const trimSuggestions = trimList("bulletSuggestions", 6);
+  const result = await structuredRequest({
+    prompt,
+    schema: JOB_MATCH_SCHEMA,
+    schemaName: "job_match",
+    temperature: 0.2,
+    coerce: (data) => trimSuggestions(trimNice(trimRequired(data))),
+  });
+  // Drop rewrites of bullets the candidate does not actually have
+  const known = new Set(bullets.map((b) => b.toLowerCase()));
+  return {
+    ...result,
+    bulletSuggestions: result.bulletSuggestions.filter((s) =>
+      known.has(s.original.trim().toLowerCase())
+    ),
+  };
+}
+
+// -----------------------------------------------------------------
+// Resume rewrite & export. The model rewrites a profile (guided by chosen
+// recommendations and/or a target job); rendering to DOCX/PDF is done here
+// from one format-neutral block list, in single-column ATS-safe templates.
+// -----------------------------------------------------------------
+const RESUME_TEMPLATES = {
+  classic: {
+    label: "Classic",
+    font: {
+      docx: "Times New Roman",
+      pdf: "Times-Roman",
+      pdfBold: "Times-Bold",
+    },
+    sizes: { name: 20, heading: 12, body: 11 },
+    accent: "000000",
+    upperHeadings: true,
+    rule: true,
+  },
+  modern: {
+    label: "Modern",
+    font: { docx: "Calibri", pdf: "Helvetica", pdfBold: "Helvetica-Bold" },
+    sizes: { name: 22, heading: 12, body: 10.5 },
+    accent: "1F4E79",
+    upperHeadings: false,
+    rule: true,
+  },
+  compact: {
+    label: "Compact",
+    font: { docx: "Arial", pdf: "Helvetica", pdfBold: "Helvetica-Bold" },
+    sizes: { name: 16, heading: 10.5, body: 9.5 },
+    accent: "333333",
+    upperHeadings: true,
+    rule: false,
+  },
+};
+const RESUME_EXPORT_FORMATS = {
+  docx: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  pdf: "application/pdf",
+};
+const RESUME_REWRITE_SCHEMA = {
+  type: "object",
+  properties: {
+    resume: RESUME_PROFILE_SCHEMA,
+    changes: { type: "array", items: NON_EMPTY_STRING, maxItems: 20 },
+  },
+  required: ["resume", "changes"],
+};
+
+/**
+ * Helper: flatten a profile into render blocks:
+ * { kind: "name" | "contact" | "heading" | "entry" | "subline" | "bullet"
+ *   | "paragraph", text, right? }. Both exporters walk this list.
+ */
+function resumeBlocks(profile) {
+  const contact = profile.contact || {};
+  const range = (e) => [e.startDate, e.endDate].filter(Boolean).join(" – ");
+  const blocks = [];
+  const section = (title, items, render) => {
+    if (!items?.length) return;
+    blocks.push({ kind: "heading", text: title });
+    items.forEach(render);
+  };
+
+  if (contact.name) blocks.push({ kind: "name", text: contact.name });
+  const contactLine = [
+    contact.email,
+    contact.phone,
+    contact.location,
+    ...(contact.links || []),
+  ]
+    .filter(Boolean)
+    .join(" | ");
+  if (contactLine) blocks.push({ kind: "contact", text: contactLine });
+
+  if (profile.summary) {
+    blocks.push({ kind: "heading", text: "Summary" });
+    blocks.push({ kind: "paragraph", text: profile.summary });
+  }
+  section("Experience", profile.experience, (e) => {
+    blocks.push({ kind: "entry", text: e.title || e.company, right: range(e) });
+    const sub = [e.title && e.company, e.location].filter(Boolean).join(", ");
+    if (sub) blocks.push({ kind: "subline", text: sub });
+    for (const b of e.bullets || []) blocks.push({ kind: "bullet", text: b });
+  });
+  section("Education", profile.education, (e) => {
+    const degree = [e.degree, e.field].filter(Boolean).join(" in ");
+    blocks.push({
+      kind: "entry",
+      text: degree || e.institution,
+      right: range(e),
+    });
+    const sub = [degree && e.institution, e.grade].filter(Boolean).join(", ");
+    if (sub) blocks.push({ kind: "subline", text: sub });
+  });
+  if (profile.skills?.length) {
+    blocks.push({ kind: "heading", text: "Skills" });
+    blocks.push({ kind: "paragraph", text: profile.skills.join(", ") });
+  }
+  section("Projects", profile.projects, (p) => {
+    blocks.push({ kind: "entry", text: p.name, right: p.link || "" });
+    if (p.description) blocks.push({ kind: "bullet", text: p.description });
+    if (p.technologies?.length) {
+      blocks.push({
+        kind: "subline",
+        text: `Technologies: ${p.technologies.join(", ")}`,
+      });
+    }
+  });
+  section("Certifications", profile.certifications, (c) => {
+    blocks.push({
+      kind: "entry",
+      text: [c.name, c.issuer].filter(Boolean).join(", "),
+      right: c.date || "",
+    });
+  });
+  if (profile.languages?.length) {
+    blocks.push({ kind: "heading", text: "Languages" });
+    blocks.push({
+      kind: "paragraph",
+      text: profile.languages
+        .map((l) =>
+          l.proficiency ? `${l.language} (${l.proficiency})` : l.language
+        )
+        .join(", "),
+    });
+  }
+  return blocks;
+}
+
+/** Render a resume profile as a DOCX buffer. */
+async function buildResumeDocx(profile, template) {
+  const { sizes, accent } = template;
+  const pt = (n) => Math.round(n * 2); // docx sizes are half-points
+  const children = resumeBlocks(profile).map((block) => {
+    switch (block.kind) {
+      case "name":
+        return new Paragraph({
+          alignment: AlignmentType.CENTER,
+          children: [
+            new TextRun({
+              text: block.text,
+              bold: true,
+              size: pt(sizes.name),
+              color: accent,
+            }),
+          ],
+        });
+      case "contact":
+        return new Paragraph({
+          alignment: AlignmentType.CENTER,
+          spacing: { after: 120 },
+          children: [new TextRun({ text: block.text })],
+        });
+      case "heading":
+        return new Paragraph({
+          spacing: { before: 200, after: 80 },
+          border: template.rule
+            ? {
+                bottom: {
+                  style: BorderStyle.SINGLE,
+                  size: 6,
+                  color: accent,
+                  space: 1,
+                },
+              }
+            : undefined,
+          children: [
+            new TextRun({
+              text: template.upperHeadings
+                ? block.text.toUpperCase()
+                : block.text,
+              bold: true,
+              size: pt(sizes.heading),
+              color: accent,
+            }),
+          ],
+        });
+      case "entry":
+        return new Paragraph({
+          tabStops: [{ type: TabStopType.RIGHT, position: 9638 }],
+          spacing: { before: 80 },
+          children: [
+            new TextRun({ text: block.text, bold: true }),
+            ...(block.right ? [new TextRun({ text: `\t${block.right}` })] : []),
+          ],
+        });
+      case "subline":
+        return new Paragraph({
+          children: [new TextRun({ text: block.text, italics: true })],
+        });
+      case "bullet":
+        return new Paragraph({
+          bullet: { level: 0 },
+          children: [new TextRun(block.text)],
+        });
+      default:
+        return new Paragraph({ children: [new TextRun(block.text)] });
+    }
+  });
+
+  const doc = new Document({
+    creator: "RozgarAI",
+    title: `${profile.contact?.name || "Resume"}`,
+    styles: {
+      default: {
+        document: { run: { font: template.font.docx, size: pt(sizes.body) } },
+      },
+    },
+    sections: [
+      {
+        // A4 with 2 cm margins (twips)
+        properties: {
+          page: {
+            margin: { top: 1134, bottom: 1134, left: 1134, right: 1134 },
+          },
+        },
+        children,
+      },
+    ],
+  });
+  return Packer.toBuffer(doc);
+}
+
+/**
+ * Render a resume profile as a PDF buffer. PDFKit's built-in fonts only
+ * cover Latin text; set RESUME_PDF_FONT / RESUME_PDF_BOLD_FONT to TTF paths
+ * for other scripts.
+ */
+function buildResumePdf(profile, template) {
+  return new Promise((resolve, reject) => {
+    const { sizes } = template;
+    const accent = `#${template.accent}`;
+    const doc = new PDFDocument({ size: "A4", margin: 57 });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    let regular = template.font.pdf;
+    let bold = template.font.pdfBold;
+    if (process.env.RESUME_PDF_FONT) {
+      doc.registerFont("custom", process.env.RESUME_PDF_FONT);
+      doc.registerFont(
+        "custom-bold",
+        process.env.RESUME_PDF_BOLD_FONT || process.env.RESUME_PDF_FONT
+      );
+      [regular, bold] = ["custom", "custom-bold"];
+    }
+    doc.info.Title = profile.contact?.name || "Resume";
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+    const bottom = doc.page.height - doc.page.margins.bottom;
+
+    for (const block of resumeBlocks(profile)) {
+      switch (block.kind) {
+        case "name":
+          doc.font(bold).fontSize(sizes.name).fillColor(accent);
+          doc.text(block.text, { align: "center" });
+          break;
+        case "contact":
+          doc.font(regular).fontSize(sizes.body).fillColor("black");
+          doc.text(block.text, { align: "center" }).moveDown(0.5);
+          break;
+        case "heading": {
+          doc
+            .moveDown(0.6)
+            .font(bold)
+            .fontSize(sizes.heading)
+            .fillColor(accent);
+          doc.text(
+            template.upperHeadings ? block.text.toUpperCase() : block.text,
+            left
+          );
+          if (template.rule) {
+            doc
+              .moveTo(left, doc.y)
+              .lineTo(left + width, doc.y)
+              .lineWidth(0.7)
+              .strokeColor(accent)
+              .stroke();
+          }
+          doc.moveDown(0.3).fillColor("black");
+          break;
+        }
+        case "entry": {
+          // Keep the two halves of the line on the same page
+          if (doc.y + doc.currentLineHeight() * 3 > bottom) doc.addPage();
+          const y = doc.y + 2;
+          doc.font(bold).fontSize(sizes.body);
+          doc.text(block.text, left, y, { width: width * 0.72 });
+          const afterText = doc.y;
+          if (block.right) {
+            doc.font(regular);
+            doc.text(block.right, left, y, { width, align: "right" });
+          }
+          doc.y = Math.max(afterText, doc.y);
+          break;
+        }
+        case "subline":
+          doc.font(regular).fontSize(sizes.body).fillColor("#444444");
+          doc.text(block.text, left).fillColor("black");
+          break;
+        case "bullet":
+          doc.font(regular).fontSize(sizes.body);
+          doc.text(`•  ${block.text}`, left + 10, doc.y, {
+            width: width - 10,
+            indent: -8,
+          });
+          break;
+        default:
+          doc.font(regular).fontSize(sizes.body);
+          doc.text(block.text, left, doc.y, { width });
+      }
+    }
+    doc.end();
+  });
+}
+
+/** Helper: render `profile` in a template and send it as a download. */
+async function sendResumeFile(res, profile, templateId, format) {
+  const template = RESUME_TEMPLATES[templateId];
+  const buffer =
+    format === "pdf"
+      ? await buildResumePdf(profile, template)
+      : await buildResumeDocx(profile, template);
+  const baseName = (profile.contact?.name || "resume").replace(/[^\w-]+/g, "_");
+  res.setHeader("Content-Type", RESUME_EXPORT_FORMATS[format]);
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${baseName}_${templateId}.${format}"`
+  );
+  return res.send(buffer);
+}
+
+/**
+ * Rewrite a resume profile for ATS and impact, guided by the user's chosen
+ * `recommendations` and/or a target `job`. Returns { resume, changes }.
+ */
+async function rewriteResumeProfile({
+  profile,
+  resumeText,
+  recommendations = [],
+  job = null,
+}) {
+  const source = profile
+    ? `Current resume (JSON):\n${JSON.stringify(profile)}`
+    : `Current resume (text):\n---\n${resumeText.slice(0, RESUME_MAX_CHARS)}\n---`;
+  const prompt = `
+You are an expert resume writer. Rewrite the resume below into an improved, ATS-friendly version.
+
+${source}
+${recommendations.length ? `\nApply these recommendations chosen by the candidate:\n${recommendations.map((r) => `- ${r}`).join("\n")}\n` : ""}${job ? `\nTailor it to this job: ${job.title || "Untitled"}${job.company ? ` at ${job.company}` : ""}\n---\n${(job.description || "").slice(0, 4000)}\n---\n` : ""}
+Rules:
+- Keep every fact true to the original: same employers, titles, dates, institutions and contact details. Never invent metrics, tools, employers or achievements, and never add placeholders like [X%] or [Company].
+- Start each bullet with a strong action verb; keep bullets 8-30 words; keep existing numbers.
+- Write a 2-3 sentence summary from facts in the resume.
+- Skills: specific tools and competencies, most relevant first${job ? ", using the job's terminology where the candidate genuinely has the skill" : ""}.
+- Dates: "YYYY-MM", "YYYY", "Present" or "".
+- changes: one short line per meaningful change you made.
+`;
+  return structuredRequest({
+    prompt,
+    schema: RESUME_REWRITE_SCHEMA,
+    schemaName: "resume_rewrite",
+    temperature: 0.4,
+    coerce: (data) =>
+      data?.resume
+        ? { ...data, resume: coerceResumeProfile(data.resume) }
+        : data,
+  });
+}
+
+// -----------------------------------------------------------------
+// Resume versions: users/{uid}/resume_versions/{versionId} keeps each
+// analyzed resume (text, parsed profile, ATS score, AI feedback) so two
+// versions can be compared.
+// -----------------------------------------------------------------
+const RESUME_VERSION_LIST_LIMIT = parseInt(
+  process.env.RESUME_VERSION_LIST_LIMIT || "50",
+  10
+);
+
+function resumeVersionsRef(uid) {
+  return db.collection("users").doc(uid).collection("resume_versions");
+}
+
+/** Helper: store an analyzed resume; returns the new version id. */
+async function saveResumeVersion(
+  uid,
+  { label, fileName, text, profile, atsScore, feedback, extraction }
+) {
+  const ref = resumeVersionsRef(uid).doc();
+  await ref.set({
+    label: label || fileName || "Resume",
+    fileName: fileName || null,
+    text: (text || "").slice(0, RESUME_MAX_CHARS),
+    profile: profile || null,
+    atsScore: atsScore || null,
+    feedback: feedback || null,
+    extraction: describeExtraction(extraction),
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  return ref.id;
+}
+
+/** Helper: a version for the API; the list view omits the bulky fields. */
+function serializeResumeVersion(doc, { full = false } = {}) {
+  const data = doc.data();
+  const summary = {
+    id: doc.id,
+    label: data.label || null,
+    fileName: data.fileName || null,
+    atsScore: data.atsScore?.score ?? null,
+    createdAt: data.createdAt?.toDate?.().toISOString() || null,
+  };
+  if (!full) return summary;
+  return {
+    ...summary,
+    atsScore: data.atsScore || null,
+    text: data.text || "",
+    profile: data.profile || null,
+    feedback: data.feedback || null,
+    extraction: data.extraction || null,
+  };
+}
+
+/**
+ * Compare two serialized (full) versions: total and per-criterion ATS score
+ * movement, ATS weaknesses fixed / remaining / new, sections and skills
+ * added or removed, and how many lines changed.
+ */
+function diffResumeVersions(from, to) {
+  const criteria = (v) =>
+    Object.fromEntries((v.atsScore?.breakdown || []).map((c) => [c.id, c]));
+  const fromCriteria = criteria(from);
+  const toCriteria = criteria(to);
+  const weaknesses = (v) =>
+    (v.atsScore?.breakdown || []).flatMap((c) => c.suggestions || []);
+  const fromWeak = weaknesses(from);
+  const toWeak = weaknesses(to);
+  const has = (list, x) =>
+    list.some((y) => y.toLowerCase() === x.toLowerCase());
+  const setDiff = (a, b) => a.filter((x) => !has(b, x));
+  const sections = (v) => Object.keys(splitAtsSections(v.text || "").found);
+  const skills = (v) => uniqueStrings(v.profile?.skills);
+  const lines = (v) =>
+    (v.text || "")
+      .split(/\r?\n/)
+      .map((l) => l.trim())
+      .filter(Boolean);
+  const fromScore = from.atsScore?.score ?? null;
+  const toScore = to.atsScore?.score ?? null;
+
+  return {
+    from: { id: from.id, label: from.label, createdAt: from.createdAt },
+    to: { id: to.id, label: to.label, createdAt: to.createdAt },
+    score: {
+      from: fromScore,
+      to: toScore,
+      delta: fromScore != null && toScore != null ? toScore - fromScore : null,
+    },
+    criteria: Object.keys({ ...fromCriteria, ...toCriteria }).map((id) => {
+      const a = fromCriteria[id]?.score ?? null;
+      const b = toCriteria[id]?.score ?? null;
+      return {
+        id,
+        label: (toCriteria[id] || fromCriteria[id]).label,
+        from: a,
+        to: b,
+        delta: a != null && b != null ? round1(b - a) : null,
+      };
+    }),
+    weaknesses: {
+      fixed: setDiff(fromWeak, toWeak),
+      remaining: toWeak.filter((w) => has(fromWeak, w)),
+      new: setDiff(toWeak, fromWeak),
+    },
+    sections: {
+      added: setDiff(sections(to), sections(from)),
+      removed: setDiff(sections(from), sections(to)),
+    },
+    skills:
+      from.profile && to.profile
+        ? {
+            added: setDiff(skills(to), skills(from)),
+            removed: setDiff(skills(from), skills(to)),
+          }
+        : null,
+    lines: {
+      added: setDiff(lines(to), lines(from)).length,
+      removed: setDiff(lines(from), lines(to)).length,
+    },
+  };
+}
+
+// -----------------------------------------------------------------
+// Text-to-speech for chatbot replies. Markdown, links and emoji are
+// stripped before synthesis; identical requests (text, voice, rate,
+// format) are served from an in-memory LRU cache.
+// -----------------------------------------------------------------
+const TTS_MAX_CHARS = parseInt(process.env.TTS_MAX_CHARS || "1500", 10);
+const TTS_CACHE_MAX_ENTRIES = parseInt(
+  process.env.TTS_CACHE_MAX_ENTRIES || "200",
+  10
+);
+// Per language (from the LANGUAGES registry): Google language code and
+// voice names by gender
+const TTS_LANGUAGES = Object.fromEntries(
+  SUPPORTED_LANGUAGES.filter((name) => LANGUAGES[name].voices).map((name) => [
+    name,
+    { languageCode: LANGUAGES[name].locale, voices: LANGUAGES[name].voices },
+  ])
+);
+const TTS_FORMATS = {
+  mp3: { audioEncoding: "MP3", mimeType: "audio/mpeg" },
+  ogg: { audioEncoding: "OGG_OPUS", mimeType: "audio/ogg" },
+  // Google returns LINEAR16 with a WAV header
+  linear16: { audioEncoding: "LINEAR16", mimeType: "audio/wav" },
+};
+const ttsCache = new Map(); // sha1 of request -> audio Buffer
+
+/** Helper: "hi", "hi-IN", "Hindi" -> "Hindi"; null when it has no voices. */
+function resolveTtsLanguage(language) {
+  const name = findLanguage(language);
+  return name && TTS_LANGUAGES[name] ? name : null;
+}
+
+/**
+ * Helper: turn chat Markdown into plain speakable text. Links keep their
+ * label, bare URLs, code blocks, images, tables rules and emoji are dropped.
+ */
+function speakableText(markdown) {
+  return String(markdown || "")
+    .replace(/```[\s\S]*?```/g, " ")
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, " ")
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/<?https?:\/\/[^\s>)]+>?/g, " ")
+    .replace(/<[^>]+>/g, " ")
+    .replace(/^[ \t]{0,3}#{1,6}\s+/gm, "")
+    .replace(/^[ \t]*>\s?/gm, "")
+    .replace(/^[ \t]*([-*+]|\d+[.)])\s+/gm, "")
+    .replace(/^[ \t]*\|?[ \t:|-]+\|[ \t:|-]*$/gm, "")
+    .replace(/^[ \t]*\|(.*?)\|?[ \t]*$/gm, "$1")
+    .replace(/[ \t]*\|[ \t]*/g, ", ")
+    .replace(/(\*\*|__|\*|_|~~|`)(?=\S)([\s\S]*?\S)\1/g, "$2")
+    .replace(/[*`~#]/g, "")
+    .replace(/_/g, " ")
+    .replace(/\p{Extended_Pictographic}\uFE0F?/gu, "")
+    .replace(/[ \t]+/g, " ")
+    .replace(/\s*\n\s*/g, "\n")
+    .trim();
+}
+
+/** Helper: cut text to `max` characters at the last sentence end. */
+function truncateForSpeech(text, max = TTS_MAX_CHARS) {
+  if (text.length <= max) return text;
+  const slice = text.slice(0, max);
+  const end = Math.max(
+    ...[".", "!", "?", "।", "۔", "\n"].map((mark) => slice.lastIndexOf(mark))
+  );
+  return end > max / 2 ? slice.slice(0, end + 1) : slice;
+}
+
+/**
+ * Synthesize speech. `language` may be a name or code; when omitted it is
+ * detected from the text. `voice` is "female", "male" or a Google voice name
+ * for that language. Returns { audio (Buffer), mimeType, format, language,
+ * languageCode, voice, speakingRate, characters, truncated, cached }.
+ * Throws err.status 400 on bad input.
+ */
+async function synthesizeSpeech({
+  text,
+  language,
+  voice,
+  speakingRate,
+  format = "mp3",
+  markdown = true,
+}) {
+  if (!ttsClient) throw new Error("TTS client not initialized.");
+  const badRequest = (message) => {
+    const err = new Error(message);
+    err.status = 400;
+    return err;
+  };
+  if (typeof text !== "string" || !text.trim()) {
+    throw badRequest("Text is empty.");
+  }
+  const formatKey = String(format).toLowerCase();
+  if (!Object.hasOwn(TTS_FORMATS, formatKey)) {
+    throw badRequest(
+      `Unsupported format. Use one of: ${Object.keys(TTS_FORMATS).join(", ")}.`
+    );
+  }
+  const output = TTS_FORMATS[formatKey];
+  const rate = speakingRate === undefined ? 1 : Number(speakingRate);
+  if (!Number.isFinite(rate) || rate < 0.25 || rate > 4) {
+    throw badRequest("speakingRate must be between 0.25 and 4.0.");
+  }
+
+  const plain = markdown ? speakableText(text) : text.trim();
+  if (!plain) throw badRequest("Nothing to speak after removing formatting.");
+  const spoken = truncateForSpeech(plain);
+
+  let languageName =
+    resolveTtsLanguage(detectLanguageSimple(spoken)) || "English";
+  if (language) {
+    languageName = resolveTtsLanguage(language);
+    if (!languageName) {
+      throw badRequest(
+        `Unsupported language. Use one of: ${Object.keys(TTS_LANGUAGES).join(", ")}.`
+      );
+    }
+  }
+  const { languageCode, voices } = TTS_LANGUAGES[languageName];
+  const requested = String(voice || "female").trim();
+  const gender = requested.toLowerCase();
+  let voiceName = Object.hasOwn(voices, gender) ? voices[gender] : null;
+  if (!voiceName) {
+    if (!requested.startsWith(`${languageCode}-`)) {
+      throw badRequest(
+        `Voice must be "female", "male" or a ${languageCode} voice name.`
+      );
+    }
+    voiceName = requested;
+  }
+
+  const cacheKey = crypto
+    .createHash("sha1")
+    .update(JSON.stringify([spoken, voiceName, rate, formatKey]))
+    .digest("hex");
+  let audio = ttsCache.get(cacheKey);
+  const cached = Boolean(audio);
+  if (cached) {
+    // Re-insert so the Map's insertion order tracks recency
+    ttsCache.delete(cacheKey);
+  } else {
+    const [response] = await ttsClient.synthesizeSpeech({
+      input: { text: spoken },
+      voice: { languageCode, name: voiceName },
+      audioConfig: { audioEncoding: output.audioEncoding, speakingRate: rate },
+    });
+    audio = Buffer.from(response.audioContent);
+  }
+  ttsCache.set(cacheKey, audio);
+  if (ttsCache.size > TTS_CACHE_MAX_ENTRIES) {
+    ttsCache.delete(ttsCache.keys().next().value);
+  }
+
+  return {
+    audio,
+    mimeType: output.mimeType,
+    format: formatKey,
+    language: languageName,
+    languageCode,
+    voice: voiceName,
+    speakingRate: rate,
+    characters: spoken.length,
+    truncated: spoken.length < plain.length,
+    cached,
+  };
+}
+
+// -----------------------------------------------------------------
+// Streaming speech recognition for live voice chat (WebSocket /stt/stream).
+// STT_MOCK=true swaps Google's streaming recognizer for a scripted one so
+// the socket protocol can be exercised offline (never in production).
+// -----------------------------------------------------------------
+const STT_MOCK =
+  process.env.STT_MOCK === "true" && process.env.NODE_ENV !== "production";
+if (process.env.STT_MOCK === "true" && !STT_MOCK) {
+  console.error("🔥 STT_MOCK is ignored when NODE_ENV=production.");
+}
+const STT_MOCK_TRANSCRIPT =
+  process.env.STT_MOCK_TRANSCRIPT ||
+  "I am looking for a software developer job in Bangalore";
+// Google closes a streaming session at about 305 seconds
+const STT_STREAM_MAX_SECONDS = parseInt(
+  process.env.STT_STREAM_MAX_SECONDS || "280",
+  10
+);
+const STT_STREAM_IDLE_MS = parseInt(
+  process.env.STT_STREAM_IDLE_MS || "15000",
+  10
+);
+
+/**
+ * Helper: open a streaming recognizer (Google, or the mock under STT_MOCK).
+ * Audio Buffers are written to it; it emits StreamingRecognizeResponse
+ * objects as "data" and ends once the final results are in.
+ */
+function createRecognizeStream({
+  encoding,
+  sampleRateHertz,
+  languageCode,
+  interimResults,
+  mockTranscript,
+}) {
+  if (STT_MOCK) {
+    return createMockRecognizeStream({
+      transcript: mockTranscript || STT_MOCK_TRANSCRIPT,
+      languageCode,
+    });
+  }
+  if (!sttClient) throw new Error("STT client not initialized.");
+  return sttClient.streamingRecognize({
+    config: {
+      encoding,
+      sampleRateHertz,
+      languageCode,
+      alternativeLanguageCodes: sttAlternativeLanguageCodes(languageCode),
+      enableAutomaticPunctuation: true,
+    },
+    interimResults,
+  });
+}
+
+// -----------------------------------------------------------------
+// Mock interview recordings: an asynchronous job (users/{uid}/mock_interviews
+// /{jobId}) transcribes long audio with Google long-running recognition
+// (speaker diarization + word timings), then measures pace, filler words
+// and pauses (mock-interview.js) and asks for evaluate-answer style
+// feedback per question.
+// -----------------------------------------------------------------
+const RECORDING_MAX_MINUTES = parseInt(
+  process.env.RECORDING_MAX_MINUTES || "30",
+  10
+);
+const MOCK_INTERVIEW_MAX_QUESTIONS = parseInt(
+  process.env.MOCK_INTERVIEW_MAX_QUESTIONS || "15",
+  10
+);
+const MOCK_INTERVIEW_LIST_LIMIT = 50;
+// Jobs without progress for this long were cut off (e.g. by a restart)
+const MOCK_INTERVIEW_STALE_MS = 30 * 60 * 1000;
+// Google's limit for audio sent inline rather than from Cloud Storage
+const STT_INLINE_MAX_BYTES = 10 * 1024 * 1024;
+
+function mockInterviewsRef(uid) {
+  return db.collection("users").doc(uid).collection("mock_interviews");
+}
+
+/**
+ * Run a mock interview job: transcode -> long-running recognition ->
+ * analysis -> per-answer feedback. Progress and the result (or error) are
+ * written to the job document; the upload is always removed.
+ */
+async function processMockInterview({ uid, jobId, filePath, options }) {
+  const ref = mockInterviewsRef(uid).doc(jobId);
+  const update = (data) =>
+    ref.set(
+      { ...data, updatedAt: admin.firestore.FieldValue.serverTimestamp() },
+      { merge: true }
+    );
+  const oggPath = `${filePath}.ogg`;
+  const maxSeconds = RECORDING_MAX_MINUTES * 60;
+
+  try {
+    await update({ status: "transcoding" });
+    await transcodeAudio(filePath, oggPath, {
+      maxSeconds,
+      codec: "libopus",
+      format: "ogg",
+      bitrate: "24k",
+    });
+    const audioBytes = fs.readFileSync(oggPath);
+    const durationSec = oggOpusDurationSec(audioBytes);
+    if (!durationSec) {
+      throw audioError(
+        415,
+        "AUDIO_UNREADABLE",
+        "The recording contains no sound."
+      );
+    }
+    if (durationSec > maxSeconds) {
+      throw audioError(
+        413,
+        "AUDIO_TOO_LONG",
+        `Recording is longer than ${RECORDING_MAX_MINUTES} minutes.`
+      );
+    }
+    if (audioBytes.length > STT_INLINE_MAX_BYTES) {
+      throw audioError(
+        413,
+        "AUDIO_TOO_LARGE",
+        "Recording is too large to transcribe."
+      );
+    }
+
+    await update({ status: "transcribing", durationSec: round1(durationSec) });
+    let words;
+    if (STT_MOCK) {
+      words = mockLongRecognizeWords();
+    } else {
+      if (!sttClient) throw new Error("STT client not initialized.");
+      const [operation] = await sttClient.longRunningRecognize({
+        config: {
+          encoding: "OGG_OPUS",
+          sampleRateHertz: STT_SAMPLE_RATE,
+          languageCode: options.languageCode,
+          enableWordTimeOffsets: true,
+          enableAutomaticPunctuation: true,
+          ...(options.speakers > 1 && {
+            diarizationConfig: {
+              enableSpeakerDiarization: true,
+              minSpeakerCount: 2,
+              maxSpeakerCount: options.speakers,
+            },
+          }),
         },
-        timeout: 10000,
+        audio: { content: audioBytes.toString("base64") },
       });
-
-      console.log(
-        `[findJobs] Page ${page} status:`,
-        response.status,
-        response.statusText
+      await update({ operation: operation.name || null });
+      const [response] = await operation.promise();
+      words = collectTimedWords(response.results);
+    }
+    if (!words.length) {
+      throw audioError(
+        422,
+        "NO_SPEECH",
+        "No speech was recognized in the recording."
       );
+    }
 
-      if (!response.ok) {
-        console.warn(
-          `[findJobs] Warning: Page ${page} returned HTTP ${response.status}. Skipping...`
-        );
+    await update({ status: "analyzing" });
+    const analysis = analyzeMockInterview({
+      words,
+      questions: options.questions,
+      candidateSpeaker: options.candidateSpeaker,
+    });
+    for (const [i, item] of analysis.answers.entries()) {
+      if (i >= MOCK_INTERVIEW_MAX_QUESTIONS || item.metrics.wordCount < 5) {
+        item.feedback = null;
         continue;
       }
-
-      const result = await response.json();
-      if (!result?.data || result.data.length === 0) {
-        console.log(
-          `[findJobs] Page ${page} returned no data. Stopping pagination.`
+      try {
+        item.feedback = await evaluateInterviewAnswer({
+          question: item.question,
+          answer: item.answer,
+          delivery: describeDelivery(item.metrics),
+        });
+      } catch (err) {
+        console.error(
+          `[MockInterview] Feedback failed for ${jobId}:`,
+          err.message
         );
-        break;
+        item.feedback = null;
       }
-
-      allResults.push(...result.data);
-      console.log(
-        `[findJobs] Page ${page} fetched ${result.data.length} jobs.`
-      );
-    }
-
-    if (allResults.length === 0) {
-      console.log("[findJobs] No jobs found after fetching all pages.");
-      return [];
     }
-    const jobs = await Promise.all(
-      allResults.slice(0, jobLimit).map(async (job) => {
-        const logoUrl = await getCompanyLogo(
-          job.employer_name,
-          job.employer_logo
-        );
-        const location = `${job.job_city || ""}${
-          job.job_city && job.job_state ? ", " : ""
-        }${job.job_state || ""}`.trim();
-        const cleanDescription = cleanJobDescription(job.job_description);
-        return {
-          job_id: job.job_id,
-          title: job.job_title,
-          company: job.employer_name,
-          companyLogoUrl: logoUrl,
-          location: location || "N/A",
-          description: cleanDescription || "No description available.",
-          applicationLink:
-            job.job_apply_link ||
-            `https://www.google.com/search?q=${encodeURIComponent(
-              job.job_title + " " + job.employer_name
-            )}`,
-          salary: formatSalary(job),
-          jobType: getJobType(job),
-          experience: getExperience(job),
-        };
-      })
-    );
 
-    console.log(
-      `[findJobs] ✅ Success: Found ${jobs.length} jobs (limit was ${jobLimit}).`
-    );
-    return jobs;
+    await update({
+      status: "done",
+      detectedLanguage: detectLanguageSimple(analysis.transcript.text),
+      ...analysis,
+      error: null,
+      completedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
   } catch (err) {
-    console.error(
-      "[findJobs] ❌ CRITICAL ERROR during fetch:",
-      err.name,
-      err.message
+    console.error(`[MockInterview] Job ${jobId} failed:`, err.message);
+    await update({
+      status: "failed",
+      error: {
+        message: err.status ? err.message : "Transcription failed.",
+        code: err.code && err.status ? err.code : "TRANSCRIPTION_FAILED",
+      },
+    }).catch((e) =>
+      console.error("[MockInterview] Could not record failure:", e)
     );
-    return [];
+  } finally {
+    for (const p of [filePath, oggPath]) {
+      if (fs.existsSync(p)) fs.unlink(p, () => {});
+    }
   }
-};
+}
+
+/** Helper: a job document for the API (stale in-progress jobs -> failed). */
+function serializeMockInterview(doc, { full = false } = {}) {
+  const data = doc.data();
+  const updatedAt = data.updatedAt?.toDate?.() || null;
+  let { status, error = null } = data;
+  if (
+    !["done", "failed"].includes(status) &&
+    updatedAt &&
+    Date.now() - updatedAt.getTime() > MOCK_INTERVIEW_STALE_MS
+  ) {
+    status = "failed";
+    error = {
+      message: "Processing was interrupted. Please upload again.",
+      code: "INTERRUPTED",
+    };
+  }
+  const summary = {
+    id: doc.id,
+    status,
+    title: data.title || null,
+    fileName: data.fileName || null,
+    languageCode: data.languageCode || null,
+    durationSec: data.durationSec ?? null,
+    wordsPerMinute: data.metrics?.wordsPerMinute ?? null,
+    error,
+    createdAt: data.createdAt?.toDate?.().toISOString() || null,
+    updatedAt: updatedAt?.toISOString() || null,
+  };
+  if (!full || status !== "done") return summary;
+  return {
+    ...summary,
+    detectedLanguage: data.detectedLanguage || null,
+    candidateSpeaker: data.candidateSpeaker ?? null,
+    speakers: data.speakers || [],
+    metrics: data.metrics || null,
+    answers: data.answers || [],
+    transcript: data.transcript || null,
+  };
+}
 
 // =================================================================
-// 3. Tools configuration (unchanged)
+// 3. Tools configuration & tool-calling loop
 // =================================================================
 
 const tools = [
@@ -768,61 +3860,240 @@ const tools = [
   },
 ];
 
+// Maximum number of model round trips that may request tools in one /chat turn.
+// Once reached, the model is asked to answer with tool_choice "none".
+const CHAT_MAX_TOOL_STEPS = parseInt(
+  process.env.CHAT_MAX_TOOL_STEPS || "4",
+  10
+);
+
+/**
+ * Tool implementations, keyed by function name. Each handler receives the
+ * parsed arguments and the request context ({ uid }).
+ */
+const toolHandlers = {
+  find_jobs: async (args) => {
+    const chatJobParams = {
+      ...args,
+      jobLimit: args.jobLimit || 5,
+    };
+    return findJobs(chatJobParams);
+  },
+  get_user_info: async (args, { uid }) => {
+    const prefs = await fetchUserPreferences(uid);
+    return prefs || { error: "User profile not found." };
+  },
+};
+
+/**
+ * Helper: run one structured tool call and return the `tool` message that
+ * answers it. Errors are reported to the model as JSON, never thrown.
+ */
+async function runToolCall(toolCall, context) {
+  let result;
+  if (toolCall.argumentsError) {
+    result = { error: toolCall.argumentsError };
+  } else if (!toolHandlers[toolCall.name]) {
+    result = { error: `Unknown function requested: ${toolCall.name}` };
+  } else {
+    try {
+      result = await toolHandlers[toolCall.name](toolCall.arguments, context);
+    } catch (err) {
+      console.error(`[Tools] ${toolCall.name} failed:`, err.message || err);
+      result = { error: `Tool ${toolCall.name} failed.` };
+    }
+  }
+  return {
+    role: "tool",
+    tool_call_id: toolCall.id,
+    content: JSON.stringify(result ?? null),
+  };
+}
+
+/**
+ * Multi-step tool loop for chat:
+ *  - Sends `messages` with the `tools` definitions
+ *  - Executes every tool call the model requests (in parallel) and appends the
+ *    assistant message plus one `tool` message per `tool_call_id`
+ *  - Repeats until the model answers with plain content, or CHAT_MAX_TOOL_STEPS
+ *    is reached, in which case a final answer is forced with tool_choice "none"
+ *
+ * When `onEvent` is passed, each model call is streamed and progress is
+ * reported as { type: "token", text }, { type: "tool_start", id, name,
+ * arguments } and { type: "tool_end", id, name, ok, resultCount }.
+ *
+ * When `signal` aborts, the model call in flight is cancelled and the loop stops
+ * before the next step.
+ *
+ * Returns: { ok, content, messages, toolsUsed } or { ok: false, error, aborted? }
+ */
+async function runChatWithTools({
+  messages,
+  uid,
+  temperature = 0.6,
+  onEvent = null,
+  signal = null,
+}) {
+  const conversation = [...messages];
+  const toolsUsed = [];
+
+  for (let step = 0; step <= CHAT_MAX_TOOL_STEPS; step++) {
+    if (signal?.aborted) {
+      return { ok: false, aborted: true, error: "Chat aborted." };
+    }
+    const forceAnswer = step === CHAT_MAX_TOOL_STEPS;
+    const resp = await openaiRequest({
+      messages: conversation,
+      temperature,
+      returnContent: true,
+      tools,
+      toolChoice: forceAnswer ? "none" : "auto",
+      onToken: onEvent ? (text) => onEvent({ type: "token", text }) : null,
+      signal,
+    });
+
+    if (!resp.ok) {
+      return { ok: false, error: resp.error, aborted: Boolean(resp.aborted) };
+    }
+
+    if (!resp.toolCalls || resp.toolCalls.length === 0) {
+      return {
+        ok: true,
+        content: resp.content || "",
+        messages: conversation,
+        toolsUsed,
+      };
+    }
+
+    console.log(
+      `[Chat] Step ${step + 1}: model requested tools`,
+      resp.toolCalls.map((tc) => tc.name)
+    );
+    conversation.push({
+      role: "assistant",
+      content: resp.message?.content ?? null,
+      tool_calls: resp.toolCalls.map((tc) => tc.raw),
+    });
+
+    const toolMessages = await Promise.all(
+      resp.toolCalls.map(async (tc) => {
+        if (onEvent) {
+          onEvent({
+            type: "tool_start",
+            id: tc.id,
+            name: tc.name,
+            arguments: tc.arguments,
+          });
+        }
+        const toolMessage = await runToolCall(tc, { uid });
+        if (onEvent) {
+          const result = JSON.parse(toolMessage.content);
+          onEvent({
+            type: "tool_end",
+            id: tc.id,
+            name: tc.name,
+            ok: !(result && result.error),
+            resultCount: Array.isArray(result) ? result.length : null,
+          });
+        }
+        return toolMessage;
+      })
+    );
+    conversation.push(...toolMessages);
+    toolsUsed.push(...resp.toolCalls.map((tc) => tc.name));
+  }
+
+  return { ok: false, error: "Tool loop ended without a final answer." };
+}
+
 // =================================================================
 // 4. API Endpoints (major changes: all OpenAI calls use openaiRequest wrapper)
 // =================================================================
 
-app.post("/analyze-resume", upload.single("resumeFile"), async (req, res) => {
+// Every /users/:uid/... route is scoped to the authenticated user
+app.use("/users/:uid", requireAuth());
+// Every /counseling/... route is OpenAI-backed (limited per uid when signed in)
+app.use("/counseling", requireAuth({ optional: true }), limitAiRoute("counseling"));
+
+// saveVersion=true (signed-in callers) also keeps this analysis, plus a parsed
+// profile, under users/{uid}/resume_versions
+app.post("/analyze-resume", upload.single("resumeFile"), requireAuth({ optional: true }), limitAiRoute("resume"), async (req, res) => {
     if (!req.file) {
         return res.status(400).json({ error: "No resume file uploaded." });
     }
+    const saveVersion = String(req.body?.saveVersion) === "true";
+    if (saveVersion && !req.uid) {
+        discardUpload(req);
+        return res.status(401).json({ error: "Sign in to save resume versions." });
+    }
     const filePath = req.file.path;
-    const fileMimeType = req.file.mimetype;
     const originalFilename = req.file.originalname;
+    const fileMimeType = resolveResumeMimeType(req.file.mimetype, originalFilename);
     console.log(
         `Received resume file for analysis: ${filePath} (Original: ${originalFilename}, MIME: ${fileMimeType})`
     );
 
-    const allowedMimeTypes = [
-        "application/pdf",
-        "image/jpeg",
-        "image/png",
-        "image/tiff",
-        "image/gif",
-        "application/msword",
-        "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
-    ];
-    if (!allowedMimeTypes.includes(fileMimeType)) {
+    if (!RESUME_MIME_TYPES.has(fileMimeType)) {
         if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
-        console.warn(`Unsupported MIME type for Document AI OCR: ${fileMimeType}`);
+        console.warn(`Unsupported MIME type for resume extraction: ${fileMimeType}`);
         return res
             .status(400)
             .json({ error: `Unsupported file type: ${fileMimeType}.` });
     }
 
     try {
-        // 1. Extract text from the uploaded document/image (Existing Step)
-        const resumeText = await extractResumeText(filePath, fileMimeType);
+        // 1. Extract text: native parsers first, OCR only for scans/images
+        const extraction = await extractResumeText(filePath, fileMimeType);
+        const resumeText = extraction.text;
 
         // --- 🚀 NEW VALIDATION LOGIC ---
         // Validate text quality and content type using AI/heuristics
-        const { isValid, reason } = await isActualResume(resumeText);
+        const { isValid, reason, classification } = await isActualResume(resumeText);
         
         if (!isValid) {
             console.warn(`Document failed content validation: ${reason}`);
             // Reject immediately with a clean error message visible to the user
             return res.status(400).json({
                 error: "This document does not appear to be a resume. Please upload a structured document (PDF/DOCX) detailing your work experience and education.",
-                isNotResume: true // Flag to simplify error handling on the frontend
+                isNotResume: true, // Flag to simplify error handling on the frontend
+                documentType: classification.type,
+                confidence: classification.confidence,
             });
         }
         // -----------------------------
 
-        // 2. If valid, proceed with the expensive analysis
-        const analysisResult = await getResumeFeedback(resumeText);
+        // 2. If valid, score it deterministically, then run the expensive analysis
+        const atsScore = scoreResumeAts(resumeText, {
+            extraction,
+            jobDescription: req.body?.jobDescription,
+        });
+        const analysisResult = await getResumeFeedback(resumeText, atsScore);
+
+        let versionId = null;
+        if (saveVersion) {
+            // The profile makes later diffs skill-aware; a failed parse still saves
+            const profile = await parseResumeProfile(resumeText).catch((err) => {
+                console.warn("Could not parse resume profile for version:", err.message);
+                return null;
+            });
+            versionId = await saveResumeVersion(req.uid, {
+                label: req.body?.label,
+                fileName: originalFilename,
+                text: resumeText,
+                profile,
+                atsScore,
+                feedback: analysisResult,
+                extraction,
+            });
+        }
 
         // 3. Send the final result
-        res.json({ analysisResult: analysisResult });
+        res.json({
+            analysisResult: analysisResult,
+            atsScore: atsScore,
+            extraction: describeExtraction(extraction),
+            versionId: versionId,
+        });
 
     } catch (error) {
         console.error("Error during resume analysis:", error);
@@ -846,66 +4117,252 @@ app.post("/analyze-resume", upload.single("resumeFile"), async (req, res) => {
 });
 
 // ---------------------------------------------------------------------
-// 💡 REQUIRED NEW FUNCTION: isActualResume
-// This function needs to be defined in your backend environment.
-// It should return { isValid: boolean, reason: string }.
+// isActualResume: gate for the expensive analysis. Delegates to
+// classifyDocument, so cover letters and job descriptions are rejected
+// while Hindi/Punjabi resumes and non-standard headings pass.
+// Returns { isValid, reason, classification }.
 // ---------------------------------------------------------------------
 
 async function isActualResume(text) {
-    // Basic Heuristic Check (quick and cheap)
-    if (!text || text.length < 50) {
-        return { isValid: false, reason: "Text too short." };
-    }
-
-    // AI Content Classification (more accurate but costs compute/API time)
-    // You could use a lightweight LLM prompt here:
-    // Prompt: "Classify the following text as 'RESUME' or 'OTHER'. Text: [text]"
-    // Or, check for keywords:
-    const requiredKeywords = ["Experience", "Education", "Skills", "Projects"];
-    const textLower = text.toLowerCase();
-    
-    let score = 0;
-    for (const keyword of requiredKeywords) {
-        if (textLower.includes(keyword.toLowerCase())) {
-            score++;
-        }
+    const classification = await classifyDocument(text);
+    const label = classification.type.replace("_", " ");
+    return {
+        isValid: classification.isResume,
+        reason: `Classified as ${label} (confidence ${classification.confidence}).`,
+        classification,
+    };
+}
+
+// Export templates for /resume/rewrite and /resume/export
+app.get("/resume/templates", (req, res) => {
+  res.json(
+    Object.entries(RESUME_TEMPLATES).map(([id, t]) => ({ id, label: t.label }))
+  );
+});
+
+// Rewrite a resume (resumeFile, resumeText, profile or the saved profile)
+// applying the chosen `recommendations` and/or tailoring it to a job
+// (job_id or jobDescription). format=docx|pdf returns the file directly;
+// otherwise JSON with the rewritten profile, a change list and ATS scores.
+app.post("/resume/rewrite", upload.single("resumeFile"), requireAuth({ optional: true }), limitAiRoute("resume"), async (req, res) => {
+  const { job_id: jobId, jobDescription, jobTitle } = req.body || {};
+  const templateId = req.body?.template || "classic";
+  const format = req.body?.format || "json";
+  let recommendations = req.body?.recommendations || [];
+  if (typeof recommendations === "string") {
+    recommendations = recommendations.split("\n");
+  }
+  if (!Object.hasOwn(RESUME_TEMPLATES, templateId)) {
+    discardUpload(req);
+    return res.status(400).json({ error: `Unknown template: ${templateId}.` });
+  }
+  if (format !== "json" && !Object.hasOwn(RESUME_EXPORT_FORMATS, format)) {
+    discardUpload(req);
+    return res.status(400).json({ error: `Unsupported format: ${format}.` });
+  }
+
+  try {
+    const source = await readResumeSource(req);
+    let job = null;
+    if (jobId || jobDescription) {
+      job = await resolveJobForMatch({
+        uid: req.uid,
+        jobId,
+        jobDescription,
+        jobTitle,
+      });
+      if (!job) return res.status(404).json({ error: "Job not found." });
     }
-    
-    if (score < 2) { // Require at least 2 of the major keywords
-        return { isValid: false, reason: "Lacks core resume keywords (Experience/Education)." };
+
+    const { resume, changes } = await rewriteResumeProfile({
+      profile: source.profile,
+      resumeText: source.text,
+      recommendations: uniqueStrings(recommendations).slice(0, 15),
+      job,
+    });
+    if (format !== "json") {
+      return await sendResumeFile(res, resume, templateId, format);
     }
 
-    // If it passes basic heuristics, assume it's valid for now.
-    return { isValid: true, reason: "Content appears to be a resume." };
-}
+    const target = job
+      ? { jobDescription: `${job.title || ""}\n${job.description || ""}` }
+      : {};
+    return res.json({
+      resume,
+      changes,
+      template: templateId,
+      ats: {
+        before: scoreResumeAts(source.text, {
+          extraction: source.extraction,
+          ...target,
+        }).score,
+        after: scoreResumeAts(profileToText(resume), target).score,
+      },
+    });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("Error in /resume/rewrite:", err);
+    return sendStructuredError(res, err, "Failed to rewrite resume.");
+  } finally {
+    discardUpload(req);
+  }
+});
+
+// Render a resume profile (body `profile`, or the saved one) as DOCX or PDF.
+// No model call.
+app.post("/resume/export", requireAuth({ optional: true }), async (req, res) => {
+  const templateId = req.body?.template || "classic";
+  const format = req.body?.format || req.query.format;
+  if (!Object.hasOwn(RESUME_TEMPLATES, templateId)) {
+    return res.status(400).json({ error: `Unknown template: ${templateId}.` });
+  }
+  if (!Object.hasOwn(RESUME_EXPORT_FORMATS, format)) {
+    return res.status(400).json({ error: "format must be docx or pdf." });
+  }
+
+  try {
+    let profile = req.body?.profile;
+    if (!profile && req.uid) {
+      profile = (await fetchUserPreferences(req.uid))?.resumeProfile;
+    }
+    if (!profile) {
+      return res.status(400).json({ error: "No resume profile to export." });
+    }
+    profile = coerceResumeProfile(profile);
+    const { valid, errors } = validateJson(RESUME_PROFILE_SCHEMA, profile);
+    if (!valid) {
+      return res
+        .status(400)
+        .json({ error: "Invalid resume profile.", details: errors });
+    }
+    return await sendResumeFile(res, profile, templateId, format);
+  } catch (err) {
+    console.error("Error in /resume/export:", err);
+    return res.status(500).json({ error: "Failed to export resume." });
+  }
+});
+
+// Classify a document (resumeFile upload or pasted resumeText) as resume, CV,
+// cover letter, job description or other. llm=false skips the model check.
+app.post("/resume/classify", upload.single("resumeFile"), requireAuth({ optional: true }), limitAiRoute("resume"), async (req, res) => {
+  try {
+    const { text, extraction } = await readResumeInput(req);
+    const useLlm = String(req.body?.llm ?? req.query.llm) !== "false";
+    const classification = await classifyDocument(text, { useLlm });
+    return res.json({
+      classification,
+      extraction: describeExtraction(extraction),
+    });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("Error in /resume/classify:", err);
+    if (err.message?.includes("Extraction failed")) {
+      return res.status(500).json({
+        error:
+          "Failed to read the file content. Please ensure your document is clear and readable.",
+      });
+    }
+    return res.status(500).json({ error: "Failed to classify document." });
+  } finally {
+    discardUpload(req);
+  }
+});
+
+// Rule-based ATS score for a resume (uploaded resumeFile or pasted resumeText).
+// Optional `keywords` (array or comma-separated) or `jobDescription` target a
+// specific posting. No model call, but scanned PDFs go through Document AI OCR,
+// so it shares the resume quota.
+app.post("/resume/ats-score", upload.single("resumeFile"), requireAuth({ optional: true }), limitAiRoute("resume"), async (req, res) => {
+  try {
+    const { text, extraction } = await readResumeInput(req);
+    const keywords = Array.isArray(req.body?.keywords)
+      ? req.body.keywords
+      : String(req.body?.keywords || "").split(",");
+    const atsScore = scoreResumeAts(text, {
+      extraction,
+      keywords: uniqueStrings(keywords),
+      jobDescription: req.body?.jobDescription,
+    });
+    return res.json({ atsScore, extraction: describeExtraction(extraction) });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("Error in /resume/ats-score:", err);
+    if (err.message?.includes("Extraction failed")) {
+      return res.status(500).json({
+        error:
+          "Failed to read the file content. Please ensure your document is clear and readable.",
+      });
+    }
+    return res.status(500).json({ error: "Failed to score resume." });
+  } finally {
+    discardUpload(req);
+  }
+});
+
+// Parse a resume (uploaded resumeFile or pasted resumeText) into a structured
+// profile. With save=true the profile is stored on users/{uid}.resumeProfile,
+// where /jobs, /skills/analyze and the technical questions pick up its skills.
+app.post("/resume/parse", upload.single("resumeFile"), requireAuth({ optional: true }), limitAiRoute("resume"), async (req, res) => {
+  const save = String(req.body?.save ?? req.query.save) === "true";
+  if (save && !req.uid) {
+    discardUpload(req);
+    return res
+      .status(401)
+      .json({ error: "Sign in to save the parsed profile." });
+  }
+
+  try {
+    const { text, extraction } = await readResumeInput(req);
+    if (text.length < 50) {
+      return res
+        .status(400)
+        .json({ error: "Not enough text found in the resume to parse." });
+    }
+    const profile = await parseResumeProfile(text);
+    if (save) await saveResumeProfile(req.uid, profile);
+
+    return res.json({
+      profile,
+      saved: save,
+      extraction: describeExtraction(extraction),
+    });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("Error in /resume/parse:", err);
+    if (err.message?.includes("Extraction failed")) {
+      return res.status(500).json({
+        error:
+          "Failed to read the file content. Please ensure your document is clear and readable.",
+      });
+    }
+    return sendStructuredError(res, err, "Failed to parse resume.");
+  } finally {
+    discardUpload(req);
+  }
+});
 
 app.get("/", (req, res) => {
   res.json({ status: "ok", message: "SmartChatbot backend running" });
 });
 
-app.post("/stt", upload.single("audio"), async (req, res) => {
+app.post("/stt", upload.single("audio"), requireAuth({ optional: true }), limitAiRoute("speech"), async (req, res) => {
   if (!req.file) return res.status(400).json({ error: "Audio file missing." });
-  if (!sttClient)
+  if (!sttProvider?.ready)
     return res.status(500).json({ error: "STT client not initialized." });
-  const providedLang = (req.body.languageCode || "").trim();
-  const languageCode = providedLang || "en-IN";
+  const languageCode = languageLocale(req.body.languageCode);
   try {
-    const audioBytes = fs.readFileSync(req.file.path).toString("base64");
-    const config = {
-      encoding: "AMR",
-      sampleRateHertz: 8000,
+    const result = await transcribeAudioFile(req.file.path, {
+      provider: sttProvider,
       languageCode,
-      alternativeLanguageCodes: ["en-IN", "hi-IN", "pa-IN"],
-    };
-    const audio = { content: audioBytes };
-    const request = { audio, config };
-    const [response] = await sttClient.recognize(request);
-    const transcription =
-      response.results?.map((r) => r.alternatives[0].transcript).join("\n") ||
-      "";
-    const detectedLanguage = detectLanguageSimple(transcription || "");
-    return res.json({ text: transcription, detectedLanguage });
+      alternativeLanguageCodes: sttAlternativeLanguageCodes(languageCode),
+      maxSeconds: STT_MAX_SECONDS,
+    });
+    return res.json(result);
   } catch (err) {
+    if (err.status) {
+      console.warn(`[STT] Rejected ${req.file.originalname}: ${err.message}`);
+      return res.status(err.status).json({ error: err.message, code: err.code });
+    }
     console.error("STT Error:", err);
     return res.status(500).json({ error: "Error transcribing audio." });
   } finally {
@@ -913,22 +4370,73 @@ app.post("/stt", upload.single("audio"), async (req, res) => {
   }
 });
 
-app.post("/chat", async (req, res) => {
+// Body: { text, language?, voice?, speakingRate?, format?: mp3|ogg|linear16,
+// markdown?: false to skip stripping, base64?: true for a JSON response }.
+// Default response is the raw audio with X-TTS-* headers.
+app.post("/tts", requireAuth({ optional: true }), limitAiRoute("speech"), async (req, res) => {
+  if (!ttsClient)
+    return res.status(500).json({ error: "TTS client not initialized." });
+  const { text, language, voice, speakingRate, format, markdown, base64 } =
+    req.body || {};
   try {
-    const { message, history, uid } = req.body;
-    if (!uid) return res.status(400).json({ error: "User ID is missing." });
-    if (!message || typeof message !== "string" || message.trim() === "") {
-      return res.status(400).json({ error: "Message is empty." });
+    const speech = await synthesizeSpeech({
+      text,
+      language,
+      voice,
+      speakingRate,
+      format,
+      markdown: markdown !== false,
+    });
+    if (base64) {
+      const { audio, ...meta } = speech;
+      return res.json({ audioContent: audio.toString("base64"), ...meta });
     }
-    const detectedLanguage = detectLanguageSimple(message);
-    console.log("Detected language:", detectedLanguage);
-    const userPrefs = await fetchUserPreferences(uid);
-    const personalizationContext = userPrefs
-      ? `User name: ${userPrefs.name || "N/A"}. Skills: ${
-          userPrefs.skills || "N/A"
-        }. Location: ${userPrefs.location || "N/A"}.`
-      : "";
-    const systemPrompt = `
+    res.setHeader("Content-Type", speech.mimeType);
+    res.setHeader("X-TTS-Language", speech.languageCode);
+    res.setHeader("X-TTS-Voice", speech.voice);
+    res.setHeader("X-TTS-Cache", speech.cached ? "HIT" : "MISS");
+    res.setHeader("X-TTS-Truncated", String(speech.truncated));
+    return res.send(speech.audio);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("TTS Error:", err);
+    return res.status(500).json({ error: "Error synthesizing speech." });
+  }
+});
+
+/**
+ * Helper: build the OpenAI message list for a chat turn (system prompt with
+ * language rules, history fitted to the token budget, new user message).
+ * Shared by /chat and /chat/stream.
+ */
+async function prepareChatMessages({ message, history, uid, conversationId }) {
+  const detection = detectLanguage(message);
+  const detectedLanguage = detection.language;
+  const userPrefs = await fetchUserPreferences(uid);
+  const language = resolveResponseLanguage(
+    detection,
+    userPrefs?.languagePreference
+  );
+  console.log(
+    `Detected language: ${detectedLanguage} (${detection.script}, ${detection.confidence}) -> replying in ${language.response} (${language.script})`
+  );
+  const languageRules = [
+    `   - Detected language for this request: ${detectedLanguage}${
+      detection.script === "roman" ? " (written in Roman letters)" : ""
+    }${detection.codeMixed ? ", mixed with English" : ""}.`,
+    `   - Reply language: ${language.response}${
+      language.overridden
+        ? " (chosen by the user in their settings; use it even if they write in another language)"
+        : ""
+    }.`,
+    `   - ${scriptInstruction(language.response, language.script)}`,
+  ].join("\n");
+  const personalizationContext = userPrefs
+    ? `User name: ${userPrefs.name || "N/A"}. Skills: ${
+        userSkillList(userPrefs).join(", ") || "N/A"
+      }. Location: ${userPrefs.location || "N/A"}.`
+    : "";
+  const systemPrompt = `
 You are RozgarAI — an intelligent, empathetic, and professional AI career mentor.
 
 Your mission is to assist users with career growth, job opportunities, and professional guidance while maintaining clarity, precision, and empathy in every response.
@@ -941,11 +4449,11 @@ Follow these rules with absolute consistency:
    - Never use slang or filler words. Maintain a polished, conversational tone.
 
 2) **Language Handling**
-   - Detected language for this request: ${detectedLanguage}.
-   - Supported languages: English, Hindi, Punjabi.
-   - If the detected language is supported, respond ONLY in that language.
+${languageRules}
+   - Supported languages: ${SUPPORTED_LANGUAGES.join(", ")}.
+   - Respond ONLY in the reply language and script given above.
    - If unsupported, default to **English** automatically.
-   - Never mix multiple languages in one response.
+   - Apart from the English job terms allowed above, never mix languages in one response.
 
 3) **Job Search Logic**
    - If the user’s intent is to search for jobs, use the 'find_jobs' tool.
@@ -993,140 +4501,344 @@ Follow these rules with absolute consistency:
    - If only paid resources are available, clearly mention that no free alternatives exist.
    - Never promote affiliate links or unverified commercial sources.
 
-Your goal: Deliver expert guidance, meaningful resources, and trustworthy career support — every single time, with accuracy, empathy, and professionalism.
-`;
+Your goal: Deliver expert guidance, meaningful resources, and trustworthy career support — every single time, with accuracy, empathy, and professionalism.
+`;
+
+  const transformedHistory = (Array.isArray(history) ? history : [])
+    .filter((m) => m && typeof (m.message || m.text || m.content) === "string")
+    .map((m) => {
+      const content = m.message || m.text || m.content || "";
+      const isAssistant =
+        m.type === 1 || m.role === "assistant" || m.isUser === false;
+      return {
+        role: isAssistant ? "assistant" : "user",
+        content,
+        // Stored conversations: lets the summary track messages by id
+        ...(conversationId && m.id && { id: m.id, createdAtMs: m.createdAtMs }),
+      };
+    });
+
+  const fittedHistory = await fitHistoryToBudget({
+    systemPrompt,
+    history: transformedHistory,
+    newMessage: message,
+    uid,
+    conversationId,
+  });
+
+  const messages = [
+    { role: "system", content: systemPrompt },
+    ...fittedHistory.map(({ role, content }) => ({ role, content })),
+    { role: "user", content: message },
+  ];
+
+  return {
+    messages,
+    detectedLanguage,
+    language: {
+      ...language,
+      confidence: detection.confidence,
+      detectedScript: detection.script,
+      codeMixed: detection.codeMixed,
+    },
+  };
+}
+
+/**
+ * Helper: one non-streaming chat turn — load stored history, run the model
+ * with tools, persist the turn and optionally speak the reply. Returns the
+ * /chat response body. Shared by /chat and voice chat over /stt/stream.
+ * Throws err.status 404 for an unknown conversation.
+ */
+async function runChatTurn({ message, history, uid, conversationId, tts }) {
+  let chatHistory = history;
+  if (conversationId) {
+    // Stored history replaces whatever the client sent
+    chatHistory = await loadConversationHistory(uid, conversationId);
+    if (!chatHistory) {
+      const err = new Error("Conversation not found.");
+      err.status = 404;
+      throw err;
+    }
+  }
+  const { messages, detectedLanguage, language } = await prepareChatMessages({
+    message,
+    history: chatHistory,
+    uid,
+    conversationId,
+  });
+
+  const chatResp = await runChatWithTools({ messages, uid });
+
+  if (!chatResp.ok) {
+    console.error("OpenAI chat response failed:", chatResp.error);
+    const err = new Error("Invalid response from language model.");
+    err.status = 500;
+    throw err;
+  }
+
+  if (conversationId) {
+    await appendConversationMessages(uid, conversationId, [
+      { role: "user", content: message },
+      { role: "assistant", content: chatResp.content },
+    ]).catch((err) => console.error("Failed to persist chat turn:", err));
+  }
+
+  // tts: true, or { voice, speakingRate, format }, adds the spoken reply. It
+  // counts against the caller's "speech" limit; a reached limit or a synthesis
+  // failure leaves `audio: null` and never fails the chat turn.
+  let audio;
+  if (tts) {
+    const options = typeof tts === "object" ? tts : {};
+    audio = null;
+    const { quotaKey } = requestContext.getStore() || {};
+    const limit = await consumeAiLimit("speech", quotaKey ?? `uid:${uid}`);
+    if (!limit.allowed) {
+      console.warn("[TTS] Chat reply not spoken:", limit.error.error);
+    } else {
+      try {
+        const speech = await synthesizeSpeech({
+          text: chatResp.content,
+          // Romanized replies read better with the Indian English voice
+          language:
+            language.script === "roman" ? "English" : language.response,
+          voice: options.voice,
+          speakingRate: options.speakingRate,
+          format: options.format,
+        });
+        const { audio: bytes, ...meta } = speech;
+        audio = { content: bytes.toString("base64"), ...meta };
+      } catch (err) {
+        console.error("[TTS] Chat reply synthesis failed:", err.message);
+      }
+    }
+  }
+
+  return {
+    reply: chatResp.content,
+    detectedLanguage,
+    language,
+    conversationId: conversationId || null,
+    ...(audio !== undefined && { audio }),
+  };
+}
+
+app.post("/chat", requireAuth(), limitAiRoute("chat"), async (req, res) => {
+  try {
+    const { message, history, uid, conversationId, tts } = req.body;
+    if (!uid) return res.status(400).json({ error: "User ID is missing." });
+    if (!message || typeof message !== "string" || message.trim() === "") {
+      return res.status(400).json({ error: "Message is empty." });
+    }
+    const result = await runChatTurn({
+      message,
+      history,
+      uid,
+      conversationId,
+      tts,
+    });
+    return res.json(result);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("Error in /chat:", err);
+    return res
+      .status(500)
+      .json({ error: "An error occurred processing the chat." });
+  }
+});
+
+// Streaming variant of /chat over Server-Sent Events.
+// Events: "meta" { detectedLanguage, language, conversationId }, "token" { text },
+// "tool_start" { id, name, arguments }, "tool_end" { id, name, ok, resultCount },
+// "done" { reply, detectedLanguage, language, conversationId }, "error" { error }.
+app.post("/chat/stream", requireAuth(), limitAiRoute("chat"), async (req, res) => {
+  const { message, history, uid, conversationId } = req.body;
+  if (!uid) return res.status(400).json({ error: "User ID is missing." });
+  if (!message || typeof message !== "string" || message.trim() === "") {
+    return res.status(400).json({ error: "Message is empty." });
+  }
+  let chatHistory = history;
+  if (conversationId) {
+    try {
+      chatHistory = await loadConversationHistory(uid, conversationId);
+    } catch (err) {
+      console.error("Error loading conversation for /chat/stream:", err);
+      return res.status(500).json({ error: "Could not load conversation." });
+    }
+    if (!chatHistory)
+      return res.status(404).json({ error: "Conversation not found." });
+  }
 
-    const transformedHistory = (Array.isArray(history) ? history : [])
-      .filter((m) => m && (m.message || m.text))
-      .map((m) => {
-        const content = m.message || m.text || "";
-        const isAssistant =
-          m.type === 1 || m.role === "assistant" || m.isUser === false;
-        return { role: isAssistant ? "assistant" : "user", content };
-      });
+  res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no"); // disable proxy buffering (nginx/Render)
+  res.flushHeaders();
+
+  // Aborted when the client disconnects, which also stops the model and tool loop
+  const clientGone = new AbortController();
+  res.on("close", () => clientGone.abort());
+  const sendEvent = (event, data) => {
+    if (clientGone.signal.aborted) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  // Comment lines keep idle mobile connections from being dropped during long tool calls
+  const heartbeat = setInterval(() => {
+    if (!clientGone.signal.aborted) res.write(": ping\n\n");
+  }, 15000);
 
-    const messages = [
-      { role: "system", content: systemPrompt },
-      ...transformedHistory,
-      { role: "user", content: message },
-    ];
+  try {
+    const { messages, detectedLanguage, language } = await prepareChatMessages({
+      message,
+      history: chatHistory,
+      uid,
+      conversationId,
+    });
+    sendEvent("meta", {
+      detectedLanguage,
+      language,
+      conversationId: conversationId || null,
+    });
 
-    // Send initial request to OpenAI
-    const initialResp = await openaiRequest({
+    const chatResp = await runChatWithTools({
       messages,
-      temperature: 0.6,
-      returnContent: true,
+      uid,
+      onEvent: ({ type, ...data }) => sendEvent(type, data),
+      signal: clientGone.signal,
     });
 
-    if (!initialResp.ok) {
-      console.error(
-        "OpenAI initial response failed:",
-        initialResp.error || initialResp
-      );
-      return res
-        .status(500)
-        .json({ error: "Invalid response from language model." });
+    if (chatResp.aborted) {
+      console.log("[Chat] /chat/stream client disconnected; turn abandoned.");
+    } else if (!chatResp.ok) {
+      console.error("OpenAI chat stream failed:", chatResp.error);
+      sendEvent("error", { error: "Invalid response from language model." });
+    } else {
+      if (conversationId) {
+        await appendConversationMessages(uid, conversationId, [
+          { role: "user", content: message },
+          { role: "assistant", content: chatResp.content },
+        ]).catch((err) => console.error("Failed to persist chat turn:", err));
+      }
+      sendEvent("done", {
+        reply: chatResp.content,
+        detectedLanguage,
+        language,
+        conversationId: conversationId || null,
+      });
     }
+  } catch (err) {
+    console.error("Error in /chat/stream:", err);
+    sendEvent("error", { error: "An error occurred processing the chat." });
+  } finally {
+    clearInterval(heartbeat);
+    res.end();
+  }
+});
 
-    const firstMsgContent = initialResp.content || "";
-    // If model indicates tool calls via a tool-calling convention in message content (legacy), you may parse it.
-    // However in this codebase you previously used `tool_calls` from model response; that depends on higher-level tool support.
-    // We will attempt to detect a request to call a tool by checking a JSON-like structure in the assistant message.
-    // For compatibility, if model returns a JSON indicating function calls, parse it and run functions.
+// Live speech recognition over WebSocket: ws(s)://host/stt/stream (protocol
+// in stt-stream.js). Auth: optional `Authorization: Bearer <token>` header or
+// `?token=` (browsers cannot set headers on a socket); required only for
+// forwarding to chat.
+const sttStreamServer = new WebSocketServer({
+  noServer: true,
+  maxPayload: 1024 * 1024,
+});
 
-    // Try to detect a "tool call" style JSON in the assistant message (best-effort)
-    let toolCallDetected = null;
-    try {
-      // Look for a JSON block that requests a function: {"tool": "find_jobs", "args": {...}}
-      const toolJsonMatch =
-        firstMsgContent.match(/```json\s*([\s\S]*?)\s*```/) ||
-        firstMsgContent.match(/\{[\s\S]*\}/);
-      if (toolJsonMatch && toolJsonMatch[1]) {
-        const attemptJson = toolJsonMatch[1];
-        const parsed = JSON.parse(attemptJson);
-        if (parsed && (parsed.tool || parsed.function || parsed.action)) {
-          toolCallDetected = parsed;
-        }
-      } else if (toolJsonMatch && toolJsonMatch[0]) {
-        // maybe matched the whole object
-        try {
-          const parsed = JSON.parse(toolJsonMatch[0]);
-          if (parsed && (parsed.tool || parsed.function || parsed.action)) {
-            toolCallDetected = parsed;
-          }
-        } catch (e) {}
-      }
-    } catch (e) {
-      // ignore parsing errors; proceed to return message
-    }
-
-    if (toolCallDetected) {
-      console.log("Detected tool call request from model:", toolCallDetected);
-      const functionName =
-        toolCallDetected.tool ||
-        toolCallDetected.function ||
-        toolCallDetected.action;
-      const functionArgs =
-        toolCallDetected.args || toolCallDetected.arguments || {};
-
-      let toolResult = null;
-      if (functionName === "find_jobs") {
-        const chatJobParams = {
-          ...functionArgs,
-          jobLimit: functionArgs.jobLimit || 5,
-        };
-        toolResult = await findJobs(chatJobParams);
-      } else if (functionName === "get_user_info") {
-        toolResult = await fetchUserPreferences(uid);
-      } else {
-        toolResult = { error: "Unknown function requested." };
-      }
+/** Helper: client IP for an upgrade request, honouring TRUST_PROXY. */
+function upgradeClientIp(req) {
+  const forwarded = req.headers["x-forwarded-for"];
+  if (app.get("trust proxy") && forwarded) {
+    return forwarded.split(",")[0].trim();
+  }
+  return req.socket.remoteAddress;
+}
 
-      // Append tool result and ask model to produce final message
-      const followupMessages = [
-        { role: "system", content: systemPrompt },
-        ...transformedHistory,
-        { role: "assistant", content: firstMsgContent },
-        {
-          role: "tool",
-          name: functionName,
-          content: JSON.stringify(toolResult),
-        },
-        {
-          role: "user",
-          content: "Use the tool results above to produce a helpful response.",
-        },
-      ];
+const handleSttStream = createSttStreamHandler({
+  createRecognizer: createRecognizeStream,
+  consumeLimit: consumeAiLimit,
+  runChat: ({ text, chat, uid, quotaKey }) =>
+    requestContext.run(
+      {
+        req: { method: "WS", path: "/stt/stream", uid },
+        quotaKey,
+        routeGroup: "chat",
+      },
+      () =>
+        runChatTurn({
+          message: text,
+          history: chat.history,
+          uid,
+          conversationId: chat.conversationId,
+          tts: chat.tts,
+        })
+    ),
+  mock: STT_MOCK,
+  maxSeconds: STT_STREAM_MAX_SECONDS,
+  idleMs: STT_STREAM_IDLE_MS,
+});
 
-      const finalResp = await openaiRequest({
-        messages: followupMessages,
-        temperature: 0.6,
-        returnContent: true,
-      });
+/** Helper: route HTTP upgrades on /stt/stream to the streaming STT socket. */
+function attachSttStream(server) {
+  server.on("upgrade", async (req, socket, head) => {
+    const url = new URL(req.url, "http://localhost");
+    if (url.pathname !== "/stt/stream") return socket.destroy();
 
-      if (!finalResp.ok) {
-        console.error(
-          "OpenAI final response failed:",
-          finalResp.error || finalResp
+    const header = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || "");
+    const token = header?.[1].trim() || url.searchParams.get("token");
+    let uid = null;
+    if (token) {
+      try {
+        uid = (await verifyIdToken(token)).uid;
+      } catch (err) {
+        console.warn(
+          "[Auth] Stream token verification failed:",
+          err.code || err.message
         );
-        return res
-          .status(500)
-          .json({ error: "Failed to generate final response." });
+        socket.write("HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n");
+        return socket.destroy();
       }
-      return res.json({ reply: finalResp.content, detectedLanguage });
-    } else {
-      // No tool call detected — return assistant content
-      return res.json({ reply: firstMsgContent, detectedLanguage });
     }
-  } catch (err) {
-    console.error("Error in /chat:", err);
-    return res
-      .status(500)
-      .json({ error: "An error occurred processing the chat." });
-  }
-});
+    const quotaKey = uid ? `uid:${uid}` : `ip:${upgradeClientIp(req)}`;
+    sttStreamServer.handleUpgrade(req, socket, head, (ws) =>
+      handleSttStream(ws, { uid, quotaKey })
+    );
+  });
+}
+
+// Response schemas for /skills/analyze (job-role gap / profile-only analysis)
+const LEARNING_LINKS_SCHEMA = {
+  type: "object",
+  additionalProperties: { type: "string", pattern: "^https?://" },
+};
+const SKILL_GAP_SCHEMA = {
+  type: "object",
+  properties: {
+    skill_list: {
+      type: "array",
+      items: { type: "string", minLength: 1 },
+      minItems: 1,
+      maxItems: 12,
+    },
+    learning_links: LEARNING_LINKS_SCHEMA,
+  },
+  required: ["skill_list", "learning_links"],
+};
+const SKILLS_PROFILE_SCHEMA = {
+  type: "object",
+  properties: {
+    jobRole: { type: "string" },
+    missingSkills: {
+      type: "array",
+      items: { type: "string", minLength: 1 },
+      minItems: 8,
+      maxItems: 10,
+    },
+    learningResources: LEARNING_LINKS_SCHEMA,
+  },
+  required: ["jobRole", "missingSkills", "learningResources"],
+};
 
-app.get("/skills/analyze", async (req, res) => {
+app.get("/skills/analyze", requireAuth(), limitAiRoute("skills"), async (req, res) => {
     // queryJobRole will be a string if searched, or null/undefined if "Analyze Profile" is clicked.
     const { uid, jobRole: queryJobRole } = req.query; 
 
@@ -1139,11 +4851,7 @@ app.get("/skills/analyze", async (req, res) => {
             return res.status(404).json({ error: "User profile not found." });
         }
 
-        const userSkills = (userPrefs.skills || "")
-            .toLowerCase()
-            .split(",")
-            .map((s) => s.trim())
-            .filter(Boolean);
+        const userSkills = userSkillList(userPrefs).map((s) => s.toLowerCase());
         
         // --- 🛑 CORE LOGIC: DIFFERENTIATE ANALYSIS TYPES 🛑 ---
 
@@ -1168,18 +4876,16 @@ Respond with ONLY a single valid JSON object in the following format:
 Do not include any other text, explanations, or markdown ticks.
 `;
 
-            const messages = [{ role: "user", content: combinedQuestion }];
-            const aiResp = await openaiRequest({
-                messages,
+            const parsedData = await structuredRequest({
+                prompt: combinedQuestion,
+                schema: SKILL_GAP_SCHEMA,
+                schemaName: "skill_gap",
                 temperature: 0.25,
-                returnContent: true,
-                parseJsonContent: true,
+                coerce: (data) => ({
+                    ...data,
+                    skill_list: data?.skill_list?.slice(0, 12),
+                }),
             });
-
-            if (!aiResp.ok)
-                throw new Error(aiResp.error || "OpenAI returned empty response.");
-
-            const parsedData = aiResp.parsed; // parsed JSON
             const requiredSkills = (parsedData.skill_list || []).map((s) =>
                 s.trim().toLowerCase()
             );
@@ -1235,115 +4941,692 @@ Do not include any other text, explanations, or markdown ticks.
 
 // ... (Rest of the analysis code follows) ...
             
-            const messages = [{ role: "user", content: profileQuestion }];
-            const aiResp = await openaiRequest({
-                messages,
+            const parsedData = await structuredRequest({
+                prompt: profileQuestion,
+                schema: SKILLS_PROFILE_SCHEMA,
+                schemaName: "skills_profile",
                 temperature: 0.25,
-                returnContent: true,
-                parseJsonContent: true,
             });
+            
+            // Return skills-only analysis
+            return res.json({
+                jobRole: parsedData.jobRole || "My Skills Profile",
+                requiredSkills: userSkills, // Use user's skills here for client display consistency
+                missingSkills: [], // IMPORTANT: Ensure this is empty
+                learningResources: parsedData.learningResources || {},
+            });
+        }
+
+    } catch (err) {
+        console.error("Error in /skills/analyze:", err);
+        return sendStructuredError(res, err, "Skill analysis failed.");
+    }
+});
+
+// Circuit-breaker view of the model fallback chain
+app.get("/health/models", (req, res) => {
+  const now = Date.now();
+  const models = MODEL_CHAIN.map((entry) => {
+    const state = entry.provider.configured
+      ? circuitState(entry)
+      : "not_configured";
+    const health = getModelHealth(entry);
+    return {
+      id: entry.id,
+      provider: entry.provider.name,
+      model: entry.model,
+      state,
+      consecutiveFailures: health.consecutiveFailures,
+      failures: health.failures,
+      successes: health.successes,
+      lastError: health.lastError,
+      lastErrorAt: health.lastErrorAt,
+      lastSuccessAt: health.lastSuccessAt,
+      retryInMs: state === "open" ? Math.max(0, health.openUntil - now) : 0,
+    };
+  });
+  const healthy = models.some(
+    (m) => m.state === "closed" || m.state === "half_open"
+  );
+  res.status(healthy ? 200 : 503).json({
+    status: healthy ? "ok" : "degraded",
+    failureThreshold: CIRCUIT_FAILURE_THRESHOLD,
+    cooldownMs: CIRCUIT_COOLDOWN_MS,
+    models,
+  });
+});
+
+app.get("/ping", (req, res) => {
+  res.status(200).json({ status: "ok", message: "Server is awake" });
+});
+app.get("/jobs", requireAuth({ optional: true }), async (req, res) => {
+  const { uid, query, employment_types } = req.query;
+  try {
+    let queryToUse = query;
+
+    if (!queryToUse && uid) {
+      const prefs = await fetchUserPreferences(uid);
+      queryToUse = prefs
+        ? `${userSkillList(prefs).slice(0, 5).join(", ") || "jobs"} in ${
+            prefs.location || "India"
+          }`
+        : "tech jobs in India";
+    } else if (!queryToUse) {
+      queryToUse = "jobs in India";
+    }
+
+    const jobPageParams = {
+      query: queryToUse,
+      employment_types,
+      jobLimit: 50,
+    };
+    const jobsResult = await findJobs(jobPageParams);
+
+    return res.json(jobsResult);
+  } catch (err) {
+    console.error("Error in /jobs:", err);
+    return res.status(500).json({ error: "Error fetching jobs." });
+  }
+});
+
+// How well a resume fits one job. Resume: resumeFile, resumeText, profile or
+// the caller's saved resumeProfile. Job: job_id (saved or JSearch) or a pasted
+// jobDescription (+ optional jobTitle).
+app.post("/jobs/match", upload.single("resumeFile"), requireAuth({ optional: true }), limitAiRoute("resume"), async (req, res) => {
+  const { job_id: jobId, jobDescription, jobTitle } = req.body || {};
+  try {
+    if (!jobId && !jobDescription) {
+      return res
+        .status(400)
+        .json({ error: "Provide a job_id or a jobDescription." });
+    }
+    const job = await resolveJobForMatch({
+      uid: req.uid,
+      jobId,
+      jobDescription,
+      jobTitle,
+    });
+    if (!job) return res.status(404).json({ error: "Job not found." });
+
+    const { text, skills, extraction } = await readResumeSource(req);
+    const suggestions = await suggestJobMatch({
+      job,
+      resumeText: text,
+      skills,
+    });
+    const match = scoreJobMatch({
+      resumeText: text,
+      skills,
+      job,
+      requiredSkills: suggestions.requiredSkills,
+      niceToHaveSkills: suggestions.niceToHaveSkills,
+    });
+
+    return res.json({
+      job: {
+        job_id: job.job_id || null,
+        title: job.title || "",
+        company: job.company || "",
+        experience: match.experienceFit.required,
+      },
+      ...match,
+      bulletSuggestions: suggestions.bulletSuggestions,
+      summary: suggestions.summary,
+      extraction: describeExtraction(extraction),
+    });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("Error in /jobs/match:", err);
+    return sendStructuredError(res, err, "Failed to match resume to job.");
+  } finally {
+    discardUpload(req);
+  }
+});
+app.get("/users/:uid/saved-jobs", async (req, res) => {
+  const { uid } = req.params;
+  try {
+    const snap = await db
+      .collection("users")
+      .doc(uid)
+      .collection("saved_jobs")
+      .get();
+    const saved = snap.docs.map((d) => d.data());
+    return res.json(saved);
+  } catch (err) {
+    console.error("Error fetching saved jobs:", err);
+    return res.status(500).json({ error: "Could not fetch saved jobs." });
+  }
+});
+
+app.post("/users/:uid/saved-jobs", async (req, res) => {
+  const { uid } = req.params;
+  const jobData = req.body;
+  const jobId = jobData?.job_id;
+  if (!jobId) return res.status(400).json({ error: "Job ID missing." });
+  try {
+    await db
+      .collection("users")
+      .doc(uid)
+      .collection("saved_jobs")
+      .doc(jobId)
+      .set(jobData);
+    return res.status(201).json({ message: "Job saved." });
+  } catch (err) {
+    console.error("Error saving job:", err);
+    return res.status(500).json({ error: "Could not save job." });
+  }
+});
+
+app.delete("/users/:uid/saved-jobs/:jobId", async (req, res) => {
+  const { uid, jobId } = req.params;
+  try {
+    await db
+      .collection("users")
+      .doc(uid)
+      .collection("saved_jobs")
+      .doc(jobId)
+      .delete();
+    return res.json({ message: "Job unsaved." });
+  } catch (err) {
+    console.error("Error deleting saved job:", err);
+    return res.status(500).json({ error: "Could not unsave job." });
+  }
+});
+
+// Rank the user's saved jobs (or the `jobIds` subset) by resume fit. Uses the
+// deterministic scorer only, with each job's top keywords as its skill list.
+app.post("/users/:uid/saved-jobs/match", upload.single("resumeFile"), limitAiRoute("resume"), async (req, res) => {
+  const { uid } = req.params;
+  let jobIds = req.body?.jobIds;
+  if (typeof jobIds === "string") jobIds = jobIds.split(",");
+  try {
+    const { text, skills, extraction } = await readResumeSource(req);
+    const snap = await db
+      .collection("users")
+      .doc(uid)
+      .collection("saved_jobs")
+      .get();
+    const wanted = Array.isArray(jobIds) ? new Set(jobIds) : null;
+    const jobs = snap.docs
+      .map((d) => d.data())
+      .filter((job) => !wanted || wanted.has(job.job_id))
+      .slice(0, JOB_MATCH_BATCH_LIMIT);
+
+    const ranked = jobs
+      .map((job) => {
+        const match = scoreJobMatch({ resumeText: text, skills, job });
+        return {
+          job_id: job.job_id,
+          title: job.title,
+          company: job.company,
+          matchScore: match.matchScore,
+          matchedSkills: match.matchedSkills,
+          missingSkills: match.missingSkills,
+          experienceFit: match.experienceFit,
+        };
+      })
+      .sort((a, b) => b.matchScore - a.matchScore);
+
+    return res.json({
+      ranked,
+      count: ranked.length,
+      extraction: describeExtraction(extraction),
+    });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("Error ranking saved jobs:", err);
+    return res.status(500).json({ error: "Could not rank saved jobs." });
+  } finally {
+    discardUpload(req);
+  }
+});
+
+app.post("/users/:uid/conversations", async (req, res) => {
+  const { uid } = req.params;
+  const title =
+    typeof req.body?.title === "string"
+      ? req.body.title.trim().slice(0, 120)
+      : "";
+  try {
+    const convRef = conversationsRef(uid).doc();
+    await convRef.set({
+      title: title || null,
+      messageCount: 0,
+      lastMessagePreview: "",
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return res.status(201).json({ id: convRef.id, title: title || null });
+  } catch (err) {
+    console.error("Error creating conversation:", err);
+    return res.status(500).json({ error: "Could not create conversation." });
+  }
+});
+
+app.get("/users/:uid/conversations", async (req, res) => {
+  const { uid } = req.params;
+  const limit = Math.min(parseInt(req.query.limit || "50", 10) || 50, 200);
+  try {
+    const snap = await conversationsRef(uid)
+      .orderBy("updatedAt", "desc")
+      .limit(limit)
+      .get();
+    return res.json(snap.docs.map(serializeConversation));
+  } catch (err) {
+    console.error("Error listing conversations:", err);
+    return res.status(500).json({ error: "Could not fetch conversations." });
+  }
+});
+
+app.get("/users/:uid/conversations/:conversationId", async (req, res) => {
+  const { uid, conversationId } = req.params;
+  try {
+    const convRef = conversationsRef(uid).doc(conversationId);
+    const convDoc = await convRef.get();
+    if (!convDoc.exists)
+      return res.status(404).json({ error: "Conversation not found." });
+    const snap = await convRef
+      .collection("messages")
+      .orderBy("createdAt", "asc")
+      .get();
+    const messages = snap.docs.map((d) => {
+      const m = d.data();
+      return {
+        id: d.id,
+        role: m.role,
+        content: m.content,
+        createdAt: m.createdAt?.toDate?.().toISOString() || null,
+      };
+    });
+    return res.json({ ...serializeConversation(convDoc), messages });
+  } catch (err) {
+    console.error("Error fetching conversation:", err);
+    return res.status(500).json({ error: "Could not fetch conversation." });
+  }
+});
+
+app.patch("/users/:uid/conversations/:conversationId", async (req, res) => {
+  const { uid, conversationId } = req.params;
+  const title = typeof req.body?.title === "string" ? req.body.title.trim() : "";
+  if (!title) return res.status(400).json({ error: "Title is required." });
+  try {
+    const convRef = conversationsRef(uid).doc(conversationId);
+    const convDoc = await convRef.get();
+    if (!convDoc.exists)
+      return res.status(404).json({ error: "Conversation not found." });
+    await convRef.update({
+      title: title.slice(0, 120),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return res.json({ message: "Conversation renamed." });
+  } catch (err) {
+    console.error("Error renaming conversation:", err);
+    return res.status(500).json({ error: "Could not rename conversation." });
+  }
+});
+
+app.delete("/users/:uid/conversations/:conversationId", async (req, res) => {
+  const { uid, conversationId } = req.params;
+  try {
+    // recursiveDelete removes the messages subcollection along with the document
+    await db.recursiveDelete(conversationsRef(uid).doc(conversationId));
+    return res.json({ message: "Conversation deleted." });
+  } catch (err) {
+    console.error("Error deleting conversation:", err);
+    return res.status(500).json({ error: "Could not delete conversation." });
+  }
+});
+
+// Reply language for /chat: users/{uid}.languagePreference = { language, script }
+// ("auto" follows the language and script the user writes in)
+app.get("/users/:uid/language-preference", async (req, res) => {
+  const { uid } = req.params;
+  try {
+    const prefs = await fetchUserPreferences(uid);
+    return res.json({
+      language: prefs?.languagePreference?.language || "auto",
+      script: prefs?.languagePreference?.script || "auto",
+      options: LANGUAGE_PREFERENCE_OPTIONS,
+    });
+  } catch (err) {
+    console.error("Error fetching language preference:", err);
+    return res
+      .status(500)
+      .json({ error: "Could not fetch language preference." });
+  }
+});
 
-            if (!aiResp.ok)
-                throw new Error(aiResp.error || "OpenAI returned empty response.");
+app.put("/users/:uid/language-preference", async (req, res) => {
+  const { uid } = req.params;
+  const language = req.body?.language ?? "auto";
+  const script = req.body?.script ?? "auto";
+  if (!LANGUAGE_PREFERENCE_OPTIONS.language.includes(language)) {
+    return res.status(400).json({
+      error: `language must be one of: ${LANGUAGE_PREFERENCE_OPTIONS.language.join(", ")}`,
+    });
+  }
+  if (!LANGUAGE_PREFERENCE_OPTIONS.script.includes(script)) {
+    return res.status(400).json({
+      error: `script must be one of: ${LANGUAGE_PREFERENCE_OPTIONS.script.join(", ")}`,
+    });
+  }
+  try {
+    await db.collection("users").doc(uid).set(
+      {
+        languagePreference: { language, script },
+        languagePreferenceUpdatedAt:
+          admin.firestore.FieldValue.serverTimestamp(),
+      },
+      { merge: true }
+    );
+    return res.json({
+      message: "Language preference saved.",
+      language,
+      script,
+    });
+  } catch (err) {
+    console.error("Error saving language preference:", err);
+    return res
+      .status(500)
+      .json({ error: "Could not save language preference." });
+  }
+});
 
-            const parsedData = aiResp.parsed;
-            
-            // Return skills-only analysis
-            return res.json({
-                jobRole: parsedData.jobRole || "My Skills Profile",
-                requiredSkills: userSkills, // Use user's skills here for client display consistency
-                missingSkills: [], // IMPORTANT: Ensure this is empty
-                learningResources: parsedData.learningResources || {},
-            });
-        }
+// Resume versions saved by /analyze-resume (saveVersion=true)
+app.get("/users/:uid/resume-versions", async (req, res) => {
+  const { uid } = req.params;
+  try {
+    const snap = await resumeVersionsRef(uid)
+      .orderBy("createdAt", "desc")
+      .limit(RESUME_VERSION_LIST_LIMIT)
+      .get();
+    return res.json(snap.docs.map((d) => serializeResumeVersion(d)));
+  } catch (err) {
+    console.error("Error listing resume versions:", err);
+    return res.status(500).json({ error: "Could not list resume versions." });
+  }
+});
 
-    } catch (err) {
-        console.error("Error in /skills/analyze:", err);
-        return res.status(500).json({ error: "Skill analysis failed." });
+// Compare two versions: ?from=<versionId>&to=<versionId>
+app.get("/users/:uid/resume-versions/diff", async (req, res) => {
+  const { uid } = req.params;
+  const { from, to } = req.query;
+  if (!from || !to) {
+    return res
+      .status(400)
+      .json({ error: "from and to version ids are required." });
+  }
+  try {
+    const [fromDoc, toDoc] = await Promise.all([
+      resumeVersionsRef(uid).doc(from).get(),
+      resumeVersionsRef(uid).doc(to).get(),
+    ]);
+    if (!fromDoc.exists || !toDoc.exists) {
+      return res.status(404).json({ error: "Resume version not found." });
     }
+    return res.json(
+      diffResumeVersions(
+        serializeResumeVersion(fromDoc, { full: true }),
+        serializeResumeVersion(toDoc, { full: true })
+      )
+    );
+  } catch (err) {
+    console.error("Error diffing resume versions:", err);
+    return res
+      .status(500)
+      .json({ error: "Could not compare resume versions." });
+  }
 });
 
-app.get("/ping", (req, res) => {
-  res.status(200).json({ status: "ok", message: "Server is awake" });
-});
-app.get("/jobs", async (req, res) => {
-  const { uid, query, employment_types } = req.query;
+app.get("/users/:uid/resume-versions/:versionId", async (req, res) => {
+  const { uid, versionId } = req.params;
   try {
-    let queryToUse = query;
+    const doc = await resumeVersionsRef(uid).doc(versionId).get();
+    if (!doc.exists) {
+      return res.status(404).json({ error: "Resume version not found." });
+    }
+    return res.json(serializeResumeVersion(doc, { full: true }));
+  } catch (err) {
+    console.error("Error loading resume version:", err);
+    return res.status(500).json({ error: "Could not load resume version." });
+  }
+});
 
-    if (!queryToUse && uid) {
-      const prefs = await fetchUserPreferences(uid);
-      queryToUse = prefs
-        ? `${prefs.skills || "jobs"} in ${prefs.location || "India"}`
-        : "tech jobs in India";
-    } else if (!queryToUse) {
-      queryToUse = "jobs in India";
+app.delete("/users/:uid/resume-versions/:versionId", async (req, res) => {
+  const { uid, versionId } = req.params;
+  try {
+    const ref = resumeVersionsRef(uid).doc(versionId);
+    const doc = await ref.get();
+    if (!doc.exists) {
+      return res.status(404).json({ error: "Resume version not found." });
     }
+    await ref.delete();
+    return res.json({ message: "Resume version deleted." });
+  } catch (err) {
+    console.error("Error deleting resume version:", err);
+    return res.status(500).json({ error: "Could not delete resume version." });
+  }
+});
 
-    const jobPageParams = {
-      query: queryToUse,
-      employment_types,
-      jobLimit: 50,
-    };
-    const jobsResult = await findJobs(jobPageParams);
+// Upload a recorded mock interview for asynchronous transcription and
+// analysis. Multipart: audio, languageCode?, speakers? (1-6, default 2),
+// candidateSpeaker?, title?, questions? (JSON array of strings or
+// { question, startSec }). Responds 202 { jobId, status }; poll
+// GET /users/:uid/mock-interviews/:jobId until status is "done" or "failed".
+app.post("/users/:uid/mock-interviews", recordingUpload.single("audio"), limitAiRoute("speech"), async (req, res) => {
+  const { uid } = req.params;
+  if (!req.file) return res.status(400).json({ error: "Audio file missing." });
+  const reject = (error) => {
+    discardUpload(req);
+    return res.status(400).json({ error });
+  };
 
-    return res.json(jobsResult);
+  const speakers = parseInt(req.body.speakers || "2", 10);
+  if (!(speakers >= 1 && speakers <= 6)) {
+    return reject("speakers must be between 1 and 6.");
+  }
+  const candidateSpeaker = req.body.candidateSpeaker
+    ? parseInt(req.body.candidateSpeaker, 10)
+    : null;
+  if (candidateSpeaker !== null && !(candidateSpeaker >= 1)) {
+    return reject("candidateSpeaker must be a speaker number (1, 2, ...).");
+  }
+  let questions = req.body.questions || [];
+  try {
+    if (typeof questions === "string") questions = JSON.parse(questions);
+  } catch {
+    return reject("questions must be a JSON array.");
+  }
+  if (!Array.isArray(questions)) return reject("questions must be an array.");
+  questions = questions
+    .map((q) =>
+      typeof q === "string"
+        ? { question: q.trim() }
+        : {
+            question: String(q?.question || "").trim(),
+            ...(q?.startSec !== undefined && { startSec: Number(q.startSec) }),
+          }
+    )
+    .filter((q) => q.question);
+
+  try {
+    const ref = mockInterviewsRef(uid).doc();
+    const options = {
+      languageCode: languageLocale(req.body.languageCode),
+      speakers,
+      candidateSpeaker,
+      questions,
+    };
+    await ref.set({
+      status: "queued",
+      title: String(req.body.title || "").trim() || null,
+      fileName: req.file.originalname || null,
+      ...options,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    // Not awaited: the client polls the job document
+    processMockInterview({
+      uid,
+      jobId: ref.id,
+      filePath: req.file.path,
+      options,
+    });
+    return res.status(202).json({
+      jobId: ref.id,
+      status: "queued",
+      statusUrl: `/users/${uid}/mock-interviews/${ref.id}`,
+    });
   } catch (err) {
-    console.error("Error in /jobs:", err);
-    return res.status(500).json({ error: "Error fetching jobs." });
+    discardUpload(req);
+    console.error("Error creating mock interview job:", err);
+    return res.status(500).json({ error: "Could not start transcription." });
   }
 });
-app.get("/users/:uid/saved-jobs", async (req, res) => {
+
+app.get("/users/:uid/mock-interviews", async (req, res) => {
   const { uid } = req.params;
   try {
-    const snap = await db
-      .collection("users")
-      .doc(uid)
-      .collection("saved_jobs")
+    const snap = await mockInterviewsRef(uid)
+      .orderBy("createdAt", "desc")
+      .limit(MOCK_INTERVIEW_LIST_LIMIT)
       .get();
-    const saved = snap.docs.map((d) => d.data());
-    return res.json(saved);
+    return res.json(snap.docs.map((d) => serializeMockInterview(d)));
   } catch (err) {
-    console.error("Error fetching saved jobs:", err);
-    return res.status(500).json({ error: "Could not fetch saved jobs." });
+    console.error("Error listing mock interviews:", err);
+    return res.status(500).json({ error: "Could not list mock interviews." });
   }
 });
 
-app.post("/users/:uid/saved-jobs", async (req, res) => {
-  const { uid } = req.params;
-  const jobData = req.body;
-  const jobId = jobData?.job_id;
-  if (!jobId) return res.status(400).json({ error: "Job ID missing." });
+app.get("/users/:uid/mock-interviews/:jobId", async (req, res) => {
+  const { uid, jobId } = req.params;
   try {
-    await db
-      .collection("users")
-      .doc(uid)
-      .collection("saved_jobs")
-      .doc(jobId)
-      .set(jobData);
-    return res.status(201).json({ message: "Job saved." });
+    const doc = await mockInterviewsRef(uid).doc(jobId).get();
+    if (!doc.exists) {
+      return res.status(404).json({ error: "Mock interview not found." });
+    }
+    return res.json(serializeMockInterview(doc, { full: true }));
   } catch (err) {
-    console.error("Error saving job:", err);
-    return res.status(500).json({ error: "Could not save job." });
+    console.error("Error fetching mock interview:", err);
+    return res.status(500).json({ error: "Could not fetch mock interview." });
   }
 });
 
-app.delete("/users/:uid/saved-jobs/:jobId", async (req, res) => {
-  const { uid, jobId } = req.params;
+// Aggregated OpenAI spend from the usage ledger.
+// Query: from, to (YYYY-MM-DD, inclusive, UTC; default last 7 days, max 92).
+app.get("/admin/usage", requireAuth(), requireAdmin, async (req, res) => {
+  const dayPattern = /^\d{4}-\d{2}-\d{2}$/;
+  const today = utcDateKey();
+  const to = req.query.to || today;
+  const from =
+    req.query.from || utcDateKey(new Date(Date.now() - 6 * 86400 * 1000));
+  if (!dayPattern.test(from) || !dayPattern.test(to) || from > to) {
+    return res
+      .status(400)
+      .json({ error: "from and to must be YYYY-MM-DD with from <= to." });
+  }
+  if (Date.parse(to) - Date.parse(from) > 92 * 86400 * 1000) {
+    return res.status(400).json({ error: "Date range is limited to 92 days." });
+  }
+
   try {
-    await db
-      .collection("users")
-      .doc(uid)
-      .collection("saved_jobs")
-      .doc(jobId)
-      .delete();
-    return res.json({ message: "Job unsaved." });
+    const snap = await db
+      .collection("ai_usage_ledger")
+      .where("day", ">=", from)
+      .where("day", "<=", to)
+      .get();
+
+    const emptyBucket = () => ({
+      calls: 0,
+      failedCalls: 0,
+      promptTokens: 0,
+      completionTokens: 0,
+      totalTokens: 0,
+      estimatedCostUsd: 0,
+    });
+    const totals = emptyBucket();
+    const groups = { byDay: {}, byRoute: {}, byModel: {}, byUser: {} };
+
+    for (const doc of snap.docs) {
+      const entry = doc.data();
+      const keys = {
+        byDay: entry.day,
+        byRoute: entry.route || "unknown",
+        byModel: entry.model || "none",
+        byUser: entry.uid || entry.quotaKey || "anonymous",
+      };
+      for (const bucket of [
+        totals,
+        ...Object.entries(keys).map(
+          ([group, key]) => (groups[group][key] ||= emptyBucket())
+        ),
+      ]) {
+        bucket.calls += 1;
+        if (entry.failed) bucket.failedCalls += 1;
+        bucket.promptTokens += entry.promptTokens || 0;
+        bucket.completionTokens += entry.completionTokens || 0;
+        bucket.totalTokens += entry.totalTokens || 0;
+        bucket.estimatedCostUsd += entry.estimatedCostUsd || 0;
+      }
+    }
+
+    // Objects -> arrays sorted by spend, with rounded cost
+    const toRows = (group, sortByKey = false) =>
+      Object.entries(group)
+        .map(([key, bucket]) => ({
+          key,
+          ...bucket,
+          estimatedCostUsd: Number(bucket.estimatedCostUsd.toFixed(4)),
+        }))
+        .sort((a, b) =>
+          sortByKey
+            ? a.key.localeCompare(b.key)
+            : b.estimatedCostUsd - a.estimatedCostUsd
+        );
+
+    return res.json({
+      from,
+      to,
+      totals: {
+        ...totals,
+        estimatedCostUsd: Number(totals.estimatedCostUsd.toFixed(4)),
+      },
+      byDay: toRows(groups.byDay, true),
+      byRoute: toRows(groups.byRoute),
+      byModel: toRows(groups.byModel),
+      byUser: toRows(groups.byUser).slice(0, 100),
+    });
   } catch (err) {
-    console.error("Error deleting saved job:", err);
-    return res.status(500).json({ error: "Could not unsave job." });
+    console.error("Error in /admin/usage:", err);
+    return res.status(500).json({ error: "Could not aggregate usage." });
   }
 });
 
+// { content: Markdown guide, universities: [] or 3-5 { name, location, link } }
+const customGuideSchema = memoizeSchema((withUniversities) => ({
+  type: "object",
+  properties: {
+    content: { type: "string", minLength: 1 },
+    universities: withUniversities
+      ? {
+          type: "array",
+          minItems: 3,
+          maxItems: 5,
+          items: {
+            type: "object",
+            properties: {
+              name: { type: "string", minLength: 1 },
+              location: { type: "string" },
+              link: { type: "string", pattern: "^https?://" },
+            },
+            required: ["name", "location", "link"],
+          },
+        }
+      : { type: "array", maxItems: 0 },
+  },
+  required: ["content", "universities"],
+}));
+
 app.get("/counseling/custom-guide", async (req, res) => {
   const { fromCountry, toCountry, degree, topics } = req.query;
 
@@ -1432,27 +5715,19 @@ IMPORTANT:
 `;
 
   try {
-    const messages = [{ role: "user", content: contentPrompt }];
-    const aiResp = await openaiRequest({
-      messages,
+    const finalData = await structuredRequest({
+      prompt: contentPrompt,
+      schema: customGuideSchema(requestedTopics.includes("Top Universities")),
+      schemaName: "custom_guide",
       temperature: 0.3,
-      returnContent: true,
-      parseJsonContent: true,
     });
-
-    if (!aiResp.ok)
-      throw new Error(aiResp.error || "OpenAI returned empty response.");
-
-    const finalData = aiResp.parsed;
     res.json({
-      content: finalData.content || "",
-      universities: finalData.universities || [],
+      content: finalData.content,
+      universities: finalData.universities,
     });
   } catch (error) {
     console.error("Error in /counseling/custom-guide:", error);
-    res.status(500).json({
-      error: error.message || "Failed to generate custom guide.",
-    });
+    sendStructuredError(res, error, "Failed to generate custom guide.");
   }
 });
 app.get("/counseling/get-specializations", async (req, res) => {
@@ -1470,27 +5745,24 @@ Guidelines:
 2. If "${degree}" is a specific or professional degree (e.g., "MBA", "PhD in Physics", "Doctor of Medicine", "Master of Computer Science"), list precise and realistic specializations, subfields, or research areas directly relevant to it.
 3. Use globally recognized academic or industry terminology.
 4. Avoid duplicate or vague entries. Focus on accuracy and diversity across disciplines.
-5. Output ONLY a valid JSON array of strings. Do not include any explanation, commentary, or formatting outside the JSON.
+5. Output ONLY a valid JSON object with a "specializations" array of strings. Do not include any explanation, commentary, or formatting outside the JSON.
 
 Example:
-["Computer Science", "Data Analytics", "Electrical Engineering", "Mechanical Engineering", "Artificial Intelligence"]
+{"specializations": ["Computer Science", "Data Analytics", "Electrical Engineering", "Mechanical Engineering", "Artificial Intelligence"]}
 `;
 
   try {
-    const messages = [{ role: "user", content: prompt }];
-    const aiResp = await openaiRequest({
-      messages,
+    const { specializations } = await structuredRequest({
+      prompt,
+      schema: listSchema("specializations", NON_EMPTY_STRING, 10, 40),
+      schemaName: "specializations",
       temperature: 0.2,
-      returnContent: true,
-      parseJsonContent: true,
+      coerce: trimList("specializations", 40),
     });
-    if (!aiResp.ok) throw new Error(aiResp.error || "OpenAI error.");
-
-    const specializationsList = aiResp.parsed;
-    res.json({ specializations: specializationsList });
+    res.json({ specializations });
   } catch (err) {
     console.error(`Error fetching specializations for ${degree}:`, err);
-    res.status(500).json({ error: "Failed to fetch specializations." });
+    sendStructuredError(res, err, "Failed to fetch specializations.");
   }
 });
 
@@ -1510,31 +5782,33 @@ Requirements:
 4. Sort the array **alphabetically**.
 5. Remove duplicates or near-duplicates.
 6. Focus on degrees that are **globally offered or internationally recognized** by universities.
-7. Respond **ONLY** with a **valid JSON array of strings**, containing exactly 120 items.
+7. Respond **ONLY** with a **valid JSON object** whose "degrees" field is an array of strings containing exactly 120 items.
 8. Do **not** include explanations, numbers, comments, or formatting outside the JSON.
 
 Example (structure only):
-["Bachelor of Arts", "Bachelor of Science", "Master of Business Administration", "Doctor of Philosophy"]
+{"degrees": ["Bachelor of Arts", "Bachelor of Science", "Master of Business Administration", "Doctor of Philosophy"]}
 `;
 
   try {
-    const messages = [{ role: "user", content: prompt }];
-    const aiResp = await openaiRequest({
-      messages,
+    // Duplicates are dropped, so accept a slightly short list rather than fail
+    const { degrees } = await structuredRequest({
+      prompt,
+      schema: listSchema("degrees", NON_EMPTY_STRING, 100, 120),
+      schemaName: "degrees",
       temperature: 0.1,
-      returnContent: true,
-      parseJsonContent: true,
+      coerce: (data) => {
+        const trimmed = trimList("degrees", 120)(data);
+        if (Array.isArray(trimmed?.degrees)) trimmed.degrees.sort();
+        return trimmed;
+      },
     });
-    if (!aiResp.ok) throw new Error(aiResp.error || "OpenAI returned error.");
-
-    const degreesList = aiResp.parsed;
-    res.json({ degrees: degreesList });
+    res.json({ degrees });
   } catch (err) {
     console.error("Error fetching degrees from AI:", err);
-    res.status(500).json({ error: "Failed to fetch degree list." });
+    sendStructuredError(res, err, "Failed to fetch degree list.");
   }
 });
-app.get("/interview-prep/get-stats", async (req, res) => {
+app.get("/interview-prep/get-stats", requireAuth(), async (req, res) => {
   const { uid } = req.query;
   if (!uid) {
     return res.status(400).json({ error: "User ID is required." });
@@ -1548,7 +5822,7 @@ app.get("/interview-prep/get-stats", async (req, res) => {
   }
 });
 
-app.post("/interview-prep/increment-stat", async (req, res) => {
+app.post("/interview-prep/increment-stat", requireAuth(), async (req, res) => {
   const { uid, statName } = req.body;
 
   if (!uid || !statName) {
@@ -1616,8 +5890,9 @@ async function simpleOpenAICall(prompt, model = AI_MODEL, temperature = 0.5) {
     throw error;
   }
 }
-app.get("/interview-prep/questions", async (req, res) => {
-  const { category, jobRole = "general", count = 10 } = req.query;
+app.get("/interview-prep/questions", requireAuth({ optional: true }), limitAiRoute("interviewPrep"), async (req, res) => {
+  const { category, jobRole = "general" } = req.query;
+  const count = parseCount(req.query.count, 10);
 
   if (!category) {
     return res.status(400).json({ error: "Category is required (e.g., HR, Technical)." });
@@ -1639,32 +5914,32 @@ Generate **${count}** highly relevant **${category}** interview questions tailor
    - "Aptitude" → Logical reasoning or quantitative thinking questions.
 4. Avoid duplicates, filler questions, or generic “Tell me about yourself”-type prompts.
 5. Questions must be **clear, concise, and free of bias** — phrased naturally, as a professional interviewer would.
-6. Return **ONLY** a valid JSON array of strings — no numbering, formatting, or explanations.
+6. Return **ONLY** a valid JSON object whose "questions" field is an array of strings — no numbering, formatting, or explanations.
 7. Ensure the array has **exactly ${count} questions**.
 8. Do **not** include any text, comments, or examples outside the JSON.
 
 ### Example Format:
-["What is polymorphism in object-oriented programming?", "Describe a time you resolved a conflict within your team."]
+{"questions": ["What is polymorphism in object-oriented programming?", "Describe a time you resolved a conflict within your team."]}
 `;
 
   try {
-    const content = await simpleOpenAICall(prompt, AI_MODEL, 0.7);
-
-    const cleaned = content
-      .replace(/```json\s*/i, '')
-      .replace(/```/g, '')
-      .trim();
-
-    const questionsList = JSON.parse(cleaned);
+    const { questions } = await structuredRequest({
+      prompt,
+      schema: listSchema("questions", NON_EMPTY_STRING, count, count),
+      schemaName: "interview_questions",
+      temperature: 0.7,
+      modelOverride: AI_MODEL,
+      coerce: trimList("questions", count),
+    });
 
-    res.json({ questions: questionsList });
+    res.json({ questions });
   } catch (err) {
     console.error("Error in /interview-prep/questions:", err);
-    res.status(500).json({ error: "Failed to generate questions." });
+    sendStructuredError(res, err, "Failed to generate questions.");
   }
 });
 
-app.get("/interview-prep/daily-tip", async (req, res) => {
+app.get("/interview-prep/daily-tip", requireAuth({ optional: true }), limitAiRoute("interviewPrep"), async (req, res) => {
   const prompt = `
 You are a world-class career coach and interview strategist with deep experience mentoring candidates across global industries.
 
@@ -1690,7 +5965,7 @@ Example Output:
     res.status(500).json({ error: "Failed to get daily tip." });
   }
 });
-app.post("/interview-prep/generate-email", async (req, res) => {
+app.post("/interview-prep/generate-email", requireAuth({ optional: true }), limitAiRoute("interviewPrep"), async (req, res) => {
   const { jobTitle, companyName, tone = "formal" } = req.body;
   if (!jobTitle || !companyName) {
     return res
@@ -1742,6 +6017,184 @@ Warm regards,
   }
 });
 
+// Cover letters: grounded in the user's resume and a specific job
+const COVER_LETTER_TONES = [
+  "formal",
+  "warm",
+  "enthusiastic",
+  "confident",
+  "concise",
+];
+const COVER_LETTER_LENGTHS = { short: 150, medium: 250, long: 350 };
+// ISO code -> language name, from the LANGUAGES registry
+const COVER_LETTER_LANGUAGES = Object.fromEntries(
+  SUPPORTED_LANGUAGES.map((name) => [LANGUAGES[name].code, name])
+);
+// No [Placeholders], {fields} or <tags>: the letter must be ready to send
+const NO_PLACEHOLDERS = {
+  type: "string",
+  minLength: 1,
+  pattern: "^[^\\[\\]{}<>]*$",
+};
+const COVER_LETTER_SCHEMA = {
+  type: "object",
+  properties: { subject: NO_PLACEHOLDERS, letter: NO_PLACEHOLDERS },
+  required: ["subject", "letter"],
+};
+
+/** Helper: "hi", "Hindi", "HINDI" -> "hi"; null when unsupported. */
+function coverLetterLanguageCode(value = "en") {
+  const v = String(value).trim().toLowerCase();
+  if (Object.hasOwn(COVER_LETTER_LANGUAGES, v)) return v;
+  const entry = Object.entries(COVER_LETTER_LANGUAGES).find(
+    ([, name]) => name.toLowerCase() === v
+  );
+  return entry ? entry[0] : null;
+}
+
+/**
+ * Generate { subject, letter } from resume text and a job. Placeholder
+ * brackets fail schema validation, which triggers the repair pass.
+ */
+async function generateCoverLetter({
+  resumeText,
+  profile,
+  job,
+  tone,
+  length,
+  language,
+}) {
+  const words = COVER_LETTER_LENGTHS[length];
+  const languageName = COVER_LETTER_LANGUAGES[language];
+  const candidateName = profile?.contact?.name || "";
+  const prompt = `
+You are an expert career writer. Write a cover letter for the candidate below, applying to this job.
+
+Job: ${job.title || "the advertised role"}${job.company ? ` at ${job.company}` : ""}
+Job description:
+---
+${(job.description || "").slice(0, 5000)}
+---
+
+Candidate resume:
+---
+${resumeText.slice(0, 8000)}
+---
+
+Requirements:
+- Tone: ${tone}. Length: about ${words} words in 3-4 paragraphs.
+- Language: ${languageName}${language === "en" ? "" : ` (${LANGUAGES[languageName].script} script); keep company names, job titles and technical terms as written in the job and resume`}.
+- Connect 2-3 specific achievements from the resume to the job's most important requirements. Use only facts from the resume; never invent employers, numbers or skills.
+- Address it to the hiring manager generically (no name is known)${job.company ? "" : ' and refer to the employer as "your company" or "your team"'}.
+- Sign off with ${candidateName ? `the candidate's name, ${candidateName}` : "a closing line only, since the candidate's name is unknown"}.
+- The letter must be complete and ready to send: no placeholders, brackets, or fields to fill in.
+- subject: a short email subject line for the application, in the same language.
+`;
+  return structuredRequest({
+    prompt,
+    schema: COVER_LETTER_SCHEMA,
+    schemaName: "cover_letter",
+    temperature: 0.6,
+  });
+}
+
+// Cover letter for a job (job_id or pasted jobDescription, plus optional
+// jobTitle/companyName) from the user's resume (resumeFile, resumeText,
+// profile or the saved profile). Options: tone, length (short|medium|long),
+// language (en|hi|pa). save=true keeps it in prep-data as "cover_letters".
+app.post("/interview-prep/cover-letter", upload.single("resumeFile"), requireAuth({ optional: true }), limitAiRoute("interviewPrep"), async (req, res) => {
+  const {
+    job_id: jobId,
+    jobDescription,
+    jobTitle,
+    companyName,
+    tone = "formal",
+    length = "medium",
+  } = req.body || {};
+  const language = coverLetterLanguageCode(req.body?.language);
+  const save = String(req.body?.save) === "true";
+  const reject = (status, error) => {
+    discardUpload(req);
+    return res.status(status).json({ error });
+  };
+  if (!COVER_LETTER_TONES.includes(tone)) {
+    return reject(
+      400,
+      `tone must be one of: ${COVER_LETTER_TONES.join(", ")}.`
+    );
+  }
+  if (!Object.hasOwn(COVER_LETTER_LENGTHS, length)) {
+    return reject(400, "length must be short, medium or long.");
+  }
+  if (!language) {
+    return reject(
+      400,
+      `language must be one of: ${Object.keys(COVER_LETTER_LANGUAGES).join(", ")}.`
+    );
+  }
+  if (!jobId && !jobDescription) {
+    return reject(400, "Provide a job_id or a jobDescription.");
+  }
+  if (save && !req.uid) return reject(401, "Sign in to save cover letters.");
+
+  try {
+    const job = await resolveJobForMatch({
+      uid: req.uid,
+      jobId,
+      jobDescription,
+      jobTitle,
+    });
+    if (!job) return res.status(404).json({ error: "Job not found." });
+    if (companyName) job.company = companyName;
+
+    const { text, profile } = await readResumeSource(req);
+    const { subject, letter } = await generateCoverLetter({
+      resumeText: text,
+      profile,
+      job,
+      tone,
+      length,
+      language,
+    });
+
+    const result = {
+      subject,
+      letter,
+      wordCount: letter.split(/\s+/).filter(Boolean).length,
+      tone,
+      length,
+      language,
+      job: {
+        job_id: job.job_id || null,
+        title: job.title || "",
+        company: job.company || "",
+      },
+    };
+    let savedId = null;
+    if (save) {
+      const ref = db
+        .collection("users")
+        .doc(req.uid)
+        .collection("interview_prep")
+        .doc("cover_letters")
+        .collection("items")
+        .doc();
+      await ref.set({
+        ...result,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      savedId = ref.id;
+    }
+    return res.json({ ...result, savedId });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("Error in /interview-prep/cover-letter:", err);
+    return sendStructuredError(res, err, "Failed to generate cover letter.");
+  } finally {
+    discardUpload(req);
+  }
+});
+
 app.delete("/users/:uid/prep-data", async (req, res) => {
   const { uid } = req.params;
   const { dataType, dataId } = req.body;
@@ -1768,8 +6221,8 @@ app.delete("/users/:uid/prep-data", async (req, res) => {
     res.status(500).json({ error: `Could not delete ${dataType} item.` });
   }
 });
-app.get("/interview-prep/tips-list", async (req, res) => {
-  const { count = 20 } = req.query;
+app.get("/interview-prep/tips-list", requireAuth({ optional: true }), limitAiRoute("interviewPrep"), async (req, res) => {
+  const count = parseCount(req.query.count, 20);
 
   const prompt = `
 You are a world-class career coach and interview strategist with years of experience training candidates for global companies across industries.
@@ -1787,34 +6240,46 @@ Generate **${count}** unique, high-impact, and **actionable interview tips** tha
    - How to ask insightful questions  
    - How to handle difficult questions or rejections  
 5. Language must be **clear, motivational, and professional** — no filler, clichés, or redundancy.
-6. Respond **ONLY** with a valid **JSON array of strings**, containing exactly **${count}** items.
-7. Do **not** include numbering, markdown, explanations, or extra text — only the clean JSON array.
+6. Respond **ONLY** with a valid **JSON object** whose "tips" field is an array of strings containing exactly **${count}** items.
+7. Do **not** include numbering, markdown, explanations, or extra text — only the clean JSON object.
 
 ### Example Output:
-[
-  "Pause briefly before answering to show composure and give yourself time to think.",
-  "When discussing weaknesses, focus on how you've actively worked to improve them.",
-  "Use specific examples to demonstrate your skills rather than broad statements."
-]
+{
+  "tips": [
+    "Pause briefly before answering to show composure and give yourself time to think.",
+    "When discussing weaknesses, focus on how you've actively worked to improve them.",
+    "Use specific examples to demonstrate your skills rather than broad statements."
+  ]
+}
 `;
 
   try {
-    let tipsJson = await simpleOpenAICall(prompt, AI_MODEL, 0.8);
-
-    const jsonMatch = tipsJson.match(/```json\s*([\s\S]*?)\s*```/);
-    if (jsonMatch && jsonMatch[1]) {
-      tipsJson = jsonMatch[1].trim();
-    }
-
-    const tipsList = JSON.parse(tipsJson);
-    res.json({ tips: tipsList });
+    const { tips } = await structuredRequest({
+      prompt,
+      schema: listSchema("tips", NON_EMPTY_STRING, count, count),
+      schemaName: "interview_tips",
+      temperature: 0.8,
+      modelOverride: AI_MODEL,
+      coerce: trimList("tips", count),
+    });
+    res.json({ tips });
   } catch (err) {
     console.error("Error in /interview-prep/tips-list:", err);
-    console.error("Failed to parse this JSON:", err);
-    res.status(500).json({ error: "Failed to generate tips list." });
+    sendStructuredError(res, err, "Failed to generate tips list.");
   }
 });
-app.post("/interview-prep/evaluate-star", async (req, res) => {
+// { strength, weakness, suggestion }
+const STAR_FEEDBACK_SCHEMA = {
+  type: "object",
+  properties: {
+    strength: { type: "string", minLength: 1 },
+    weakness: { type: "string", minLength: 1 },
+    suggestion: { type: "string", minLength: 1 },
+  },
+  required: ["strength", "weakness", "suggestion"],
+};
+
+app.post("/interview-prep/evaluate-star", requireAuth({ optional: true }), limitAiRoute("interviewPrep"), async (req, res) => {
   const { situation, task, action, result } = req.body;
   if (!situation || !task || !action || !result) {
     return res
@@ -1854,28 +6319,33 @@ Do not include any commentary, markdown, or text outside the JSON object.
 `;
 
   try {
-    let feedbackJson = await simpleOpenAICall(prompt, "gpt-4.1", 0.4);
-
-    const jsonMatch = feedbackJson.match(/```json\s*([\s\S]*?)\s*```/);
-    if (jsonMatch && jsonMatch[1]) {
-      feedbackJson = jsonMatch[1].trim();
-    }
-
-    const feedback = JSON.parse(feedbackJson);
-    res.json(feedback);
+    const feedback = await structuredRequest({
+      prompt,
+      schema: STAR_FEEDBACK_SCHEMA,
+      schemaName: "star_feedback",
+      temperature: 0.4,
+      modelOverride: "gpt-4.1",
+    });
+    res.json({
+      strength: feedback.strength,
+      weakness: feedback.weakness,
+      suggestion: feedback.suggestion,
+    });
   } catch (err) {
     console.error("Error in /interview-prep/evaluate-star:", err);
-    console.error("Failed to parse this JSON:", err);
-    res.status(500).json({ error: "Failed to evaluate STAR answer." });
+    sendStructuredError(res, err, "Failed to evaluate STAR answer.");
   }
 });
 
-app.post("/interview-prep/evaluate-answer", async (req, res) => {
-  const { question, answer } = req.body;
-  if (!question || !answer) {
-    return res.status(400).json({ error: "Question and answer are required." });
-  }
-
+/**
+ * Helper: 3-4 sentences of coaching feedback on one interview answer.
+ * `delivery` (optional) is a one-line summary of how the answer was spoken,
+ * e.g. pace and filler words from a recorded mock interview.
+ */
+async function evaluateInterviewAnswer({ question, answer, delivery = null }) {
+  const deliveryLine = delivery
+    ? `\n- **Delivery (from the recording):** ${delivery}`
+    : "";
   const prompt = `
 You are a professional interview coach with expertise in communication, behavioral psychology, and candidate assessment.
 
@@ -1884,7 +6354,7 @@ Evaluate the candidate’s response to the following interview question.
 
 ### Input
 - **Question:** "${question}"
-- **Answer:** "${answer}"
+- **Answer:** "${answer}"${deliveryLine}
 
 ### Feedback Requirements
 1. Provide **concise, balanced, and actionable feedback** (total 3–4 sentences).
@@ -1898,8 +6368,17 @@ Example Output:
 "Your answer clearly showed enthusiasm and strong communication skills. However, you could improve by structuring your response using the STAR method to make your achievements more measurable and memorable."
 `;
 
+  return simpleOpenAICall(prompt, AI_MODEL, 0.5);
+}
+
+app.post("/interview-prep/evaluate-answer", requireAuth({ optional: true }), limitAiRoute("interviewPrep"), async (req, res) => {
+  const { question, answer } = req.body;
+  if (!question || !answer) {
+    return res.status(400).json({ error: "Question and answer are required." });
+  }
+
   try {
-    const feedback = await simpleOpenAICall(prompt, AI_MODEL, 0.5);
+    const feedback = await evaluateInterviewAnswer({ question, answer });
     res.json({ feedback: feedback });
   } catch (err) {
     console.error("Error in /interview-prep/evaluate-answer:", err);
@@ -1956,8 +6435,19 @@ app.get("/users/:uid/prep-data", async (req, res) => {
     res.status(500).json({ error: `Could not fetch ${dataType}.` });
   }
 });
-app.get("/interview-prep/technical-questions", async (req, res) => {
-  const { uid, count = 15 } = req.query;
+// One { question, url } pair per technical question
+const TECH_QUESTION_SCHEMA = {
+  type: "object",
+  properties: {
+    question: { type: "string", minLength: 1 },
+    url: { type: "string", pattern: "^https://" },
+  },
+  required: ["question", "url"],
+};
+
+app.get("/interview-prep/technical-questions", requireAuth(), limitAiRoute("interviewPrep"), async (req, res) => {
+  const { uid } = req.query;
+  const count = parseCount(req.query.count, 15);
 
   if (!uid) {
     return res.status(400).json({ error: "User ID (uid) is required." });
@@ -1968,8 +6458,11 @@ app.get("/interview-prep/technical-questions", async (req, res) => {
   try {
     const userPrefs = await fetchUserPreferences(uid);
     if (userPrefs) {
-      jobRole = userPrefs.jobRole || jobRole;
-      skills = userPrefs.skills || skills;
+      jobRole =
+        userPrefs.jobRole ||
+        userPrefs.resumeProfile?.experience?.[0]?.title ||
+        jobRole;
+      skills = userSkillList(userPrefs).join(", ") || skills;
     }
   } catch (err) {
     console.warn(
@@ -2001,14 +6494,16 @@ Generate **${count}** realistic and relevant **technical interview questions** f
 4. Each question and URL must form a **logical pair** — i.e., the resource must genuinely teach or help solve that exact question.
 
 ### Output Format:
-Respond **only** with a valid JSON array of exactly **${count} objects**, using the structure:
-[
-  {
-    "question": "Question text here",
-    "url": "https://..."
-  },
-  ...
-]
+Respond **only** with a valid JSON object whose "questions" field is an array of exactly **${count} objects**, using the structure:
+{
+  "questions": [
+    {
+      "question": "Question text here",
+      "url": "https://..."
+    },
+    ...
+  ]
+}
 
 ### Output Rules:
 - Do NOT include any explanations, markdown, comments, or extra text.
@@ -2017,19 +6512,22 @@ Respond **only** with a valid JSON array of exactly **${count} objects**, using
 `;
 
   try {
-    let questionsJson = await simpleOpenAICall(prompt, "gpt-4.1", 0.6);
-
-    const jsonMatch = questionsJson.match(/```json\s*([\s\S]*?)\s*```/);
-    if (jsonMatch && jsonMatch[1]) {
-      questionsJson = jsonMatch[1].trim();
-    }
-
-    const questionsList = JSON.parse(questionsJson);
-    res.json(questionsList);
+    const { questions } = await structuredRequest({
+      prompt,
+      schema: listSchema("questions", TECH_QUESTION_SCHEMA, count, count),
+      schemaName: "technical_questions",
+      temperature: 0.6,
+      modelOverride: "gpt-4.1",
+      coerce: (data) =>
+        Array.isArray(data?.questions)
+          ? { ...data, questions: data.questions.slice(0, count) }
+          : data,
+    });
+    // Response stays a bare array of { question, url }
+    res.json(questions);
   } catch (err) {
     console.error("Error in /interview-prep/technical-questions:", err);
-    console.error("Failed to parse this JSON:", err);
-    res.status(500).json({ error: "Failed to generate technical questions." });
+    sendStructuredError(res, err, "Failed to generate technical questions.");
   }
 });
 
@@ -2037,4 +6535,7 @@ Respond **only** with a valid JSON array of exactly **${count} objects**, using
 // 5. START SERVER
 // =================================================================
 const PORT = process.env.PORT || 10000;
-app.listen(PORT, () => console.log(`🚀 Server running on port ${PORT}`));
+const server = app.listen(PORT, () =>
+  console.log(`🚀 Server running on port ${PORT}`)
+);
+attachSttStream(server);
@@ -0,0 +1,293 @@
+// Live speech recognition over WebSocket (ws(s)://host/stt/stream). This
+// module runs one socket session; the server supplies the recognizer, the
+// quota check and chat forwarding.
+//
+// Client -> server: JSON { type: "start", encoding?, sampleRateHertz?,
+//   languageCode?, interimResults?, chat?: true | { conversationId?, history?,
+//   tts? } }, then binary audio frames, then { type: "stop" }. Audio and
+//   "stop" may follow "start" immediately: they are held until the session
+//   is ready, then passed on in order.
+// Server -> client: "ready" { sessionId, encoding, sampleRateHertz, mock },
+// "transcript" { text, isFinal, stability, languageCode }, "final" { text,
+// detectedLanguage, durationSec, stoppedBy }, "chat" (the /chat response
+// body), "error" { error, code }. The socket closes after "final"/"chat".
+import crypto from "crypto";
+import { Duplex } from "stream";
+import { detectLanguageSimple, languageLocale } from "./language.js";
+
+// Encodings Google accepts in a stream, with the default sample rate for each
+export const STT_STREAM_ENCODINGS = {
+  LINEAR16: 16000,
+  FLAC: 16000,
+  MULAW: 8000,
+  AMR: 8000,
+  AMR_WB: 16000,
+  OGG_OPUS: 48000,
+  WEBM_OPUS: 48000,
+};
+// Audio held while "start" is still being processed (quota check)
+const STT_STREAM_PENDING_MAX_BYTES = 2 * 1024 * 1024;
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+/**
+ * A stand-in for SpeechClient.streamingRecognize(). Each audio chunk
+ * reveals one more word of `transcript` as an interim result; ending the
+ * stream emits the whole transcript as a final result.
+ */
+export function createMockRecognizeStream({ transcript, languageCode }) {
+  const words = transcript.split(/\s+/).filter(Boolean);
+  let revealed = 0;
+  const result = (text, isFinal) => ({
+    results: [
+      {
+        alternatives: [{ transcript: text, confidence: isFinal ? 0.9 : 0 }],
+        isFinal,
+        stability: isFinal ? 0 : 0.5,
+        languageCode: languageCode.toLowerCase(),
+      },
+    ],
+  });
+  return new Duplex({
+    readableObjectMode: true,
+    read() {},
+    write(chunk, encoding, callback) {
+      if (revealed < words.length) {
+        revealed += 1;
+        this.push(result(words.slice(0, revealed).join(" "), false));
+      }
+      callback();
+    },
+    final(callback) {
+      if (words.length) this.push(result(words.join(" "), true));
+      this.push(null);
+      callback();
+    },
+  });
+}
+
+/**
+ * Build the per-socket session handler, called as handler(ws, { uid,
+ * quotaKey }).
+ *  - createRecognizer({ encoding, sampleRateHertz, languageCode,
+ *    interimResults, mockTranscript }) returns a recognize stream (Buffers
+ *    in, StreamingRecognizeResponse objects out); may throw when STT is
+ *    unavailable
+ *  - consumeLimit(group, quotaKey) resolves to { allowed, error }
+ *  - runChat({ text, chat, uid, quotaKey }) resolves to the /chat response
+ *    body; errors with err.status are shown to the client
+ *  - mock: accept `mockTranscript` on "start" and report mock: true
+ */
+export function createSttStreamHandler({
+  createRecognizer,
+  consumeLimit,
+  runChat,
+  mock = false,
+  maxSeconds = 280,
+  idleMs = 15000,
+}) {
+  return function handleSttStream(ws, { uid, quotaKey }) {
+    const sessionId = crypto.randomUUID();
+    let recognizer = null;
+    let options = null;
+    let startedAt = 0;
+    let stoppedBy = null;
+    let idleTimer = null;
+    let maxTimer = null;
+    // Frames and "stop" that arrive while start() awaits the quota check
+    let pendingAudio = [];
+    let pendingBytes = 0;
+    let pendingStop = false;
+    const finals = [];
+
+    const send = (type, data = {}) => {
+      if (ws.readyState === ws.OPEN) ws.send(JSON.stringify({ type, ...data }));
+    };
+    const fail = (error, code, closeCode = 1011) => {
+      send("error", { error, code });
+      cleanup();
+      ws.close(closeCode, code);
+    };
+    const cleanup = () => {
+      clearTimeout(idleTimer);
+      clearTimeout(maxTimer);
+      pendingAudio = [];
+      if (recognizer && !recognizer.destroyed) recognizer.destroy();
+      recognizer = null;
+    };
+    const stop = (reason) => {
+      if (!recognizer || stoppedBy) return;
+      stoppedBy = reason;
+      clearTimeout(idleTimer);
+      clearTimeout(maxTimer);
+      recognizer.end();
+    };
+    const touch = () => {
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(() => stop("idle"), idleMs);
+    };
+
+    async function finish() {
+      const text = finals.join(" ").replace(/\s+/g, " ").trim();
+      const detectedLanguage = detectLanguageSimple(text);
+      send("final", {
+        text,
+        detectedLanguage,
+        durationSec: round1((Date.now() - startedAt) / 1000),
+        stoppedBy,
+      });
+      cleanup();
+      if (options.chat && text) {
+        const chat = typeof options.chat === "object" ? options.chat : {};
+        const limit = await consumeLimit("chat", quotaKey);
+        if (!limit.allowed)
+          return fail(limit.error.error, "RATE_LIMITED", 1008);
+        try {
+          send("chat", await runChat({ text, chat, uid, quotaKey }));
+        } catch (err) {
+          if (!err.status) console.error("[STT Stream] Chat failed:", err);
+          return fail(
+            err.status ? err.message : "An error occurred processing the chat.",
+            "CHAT_FAILED"
+          );
+        }
+      }
+      ws.close(1000, "done");
+    }
+
+    async function start(message) {
+      const encoding = String(message.encoding || "LINEAR16").toUpperCase();
+      if (!STT_STREAM_ENCODINGS[encoding]) {
+        return fail(
+          `Unsupported encoding. Use one of: ${Object.keys(STT_STREAM_ENCODINGS).join(", ")}.`,
+          "BAD_REQUEST",
+          1008
+        );
+      }
+      const sampleRateHertz =
+        parseInt(message.sampleRateHertz, 10) || STT_STREAM_ENCODINGS[encoding];
+      if (message.chat && !uid) {
+        return fail(
+          "Sign in to forward transcripts to chat.",
+          "UNAUTHENTICATED",
+          1008
+        );
+      }
+      const limit = await consumeLimit("speech", quotaKey);
+      if (!limit.allowed) return fail(limit.error.error, "RATE_LIMITED", 1008);
+      if (ws.readyState !== ws.OPEN) return;
+
+      options = {
+        encoding,
+        sampleRateHertz,
+        languageCode: languageLocale(message.languageCode),
+        interimResults: message.interimResults !== false,
+        chat: message.chat || null,
+      };
+      try {
+        recognizer = createRecognizer({
+          ...options,
+          mockTranscript: mock ? message.mockTranscript : undefined,
+        });
+      } catch (err) {
+        return fail(err.message, "STT_UNAVAILABLE");
+      }
+      startedAt = Date.now();
+
+      recognizer.on("data", (data) => {
+        const result = data.results?.[0];
+        const transcript = result?.alternatives?.[0]?.transcript;
+        if (!transcript) return;
+        if (result.isFinal) finals.push(transcript);
+        if (result.isFinal || options.interimResults) {
+          send("transcript", {
+            text: transcript,
+            isFinal: Boolean(result.isFinal),
+            stability: result.stability || 0,
+            languageCode: result.languageCode || options.languageCode,
+          });
+        }
+      });
+      recognizer.on("error", (err) => {
+        console.error(
+          `[STT Stream] ${sessionId} recognizer error:`,
+          err.message
+        );
+        fail("Speech recognition failed.", "STT_FAILED");
+      });
+      recognizer.on("end", () => {
+        finish().catch((err) => {
+          console.error(`[STT Stream] ${sessionId} finish failed:`, err);
+          fail("Speech recognition failed.", "STT_FAILED");
+        });
+      });
+
+      maxTimer = setTimeout(() => stop("max_duration"), maxSeconds * 1000);
+      touch();
+      send("ready", { sessionId, encoding, sampleRateHertz, mock });
+
+      for (const frame of pendingAudio) recognizer.write(frame);
+      pendingAudio = [];
+      if (pendingStop) stop("client");
+    }
+
+    ws.on("message", (data, isBinary) => {
+      if (isBinary) {
+        if (!options) {
+          return send("error", {
+            error: "Send a start message before audio.",
+            code: "NOT_STARTED",
+          });
+        }
+        if (stoppedBy || pendingStop) return;
+        if (!recognizer) {
+          pendingBytes += data.length;
+          if (pendingBytes > STT_STREAM_PENDING_MAX_BYTES) {
+            return fail(
+              "Too much audio before the session was ready.",
+              "BAD_REQUEST",
+              1009
+            );
+          }
+          pendingAudio.push(data);
+          return;
+        }
+        touch();
+        recognizer.write(data);
+        return;
+      }
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch {
+        return send("error", {
+          error: "Invalid JSON message.",
+          code: "BAD_REQUEST",
+        });
+      }
+      if (message.type === "start") {
+        if (options) {
+          return send("error", {
+            error: "Session already started.",
+            code: "BAD_REQUEST",
+          });
+        }
+        options = {}; // block a second start while this one is pending
+        start(message).catch((err) => {
+          console.error(`[STT Stream] ${sessionId} start failed:`, err);
+          fail("Could not start speech recognition.", "STT_UNAVAILABLE");
+        });
+      } else if (message.type === "stop") {
+        if (options && !recognizer && !stoppedBy) pendingStop = true;
+        else stop("client");
+      } else {
+        send("error", { error: "Unknown message type.", code: "BAD_REQUEST" });
+      }
+    });
+    ws.on("close", cleanup);
+    ws.on("error", (err) => {
+      console.error(`[STT Stream] ${sessionId} socket error:`, err.message);
+      cleanup();
+    });
+  };
+}
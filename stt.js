@@ -0,0 +1,436 @@
+// Speech-to-text: audio probing/transcoding and pluggable recognizers.
+//
+// Every provider implements recognize({ bytes, config: { encoding,
+// sampleRateHertz, languageCode, alternativeLanguageCodes } }) and resolves
+// to { text, languageCode }; transcribeAudioFile() wraps that into the /stt
+// response shape { text, detectedLanguage, audio }.
+//   - google: Cloud Speech-to-Text synchronous recognize (needs credentials)
+//   - local:  an offline Whisper/Vosk-compatible engine, reached either over
+//             HTTP (whisper.cpp server, faster-whisper / OpenAI-compatible
+//             /v1/audio/transcriptions) or as a command run per file
+import fs from "fs";
+import os from "os";
+import path from "path";
+import crypto from "crypto";
+import { execFile } from "child_process";
+import ffmpeg from "fluent-ffmpeg";
+import fetch, { Blob, FormData } from "node-fetch";
+import { detectLanguageSimple } from "./language.js";
+
+// -----------------------------------------------------------------
+// Audio probing & transcoding. The container is sniffed from magic bytes;
+// encodings Google STT reads natively (16-bit PCM WAV, FLAC, AMR, AMR-WB;
+// mono) pass straight through, everything else (WebM/Opus, Ogg, M4A, MP3,
+// 3GP, other WAVs) is transcoded with ffmpeg to 16 kHz mono FLAC. The ffmpeg
+// binary is configured by the caller (ffmpeg.setFfmpegPath).
+// -----------------------------------------------------------------
+export const STT_SAMPLE_RATE = 16000;
+// Bytes per 20 ms frame (header included), indexed by frame type
+const AMR_FRAME_BYTES = {
+  AMR: [13, 14, 16, 18, 20, 21, 27, 32, 6, 1, 1, 1, 1, 1, 1, 1],
+  AMR_WB: [18, 24, 33, 37, 41, 47, 51, 59, 61, 6, 1, 1, 1, 1, 1, 1],
+};
+
+/** Helper: an Error carrying an HTTP status and a machine-readable code. */
+export function audioError(status, code, message) {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  return err;
+}
+
+/** Helper: seconds of audio in a raw AMR / AMR-WB file (20 ms per frame). */
+function amrDurationSec(buffer, encoding, headerLength) {
+  const sizes = AMR_FRAME_BYTES[encoding];
+  let frames = 0;
+  for (let i = headerLength; i < buffer.length; frames++) {
+    i += sizes[(buffer[i] >> 3) & 0x0f];
+  }
+  return frames * 0.02;
+}
+
+/** Helper: { format, sampleRate, channels, bitsPerSample, durationSec } of a WAV. */
+export function parseWavHeader(buffer) {
+  const info = { format: null, sampleRate: null, channels: null };
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString("ascii", offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    if (id === "fmt " && offset + 24 <= buffer.length) {
+      info.format = buffer.readUInt16LE(offset + 8);
+      info.channels = buffer.readUInt16LE(offset + 10);
+      info.sampleRate = buffer.readUInt32LE(offset + 12);
+      info.byteRate = buffer.readUInt32LE(offset + 16);
+      info.bitsPerSample = buffer.readUInt16LE(offset + 22);
+    } else if (id === "data") {
+      // Streamed WAVs may leave the size unset; fall back to what we have
+      const dataBytes = Math.min(size, buffer.length - offset - 8);
+      info.durationSec = info.byteRate ? dataBytes / info.byteRate : null;
+      break;
+    }
+    offset += 8 + size + (size % 2);
+  }
+  return info;
+}
+
+/** Helper: sample rate, channels and duration from a FLAC STREAMINFO block. */
+export function parseFlacStreamInfo(buffer) {
+  if (buffer.length < 26) return null;
+  const sampleRate = (buffer[18] << 12) | (buffer[19] << 4) | (buffer[20] >> 4);
+  const channels = ((buffer[20] >> 1) & 0x07) + 1;
+  const totalSamples = (buffer[21] & 0x0f) * 2 ** 32 + buffer.readUInt32BE(22);
+  return {
+    sampleRate,
+    channels,
+    durationSec: sampleRate && totalSamples ? totalSamples / sampleRate : null,
+  };
+}
+
+/**
+ * Identify an audio buffer. Returns { container, encoding, sampleRate,
+ * channels, durationSec }; `encoding` is the Google STT encoding when the
+ * audio can be sent as-is, otherwise null (transcode first).
+ */
+export function sniffAudio(buffer) {
+  const ascii = (start, end) => buffer.toString("ascii", start, end);
+  const result = {
+    container: "unknown",
+    encoding: null,
+    sampleRate: null,
+    channels: null,
+    durationSec: null,
+  };
+
+  if (ascii(0, 9) === "#!AMR-WB\n") {
+    return {
+      ...result,
+      container: "amr-wb",
+      encoding: "AMR_WB",
+      sampleRate: 16000,
+      channels: 1,
+      durationSec: amrDurationSec(buffer, "AMR_WB", 9),
+    };
+  }
+  if (ascii(0, 6) === "#!AMR\n") {
+    return {
+      ...result,
+      container: "amr",
+      encoding: "AMR",
+      sampleRate: 8000,
+      channels: 1,
+      durationSec: amrDurationSec(buffer, "AMR", 6),
+    };
+  }
+  if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WAVE") {
+    const wav = parseWavHeader(buffer);
+    const native =
+      wav.format === 1 && wav.bitsPerSample === 16 && wav.channels === 1;
+    return {
+      ...result,
+      container: "wav",
+      encoding: native ? "LINEAR16" : null,
+      sampleRate: wav.sampleRate,
+      channels: wav.channels,
+      durationSec: wav.durationSec ?? null,
+    };
+  }
+  if (ascii(0, 4) === "fLaC") {
+    const flac = parseFlacStreamInfo(buffer) || {};
+    return {
+      ...result,
+      ...flac,
+      container: "flac",
+      encoding: flac.channels === 1 ? "FLAC" : null,
+    };
+  }
+  if (ascii(0, 4) === "OggS") return { ...result, container: "ogg" };
+  if (buffer.length >= 4 && buffer.readUInt32BE(0) === 0x1a45dfa3) {
+    return { ...result, container: "webm" };
+  }
+  if (ascii(4, 8) === "ftyp") {
+    return {
+      ...result,
+      container:
+        ascii(8, 11) === "3gp" || ascii(8, 11) === "3g2" ? "3gp" : "mp4",
+    };
+  }
+  if (
+    ascii(0, 3) === "ID3" ||
+    (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0)
+  ) {
+    return { ...result, container: "mp3" };
+  }
+  return result;
+}
+
+/**
+ * Helper: transcode any ffmpeg-readable audio to 16 kHz mono, FLAC by
+ * default (`codec`/`format`/`bitrate` select e.g. Ogg Opus instead).
+ */
+export function transcodeAudio(
+  inputPath,
+  outputPath,
+  { maxSeconds, codec = "flac", format = "flac", bitrate = null }
+) {
+  return new Promise((resolve, reject) => {
+    const command = ffmpeg(inputPath)
+      .noVideo()
+      .audioChannels(1)
+      .audioFrequency(STT_SAMPLE_RATE)
+      .audioCodec(codec)
+      .format(format);
+    if (bitrate) command.audioBitrate(bitrate);
+    command
+      // Stop just past the limit so over-long uploads are detected cheaply
+      .outputOptions(["-t", String(maxSeconds + 1)])
+      .on("error", (err) => {
+        console.warn("[STT] ffmpeg failed:", err.message.split("\n")[0]);
+        reject(
+          audioError(
+            415,
+            "AUDIO_UNREADABLE",
+            "Could not decode the audio file. Supported: WAV, FLAC, AMR, 3GP, M4A, MP3, OGG, WebM."
+          )
+        );
+      })
+      .on("end", () => resolve())
+      .save(outputPath);
+  });
+}
+
+/**
+ * Turn an uploaded audio file into recognizer input. Returns { bytes,
+ * config: { encoding, sampleRateHertz }, audio: { format, transcoded,
+ * durationSec } }. With `wav` the result is always 16 kHz mono 16-bit WAV
+ * (what local engines expect); otherwise Google-native audio is kept as-is.
+ * Throws audioError 415 for unreadable audio and 413 when it is longer than
+ * `maxSeconds`.
+ */
+export async function prepareAudioForStt(
+  filePath,
+  { maxSeconds = 60, wav = false } = {}
+) {
+  const input = fs.readFileSync(filePath);
+  if (!input.length) {
+    throw audioError(415, "AUDIO_UNREADABLE", "The audio file is empty.");
+  }
+  const sniffed = sniffAudio(input);
+  let bytes = input;
+  let info = sniffed;
+  let transcoded = false;
+  const native = wav
+    ? sniffed.encoding === "LINEAR16" && sniffed.sampleRate === STT_SAMPLE_RATE
+    : Boolean(sniffed.encoding);
+
+  if (!native) {
+    const target = wav
+      ? { extension: "wav", codec: "pcm_s16le", format: "wav" }
+      : { extension: "flac", codec: "flac", format: "flac" };
+    const outputPath = `${filePath}.stt.${target.extension}`;
+    try {
+      await transcodeAudio(filePath, outputPath, {
+        maxSeconds,
+        codec: target.codec,
+        format: target.format,
+      });
+      bytes = fs.readFileSync(outputPath);
+    } finally {
+      if (fs.existsSync(outputPath)) fs.unlink(outputPath, () => {});
+    }
+    info = wav
+      ? { ...parseWavHeader(bytes), encoding: "LINEAR16" }
+      : { ...parseFlacStreamInfo(bytes), encoding: "FLAC" };
+    transcoded = true;
+    if (!info.durationSec) {
+      throw audioError(
+        415,
+        "AUDIO_UNREADABLE",
+        "The audio file contains no sound."
+      );
+    }
+  }
+
+  if (info.durationSec != null && info.durationSec > maxSeconds) {
+    throw audioError(
+      413,
+      "AUDIO_TOO_LONG",
+      `Audio is longer than ${maxSeconds} seconds. Record a shorter clip.`
+    );
+  }
+  return {
+    bytes,
+    config: { encoding: info.encoding, sampleRateHertz: info.sampleRate },
+    audio: {
+      format: sniffed.container,
+      transcoded,
+      durationSec:
+        info.durationSec != null
+          ? Math.round(info.durationSec * 10) / 10
+          : null,
+    },
+  };
+}
+
+// -----------------------------------------------------------------
+// Providers
+// -----------------------------------------------------------------
+const LOCAL_STT_TIMEOUT_MS = 120000;
+
+/** Google Cloud Speech-to-Text; `client` is a SpeechClient (null if unset). */
+export function createGoogleSttProvider(client) {
+  return {
+    name: "google",
+    ready: Boolean(client),
+    wav: false,
+    async recognize({ bytes, config }) {
+      if (!client) throw new Error("STT client not initialized.");
+      const [response] = await client.recognize({
+        audio: { content: bytes.toString("base64") },
+        config,
+      });
+      return {
+        text:
+          response.results
+            ?.map((r) => r.alternatives[0].transcript)
+            .join("\n") || "",
+        languageCode: response.results?.[0]?.languageCode || null,
+      };
+    },
+  };
+}
+
+/** Helper: POST a WAV to a Whisper-style HTTP server; returns the text. */
+async function recognizeOverHttp({ url, model, bytes, language, timeoutMs }) {
+  const form = new FormData();
+  form.append("file", new Blob([bytes], { type: "audio/wav" }), "audio.wav");
+  form.append("language", language);
+  form.append("response_format", "json");
+  if (model) form.append("model", model);
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const resp = await fetch(url, {
+      method: "POST",
+      body: form,
+      signal: controller.signal,
+    });
+    const body = await resp.text();
+    if (!resp.ok) {
+      throw new Error(
+        `Local STT server returned ${resp.status}: ${body.slice(0, 200)}`
+      );
+    }
+    try {
+      return JSON.parse(body).text || "";
+    } catch {
+      return body; // plain-text response_format
+    }
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Helper: run a local engine on a temporary WAV file; returns its stdout.
+ * `command` is split on whitespace; {file} and {language} are substituted.
+ */
+async function recognizeWithCommand({ command, bytes, language, timeoutMs }) {
+  const file = path.join(os.tmpdir(), `stt-${crypto.randomUUID()}.wav`);
+  fs.writeFileSync(file, bytes);
+  const [bin, ...args] = command
+    .trim()
+    .split(/\s+/)
+    .map((part) =>
+      part.replaceAll("{file}", file).replaceAll("{language}", language)
+    );
+  try {
+    return await new Promise((resolve, reject) => {
+      execFile(
+        bin,
+        args,
+        { timeout: timeoutMs, maxBuffer: 4 * 1024 * 1024 },
+        (err, stdout, stderr) => {
+          if (err) {
+            const detail = String(stderr || err.message)
+              .trim()
+              .split("\n")[0];
+            return reject(new Error(`Local STT command failed: ${detail}`));
+          }
+          resolve(stdout);
+        }
+      );
+    });
+  } finally {
+    fs.unlink(file, () => {});
+  }
+}
+
+/**
+ * Offline engine. `url` (HTTP server) takes precedence over `command`;
+ * audio is always sent as 16 kHz mono WAV with a two-letter language hint.
+ */
+export function createLocalSttProvider({
+  url,
+  command,
+  model,
+  timeoutMs = LOCAL_STT_TIMEOUT_MS,
+}) {
+  if (!url && !command) {
+    throw new Error("Local STT needs STT_LOCAL_URL or STT_LOCAL_COMMAND.");
+  }
+  return {
+    name: "local",
+    ready: true,
+    wav: true,
+    async recognize({ bytes, config }) {
+      const language = config.languageCode.split("-")[0].toLowerCase();
+      const text = url
+        ? await recognizeOverHttp({ url, model, bytes, language, timeoutMs })
+        : await recognizeWithCommand({ command, bytes, language, timeoutMs });
+      return {
+        text: text.replace(/[ \t]*\n[ \t]*/g, "\n").trim(),
+        languageCode: null,
+      };
+    },
+  };
+}
+
+/**
+ * Build the configured provider. `provider` is "google" (default) or
+ * "local"; `googleClient` is used by the former, `local` ({ url, command,
+ * model, timeoutMs }) by the latter.
+ */
+export function createSttProvider({
+  provider = "google",
+  googleClient,
+  local = {},
+}) {
+  if (provider === "google") return createGoogleSttProvider(googleClient);
+  if (provider === "local") return createLocalSttProvider(local);
+  throw new Error(`Unknown STT provider: ${provider}`);
+}
+
+/**
+ * Transcribe an audio file with `provider`. Returns { text,
+ * detectedLanguage, audio: { format, transcoded, durationSec } }; audio
+ * errors carry err.status (413/415) like prepareAudioForStt.
+ */
+export async function transcribeAudioFile(
+  filePath,
+  { provider, languageCode, alternativeLanguageCodes = [], maxSeconds }
+) {
+  const prepared = await prepareAudioForStt(filePath, {
+    maxSeconds,
+    wav: provider.wav,
+  });
+  const { text } = await provider.recognize({
+    bytes: prepared.bytes,
+    config: { ...prepared.config, languageCode, alternativeLanguageCodes },
+  });
+  return {
+    text,
+    detectedLanguage: detectLanguageSimple(text || ""),
+    audio: prepared.audio,
+  };
+}
@@ -0,0 +1,106 @@
+// Rule-based ATS scoring: rating bands, length scaling and keyword matching.
+import test from "node:test";
+import assert from "node:assert/strict";
+import { scoreResumeAts } from "../ats.js";
+
+/** A well-formed resume whose current role has `bullets` extra bullets. */
+function resume(bullets) {
+  const extra = Array.from(
+    { length: bullets },
+    (_, i) =>
+      `- Built and shipped ${i + 2} data pipelines in Python and SQL that cut reporting time by ${10 + i}% for the finance team`
+  );
+  return `Priya Sharma
+priya.sharma@example.com | +91 98765 43210 | linkedin.com/in/priyasharma
+
+Summary
+Data engineer with five years of experience building reliable analytics platforms for fintech products.
+
+Experience
+Data Engineer, Acme Corp | Jan 2021 - Present
+${extra.join("\n")}
+Data Analyst, Beta Labs | Jun 2018 - Dec 2020
+- Automated weekly sales dashboards in Tableau and saved 6 hours of manual work each week
+- Reduced query costs by 30% by rewriting slow SQL reports against the warehouse
+
+Education
+B.Tech Computer Science, Delhi University | Jul 2014 - May 2018
+
+Skills
+Python, SQL, Airflow, Spark, Kafka, dbt, Tableau, AWS, Docker, Git, PostgreSQL
+
+Projects
+- Designed an open-source Airflow plugin used by 40 teams to validate data quality
+
+Certifications
+AWS Certified Data Analytics Specialty`;
+}
+
+const subtotal = (result) =>
+  result.breakdown.reduce((sum, criterion) => sum + criterion.score, 0);
+
+test("a complete resume of normal length is strong with no length penalty", () => {
+  const result = scoreResumeAts(resume(10));
+  assert.ok(result.words >= 250 && result.words <= 1200, String(result.words));
+  assert.equal(result.lengthPenalty, 0);
+  assert.equal(result.score, Math.round(subtotal(result)));
+  assert.equal(result.rating, "strong");
+  assert.equal(result.maxScore, 100);
+  for (const criterion of result.breakdown) {
+    assert.ok(criterion.score <= criterion.max, criterion.id);
+  }
+});
+
+test("ratings follow the score bands", () => {
+  const cases = [
+    [resume(10), "strong", 80, 100],
+    [resume(3), "fair", 60, 79],
+    [resume(0), "weak", 40, 59],
+    ["Priya Sharma\npriya@example.com", "poor", 0, 39],
+  ];
+  for (const [text, rating, min, max] of cases) {
+    const result = scoreResumeAts(text);
+    assert.equal(result.rating, rating, `${result.score}`);
+    assert.ok(result.score >= min && result.score <= max, `${result.score}`);
+  }
+});
+
+test("resumes under 250 words keep words/250 of the score, at least 40%", () => {
+  const short = scoreResumeAts(resume(0));
+  assert.ok(short.words < 250);
+  assert.equal(short.score, Math.round((subtotal(short) * short.words) / 250));
+  assert.equal(short.lengthPenalty, Math.round(subtotal(short)) - short.score);
+  assert.ok(short.lengthPenalty > 30, String(short.lengthPenalty));
+
+  const tiny = scoreResumeAts("Priya Sharma\npriya@example.com");
+  assert.equal(tiny.words, 3);
+  assert.equal(tiny.score, Math.round(subtotal(tiny) * 0.4));
+});
+
+test("resumes over 1,200 words lose at most 20% of the score", () => {
+  const long = scoreResumeAts(resume(60));
+  assert.ok(long.words > 1200 && long.words < 1500, String(long.words));
+  assert.equal(long.score, Math.round((subtotal(long) * 1200) / long.words));
+
+  const veryLong = scoreResumeAts(resume(100));
+  assert.ok(veryLong.words > 1500);
+  assert.equal(veryLong.score, Math.round(subtotal(veryLong) * 0.8));
+  const formatting = veryLong.breakdown.find((c) => c.id === "formatting");
+  assert.ok(formatting.suggestions.some((s) => /1,200 words/.test(s)));
+});
+
+test("a job description switches keywords to target coverage", () => {
+  const result = scoreResumeAts(resume(10), {
+    jobDescription:
+      "Data engineer with Kafka and Spark. Kafka streaming, Spark jobs, Kubernetes deployments.",
+  });
+  const keywords = result.breakdown.find((c) => c.id === "keywords");
+  assert.equal(keywords.details.mode, "target");
+  assert.ok(keywords.details.matched.includes("kafka"));
+  assert.ok(keywords.details.matched.includes("spark"));
+  assert.ok(keywords.details.missing.includes("kubernetes"));
+});
+
+test("the same input always gives the same score", () => {
+  assert.deepEqual(scoreResumeAts(resume(5)), scoreResumeAts(resume(5)));
+});
@@ -0,0 +1,43 @@
+// Contact detection used by ATS scoring and document classification.
+import test from "node:test";
+import assert from "node:assert/strict";
+import { hasPhoneNumber } from "../contact.js";
+
+const RESUME_WITHOUT_PHONE = `Priya Sharma
+priya.sharma@example.com | linkedin.com/in/priyasharma
+
+Experience
+Software Engineer, Acme Corp | 2019 - 2021
+Data Analyst, Beta Labs | 2021 – 2024
+Intern, Gamma Tech | 2018.06 - 2019.01
+
+Education
+B.Tech Computer Science, 2014 - 2018`;
+
+test("date ranges are not mistaken for a phone number", () => {
+  assert.equal(hasPhoneNumber(RESUME_WITHOUT_PHONE), false);
+  assert.equal(hasPhoneNumber("2019 - 2021 2022 - 2023"), false);
+});
+
+test("common phone formats are recognized", () => {
+  for (const phone of [
+    "+91 98765 43210",
+    "(+91) 98765-43210",
+    "098765.43210",
+    "+1 (415) 555-0123",
+    "9876543210",
+  ]) {
+    assert.equal(hasPhoneNumber(phone), true, phone);
+    assert.equal(
+      hasPhoneNumber(`${RESUME_WITHOUT_PHONE}\nPhone: ${phone}`),
+      true,
+      phone
+    );
+  }
+});
+
+test("short digit runs are not phone numbers", () => {
+  assert.equal(hasPhoneNumber("Pin code 560 001"), false);
+  assert.equal(hasPhoneNumber("Scaled to 250,000 users"), false);
+  assert.equal(hasPhoneNumber(""), false);
+});
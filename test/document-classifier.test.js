@@ -0,0 +1,216 @@
+// Heuristic document classification that gates /analyze-resume.
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  createDocumentClassifier,
+  normalizeIndicDigits,
+  scoreDocumentHeuristics,
+} from "../document-classifier.js";
+
+const RESUME = `Rahul Verma
+rahul.verma@example.com | +91 98765 43210 | linkedin.com/in/rahulverma
+
+Summary
+Backend developer with 4 years of experience building payment APIs.
+
+Experience
+Software Engineer, PayFast | Mar 2021 - Present
+• Built a settlement service in Go that processes 2M transactions a day
+• Cut API latency by 35% by adding Redis caching
+Junior Developer, CodeWorks | Jul 2019 - Feb 2021
+• Maintained Django services for 12 retail clients
+
+Education
+B.Tech Information Technology, Pune University | 2015 - 2019
+
+Skills
+Go, Python, Django, PostgreSQL, Redis, Docker, AWS`;
+
+// Job-description words inside a resume must not flip the decision
+const RESUME_WITH_JD_WORDS = `Anita Desai
+anita.desai@example.com | +91 91234 56789
+
+Professional Summary
+Operations manager with 8 years of experience in warehouse logistics.
+
+Work Experience
+Operations Manager, QuickShip | Apr 2019 - Present
+Responsibilities:
+• Managed a team of 40 across three warehouses
+• Reduced delivery delays by 20% through route planning
+Shift Supervisor, MoveIt | Jan 2016 - Mar 2019
+Responsibilities:
+• Scheduled shifts for 25 staff and tracked daily dispatch targets
+
+Education
+MBA Operations, Symbiosis | 2014 - 2016
+
+Skills
+Inventory planning, SAP, Excel, Team leadership`;
+
+const CV = `Dr. Meera Iyer
+Curriculum Vitae
+meera.iyer@university.edu
+
+Education
+PhD Computational Biology, IISc Bangalore | 2012 - 2017
+Thesis: Protein folding pathways in thermophilic bacteria
+
+Research Experience
+Postdoctoral Fellow, NCBS | 2017 - 2020
+Assistant Professor, IIT Madras | 2020 - Present
+
+Publications
+Iyer M, Rao K. Folding kinetics of thermostable enzymes. J Mol Biol. 2019.
+Iyer M. Machine learning for contact maps. Bioinformatics. 2021.
+
+Conferences
+Invited talk, ISMB 2022
+
+Grants
+DBT Ramalingaswami Fellowship, 2020 - 2025
+
+Teaching Experience
+Structural Bioinformatics (graduate), 2021 - 2023`;
+
+const COVER_LETTER = `Dear Hiring Manager,
+
+I am writing to apply for the Data Analyst position at BrightRetail. I have spent the last three years turning sales data into decisions, and I am excited to apply what I have learned to your merchandising team. In my current role I built the weekly dashboards my managers use to plan stock, and I enjoy explaining numbers to people who do not work with them every day.
+
+My experience with SQL, Python and Tableau matches what your posting asks for. I have cleaned messy point-of-sale exports, automated my own reports, and worked closely with store managers to understand what they need. I would bring the same care for accuracy and clear communication to BrightRetail.
+
+Thank you for your time and consideration. I look forward to hearing from you.
+
+Sincerely,
+Kavya Nair
+kavya.nair@example.com`;
+
+const JOB_DESCRIPTION = `Senior Frontend Engineer
+
+About the role
+We are looking for a frontend engineer to build our customer dashboard. You will work with designers and backend engineers to ship features every week.
+
+Responsibilities
+- Build responsive pages in React and TypeScript
+- Review code and mentor junior engineers
+- Improve page performance and accessibility
+
+Requirements
+- 5+ years of experience with modern JavaScript
+- Strong knowledge of React and state management
+- Nice to have: experience with GraphQL
+
+Benefits
+- Health insurance and flexible hours
+- Salary: 25-35 LPA
+
+How to apply
+Apply now with your resume. We are an equal opportunity employer.`;
+
+/** classifyDocument with a model vote that records whether it was asked. */
+function classifier(vote = null) {
+  const calls = [];
+  const classifyDocument = createDocumentClassifier({
+    classifyWithLlm: async (text) => {
+      calls.push(text);
+      return vote;
+    },
+    llmThreshold: 0.7,
+  });
+  return { classifyDocument, calls };
+}
+
+const topType = (text) => {
+  const { probabilities } = scoreDocumentHeuristics(text);
+  return Object.keys(probabilities).reduce((a, b) =>
+    probabilities[b] > probabilities[a] ? b : a
+  );
+};
+
+test("each document type wins on its own fixture", () => {
+  assert.equal(topType(RESUME), "resume");
+  assert.equal(topType(CV), "cv");
+  assert.equal(topType(COVER_LETTER), "cover_letter");
+  assert.equal(topType(JOB_DESCRIPTION), "job_description");
+});
+
+test("a resume with Responsibilities and years-of-experience lines is a resume", () => {
+  const { probabilities, signals } =
+    scoreDocumentHeuristics(RESUME_WITH_JD_WORDS);
+  assert.ok(
+    signals.jobDescriptionCues >= 3,
+    String(signals.jobDescriptionCues)
+  );
+  assert.equal(topType(RESUME_WITH_JD_WORDS), "resume");
+  assert.ok(probabilities.resume > 2 * probabilities.job_description);
+});
+
+test("Devanagari and Gurmukhi digits become ASCII", () => {
+  assert.equal(normalizeIndicDigits("०१२३४५६७८९"), "0123456789");
+  assert.equal(normalizeIndicDigits("੦੧੨੩੪੫੬੭੮੯"), "0123456789");
+  assert.equal(
+    normalizeIndicDigits("अनुभव २०१९ - २०२१, ਤਜਰਬਾ ੨੦੨੧ - ੨੦੨੩"),
+    "अनुभव 2019 - 2021, ਤਜਰਬਾ 2021 - 2023"
+  );
+  const { signals } = scoreDocumentHeuristics(
+    "अनुभव\nसॉफ्टवेयर इंजीनियर | २०१९ - २०२१\nशिक्षा\nबी.टेक | २०१५ - २०१९"
+  );
+  assert.equal(signals.dateRanges, 2);
+});
+
+test("probabilities sum to one and keep a baseline for other", () => {
+  const { probabilities } = scoreDocumentHeuristics(RESUME);
+  const total = Object.values(probabilities).reduce((a, b) => a + b, 0);
+  assert.ok(Math.abs(total - 1) < 1e-9);
+  assert.ok(probabilities.other > 0);
+});
+
+test("confident heuristics skip the model", async () => {
+  const { classifyDocument, calls } = classifier({
+    type: "other",
+    confidence: 1,
+  });
+  for (const [text, type, isResume] of [
+    [RESUME, "resume", true],
+    [JOB_DESCRIPTION, "job_description", false],
+  ]) {
+    const result = await classifyDocument(text);
+    assert.equal(result.type, type);
+    assert.equal(result.isResume, isResume);
+    assert.equal(result.method, "heuristic");
+  }
+  assert.equal(calls.length, 0);
+});
+
+test("unsure heuristics are blended with the model vote", async () => {
+  // One cover-letter cue: other 0.6, cover_letter 0.4
+  const text =
+    "Dear team, the notes from the offsite are below. We talked about the roadmap for next quarter and who owns which launch.";
+  const { classifyDocument, calls } = classifier({
+    type: "job_description",
+    confidence: 0.9,
+  });
+  const result = await classifyDocument(text);
+  assert.equal(calls.length, 1);
+  assert.equal(result.method, "heuristic+llm");
+  assert.equal(result.type, "job_description");
+  assert.equal(result.isResume, false);
+
+  const offline = classifier(null);
+  const fallback = await offline.classifyDocument(text);
+  assert.equal(fallback.method, "heuristic");
+  assert.equal(fallback.type, "other");
+
+  const skipped = classifier({ type: "resume", confidence: 1 });
+  await skipped.classifyDocument(text, { useLlm: false });
+  assert.equal(skipped.calls.length, 0);
+});
+
+test("very short text is other without scoring", async () => {
+  const { classifyDocument, calls } = classifier();
+  const result = await classifyDocument("Rahul Verma, developer");
+  assert.equal(result.type, "other");
+  assert.equal(result.confidence, 1);
+  assert.equal(result.probabilities, null);
+  assert.equal(calls.length, 0);
+});
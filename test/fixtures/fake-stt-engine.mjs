@@ -0,0 +1,15 @@
+// Stand-in for a local Whisper/Vosk binary: `node fake-stt-engine.mjs <wav> <lang>`.
+// Prints a canned transcript after checking it was given 16 kHz mono PCM WAV.
+import fs from "fs";
+
+const [file, language] = process.argv.slice(2);
+const wav = fs.readFileSync(file);
+if (
+  wav.toString("ascii", 0, 4) !== "RIFF" ||
+  wav.readUInt16LE(22) !== 1 ||
+  wav.readUInt32LE(24) !== 16000
+) {
+  console.error("expected 16 kHz mono WAV");
+  process.exit(1);
+}
+console.log(language === "hi" ? "  मुझे नौकरी चाहिए  " : "  I need a job  ");
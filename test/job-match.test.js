@@ -0,0 +1,148 @@
+// Deterministic resume-to-job matching: skills, years of experience and fit.
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  estimateExperienceYears,
+  experienceFit,
+  getExperience,
+  scoreJobMatch,
+} from "../job-match.js";
+
+const NOW = new Date(Date.UTC(2024, 6, 1)); // Jul 2024
+
+const RESUME = `Priya Sharma
+priya.sharma@example.com
+
+Experience
+Data Engineer, Acme Corp | Jan 2021 - Present
+- Built streaming pipelines in Python and Kafka
+Data Analyst, Beta Labs | Jun 2018 - Dec 2020
+- Wrote SQL reports in PostgreSQL
+
+Education
+B.Tech Computer Science | 2014 - 2018
+
+Skills
+Python, SQL, Kafka, Airflow`;
+
+test("years come from experience dates only, with Present capped at now", () => {
+  // Jun 2018 - Dec 2020 and Jan 2021 - Jul 2024; the 2014 - 2018 degree is
+  // not experience
+  assert.equal(estimateExperienceYears(RESUME, NOW), 6);
+  assert.equal(estimateExperienceYears("Skills\nPython, SQL", NOW), null);
+  assert.equal(estimateExperienceYears("", NOW), null);
+});
+
+test("overlapping roles are counted once and gaps are skipped", () => {
+  const text = `Experience
+Engineer, A | Jan 2015 - Jan 2018
+Consultant, B | Jan 2017 - Jan 2019
+Engineer, C | Jan 2021 - Jan 2022`;
+  assert.equal(estimateExperienceYears(text, NOW), 5);
+});
+
+test("job experience labels come from the structured field or the text", () => {
+  assert.equal(
+    getExperience({
+      job_required_experience: { required_experience_in_months: 36 },
+    }),
+    "3+ years"
+  );
+  assert.equal(
+    getExperience({
+      job_required_experience: { required_experience_in_months: 6 },
+    }),
+    "6 months"
+  );
+  assert.equal(
+    getExperience({
+      job_required_experience: { no_experience_required: true },
+    }),
+    "Entry Level"
+  );
+  assert.equal(
+    getExperience({ job_description: "Needs 2-5 years of Python." }),
+    "2-5 years"
+  );
+  assert.equal(
+    getExperience({ job_description: "Great team." }),
+    "Not Disclosed"
+  );
+  assert.equal(getExperience(null), "Not Disclosed");
+});
+
+test("experience fit boundaries around a 3-5 year range", () => {
+  const fit = (years) => experienceFit("3-5 years", years).fit;
+  assert.equal(fit(1.9), "under");
+  assert.equal(fit(2), "slightly-under");
+  assert.equal(fit(2.9), "slightly-under");
+  assert.equal(fit(3), "match");
+  assert.equal(fit(8), "match");
+  assert.equal(fit(8.1), "over");
+  assert.deepEqual(experienceFit("3-5 years", 4).requiredYears, {
+    min: 3,
+    max: 5,
+  });
+});
+
+test("open-ended, entry-level, month and unknown requirements", () => {
+  assert.equal(experienceFit("3+ years", 20).fit, "match");
+  assert.equal(experienceFit("Entry Level", 0).fit, "match");
+  assert.equal(experienceFit("Entry Level", 4.1).fit, "over");
+  assert.deepEqual(experienceFit("6 months", 1).requiredYears, {
+    min: 0.5,
+    max: null,
+  });
+  for (const [label, years] of [
+    ["Not Disclosed", 3],
+    [undefined, 3],
+    ["3+ years", null],
+  ]) {
+    const result = experienceFit(label, years);
+    assert.equal(result.fit, "unknown");
+    assert.equal(result.score, 0.5);
+  }
+});
+
+test("skills are matched as whole words in the resume and skill list", () => {
+  const result = scoreJobMatch({
+    resumeText: RESUME,
+    skills: ["Docker"],
+    job: {
+      title: "Data Engineer",
+      description: "Build pipelines.",
+      experience: "3-5 years",
+    },
+    requiredSkills: ["Python", "Kafka", "Docker", "Java", "Spark"],
+    niceToHaveSkills: ["Airflow", "dbt", "python"],
+  });
+  assert.deepEqual(result.matchedSkills, ["Python", "Kafka", "Docker"]);
+  // "Java" is not found inside other words
+  assert.deepEqual(result.missingSkills, ["Java", "Spark"]);
+  // nice-to-have skills already required are not counted twice
+  assert.deepEqual(result.niceToHave, {
+    matched: ["Airflow"],
+    missing: ["dbt"],
+  });
+  assert.equal(result.experienceFit.fit, "over");
+  assert.deepEqual(result.breakdown, {
+    requiredSkills: 36,
+    niceToHave: 7.5,
+    experience: 17.5,
+  });
+  assert.equal(result.matchScore, 61);
+});
+
+test("without required skills the job's top keywords stand in", () => {
+  const result = scoreJobMatch({
+    resumeText: RESUME,
+    job: {
+      title: "Kafka engineer",
+      description: "Kafka and Python. Kafka streaming with Python and Scala.",
+    },
+  });
+  assert.ok(result.matchedSkills.includes("kafka"));
+  assert.ok(result.matchedSkills.includes("python"));
+  assert.ok(result.missingSkills.includes("scala"));
+  assert.equal(result.experienceFit.fit, "unknown");
+});
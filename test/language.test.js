@@ -0,0 +1,188 @@
+// Language detection and reply-language resolution for /chat.
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  detectLanguage,
+  detectLanguageSimple,
+  resolveResponseLanguage,
+  scriptInstruction,
+} from "../language.js";
+
+/** detectLanguage() without the signals, for compact assertions. */
+function detect(message) {
+  const { language, script, codeMixed } = detectLanguage(message);
+  return { language, script, codeMixed };
+}
+
+test("romanized Hindi and Punjabi are recognized", () => {
+  assert.deepEqual(detect("mujhe job chahiye"), {
+    language: "Hindi",
+    script: "roman",
+    codeMixed: true,
+  });
+  assert.deepEqual(detect("mujhe naukri chahiye"), {
+    language: "Hindi",
+    script: "roman",
+    codeMixed: false,
+  });
+  assert.deepEqual(detect("tusi ki karde ho"), {
+    language: "Punjabi",
+    script: "roman",
+    codeMixed: false,
+  });
+  assert.equal(
+    detect("mainu Delhi vich nokri chahidi hai").language,
+    "Punjabi"
+  );
+});
+
+test("native scripts are recognized", () => {
+  assert.deepEqual(detect("मुझे नौकरी चाहिए"), {
+    language: "Hindi",
+    script: "native",
+    codeMixed: false,
+  });
+  assert.deepEqual(detect("ਮੈਨੂੰ ਨੌਕਰੀ ਚਾਹੀਦੀ ਹੈ"), {
+    language: "Punjabi",
+    script: "native",
+    codeMixed: false,
+  });
+  assert.deepEqual(detect("मुझे software engineer की job चाहिए in Pune"), {
+    language: "Hindi",
+    script: "native",
+    codeMixed: true,
+  });
+});
+
+test("English stays English", () => {
+  for (const message of [
+    "I need a job in Delhi",
+    "Can you help me find a data analyst role?",
+    "Main skills: Python and SQL",
+    "The job market in Pune",
+  ]) {
+    assert.deepEqual(detect(message), {
+      language: "English",
+      script: "native",
+      codeMixed: false,
+    });
+  }
+  assert.equal(detectLanguageSimple(""), "English");
+  assert.equal(detectLanguageSimple(null), "English");
+});
+
+test("romanized Indian languages need two words of their vocabulary", () => {
+  assert.equal(detect("tumi kemon acho").language, "Bengali");
+  assert.equal(detect("tamne shu joiye chhe").language, "Gujarati");
+  assert.equal(detect("enakku velai venum").language, "Tamil");
+  assert.equal(detect("naaku udyogam kavali").language, "Telugu");
+  assert.equal(detect("nanage kelasa beku").language, "Kannada");
+  assert.equal(detect("enikku joli venam").language, "Malayalam");
+  // one word, or a word that is also English or a place name, is not enough
+  for (const message of [
+    "IDE",
+    "Which IDE",
+    "Kollam jobs",
+    "mala",
+    "kem cho",
+  ]) {
+    assert.equal(detect(message).language, "English", message);
+  }
+});
+
+test("a single Hindi word counts only without English around it", () => {
+  assert.equal(detect("haan ji").language, "Hindi");
+  assert.equal(detect("hello ji").language, "English");
+  assert.equal(detect("ok ji").language, "English");
+  const single = detectLanguage("ji");
+  assert.equal(single.language, "Hindi");
+  assert.ok(single.confidence <= 0.6, String(single.confidence));
+});
+
+test("Arabic script is Urdu only with Urdu letters", () => {
+  assert.equal(detect("میں ٹھیک ہوں").language, "Urdu");
+  assert.equal(detect("مجھے نوکری چاہیے").language, "Urdu");
+  assert.notEqual(detect("مرحبا").language, "Urdu");
+});
+
+test("confidence rises with the share of the detected language", () => {
+  const mixed = detectLanguage("mujhe job chahiye").confidence;
+  const pure = detectLanguage("mujhe naukri chahiye").confidence;
+  assert.ok(pure > mixed, `${pure} > ${mixed}`);
+  assert.ok(mixed >= 0.5 && pure <= 1);
+  assert.equal(detectLanguage("मुझे नौकरी चाहिए").confidence, 1);
+});
+
+test("detection decides the reply when there is no preference", () => {
+  const detection = detectLanguage("mujhe job chahiye");
+  for (const preference of [
+    undefined,
+    null,
+    { language: "auto", script: "auto" },
+  ]) {
+    assert.deepEqual(resolveResponseLanguage(detection, preference), {
+      response: "Hindi",
+      script: "roman",
+      overridden: false,
+    });
+  }
+});
+
+test("a profile language override wins over detection", () => {
+  assert.deepEqual(
+    resolveResponseLanguage(detectLanguage("I need a job"), {
+      language: "Punjabi",
+      script: "auto",
+    }),
+    { response: "Punjabi", script: "native", overridden: true }
+  );
+  assert.deepEqual(
+    resolveResponseLanguage(detectLanguage("mujhe job chahiye"), {
+      language: "English",
+    }),
+    { response: "English", script: "native", overridden: true }
+  );
+});
+
+test("a script preference wins over the script the user typed in", () => {
+  assert.deepEqual(
+    resolveResponseLanguage(detectLanguage("मुझे नौकरी चाहिए"), {
+      language: "auto",
+      script: "roman",
+    }),
+    { response: "Hindi", script: "roman", overridden: false }
+  );
+  assert.deepEqual(
+    resolveResponseLanguage(detectLanguage("mujhe job chahiye"), {
+      script: "native",
+    }),
+    { response: "Hindi", script: "native", overridden: false }
+  );
+  // English has no second script
+  assert.equal(
+    resolveResponseLanguage(detectLanguage("I need a job"), {
+      script: "roman",
+    }).script,
+    "native"
+  );
+});
+
+test("unknown preference values fall back to detection", () => {
+  assert.deepEqual(
+    resolveResponseLanguage(detectLanguage("mujhe job chahiye"), {
+      language: "Klingon",
+      script: "cursive",
+    }),
+    { response: "Hindi", script: "roman", overridden: false }
+  );
+});
+
+test("the prompt names the script to write in", () => {
+  assert.match(scriptInstruction("Hindi", "native"), /Devanagari/);
+  assert.match(scriptInstruction("Hindi", "roman"), /Roman letters/);
+  assert.match(scriptInstruction("Punjabi", "native"), /Gurmukhi/);
+  assert.equal(
+    scriptInstruction("English", "roman"),
+    "Write the reply in English."
+  );
+});
@@ -0,0 +1,312 @@
+// Provider adapters: OpenAI-shaped requests, responses and stream chunks
+// mapped to and from the Anthropic Messages API.
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  createAnthropicStreamMapper,
+  createProvider,
+  fromAnthropicResponse,
+  toAnthropicRequest,
+} from "../llm-providers.js";
+
+const TOOL = {
+  type: "function",
+  function: {
+    name: "search_jobs",
+    description: "Search job listings.",
+    parameters: { type: "object", properties: { query: { type: "string" } } },
+  },
+};
+
+test("messages and tool calls map to Anthropic content blocks", () => {
+  const request = toAnthropicRequest({
+    model: "claude-test",
+    temperature: 1.4,
+    messages: [
+      { role: "system", content: "You are a career mentor." },
+      { role: "system", content: "Reply in Hindi." },
+      { role: "user", content: "Find React jobs" },
+      {
+        role: "assistant",
+        content: "Searching.",
+        tool_calls: [
+          {
+            id: "call_1",
+            type: "function",
+            function: { name: "search_jobs", arguments: '{"query":"react"}' },
+          },
+          {
+            id: "call_2",
+            type: "function",
+            function: { name: "search_jobs", arguments: "not json" },
+          },
+        ],
+      },
+      { role: "tool", tool_call_id: "call_1", content: "[3 jobs]" },
+      { role: "tool", tool_call_id: "call_2", content: "[]" },
+    ],
+  });
+  assert.equal(request.system, "You are a career mentor.\n\nReply in Hindi.");
+  assert.equal(request.max_tokens, 4096);
+  assert.equal(request.temperature, 1);
+  assert.deepEqual(request.messages, [
+    { role: "user", content: "Find React jobs" },
+    {
+      role: "assistant",
+      content: [
+        { type: "text", text: "Searching." },
+        {
+          type: "tool_use",
+          id: "call_1",
+          name: "search_jobs",
+          input: { query: "react" },
+        },
+        { type: "tool_use", id: "call_2", name: "search_jobs", input: {} },
+      ],
+    },
+    // Consecutive tool results share one user turn
+    {
+      role: "user",
+      content: [
+        { type: "tool_result", tool_use_id: "call_1", content: "[3 jobs]" },
+        { type: "tool_result", tool_use_id: "call_2", content: "[]" },
+      ],
+    },
+  ]);
+});
+
+test("tools and tool_choice map to Anthropic tools", () => {
+  const base = {
+    model: "claude-test",
+    messages: [{ role: "user", content: "hi" }],
+    tools: [TOOL],
+  };
+  const request = toAnthropicRequest({ ...base, stream: true });
+  assert.equal(request.stream, true);
+  assert.deepEqual(request.tools, [
+    {
+      name: "search_jobs",
+      description: "Search job listings.",
+      input_schema: TOOL.function.parameters,
+    },
+  ]);
+  const choice = (tool_choice) =>
+    toAnthropicRequest({ ...base, tool_choice }).tool_choice;
+  assert.deepEqual(choice(undefined), { type: "auto" });
+  assert.deepEqual(choice("none"), { type: "none" });
+  assert.deepEqual(choice("required"), { type: "any" });
+  assert.deepEqual(
+    choice({ type: "function", function: { name: "search_jobs" } }),
+    { type: "tool", name: "search_jobs" }
+  );
+});
+
+test("a JSON schema response format becomes a forced tool call", () => {
+  const schema = { type: "object", properties: { score: { type: "number" } } };
+  const request = toAnthropicRequest({
+    model: "claude-test",
+    messages: [{ role: "user", content: "Score this" }],
+    response_format: {
+      type: "json_schema",
+      json_schema: { name: "score", schema },
+    },
+  });
+  assert.equal(request.tools[0].input_schema, schema);
+  assert.deepEqual(request.tool_choice, {
+    type: "tool",
+    name: request.tools[0].name,
+  });
+
+  const response = fromAnthropicResponse({
+    content: [
+      {
+        type: "tool_use",
+        id: "t1",
+        name: request.tools[0].name,
+        input: { score: 7 },
+      },
+    ],
+    stop_reason: "tool_use",
+  });
+  assert.equal(response.choices[0].message.content, '{"score":7}');
+  assert.equal(response.choices[0].message.tool_calls, undefined);
+  assert.equal(response.choices[0].finish_reason, "stop");
+});
+
+test("responses map text, tool calls and usage", () => {
+  const response = fromAnthropicResponse({
+    id: "msg_1",
+    model: "claude-test",
+    content: [
+      { type: "text", text: "Let me " },
+      { type: "text", text: "check." },
+      {
+        type: "tool_use",
+        id: "tu_1",
+        name: "search_jobs",
+        input: { query: "go" },
+      },
+    ],
+    stop_reason: "tool_use",
+    usage: { input_tokens: 120, output_tokens: 30 },
+  });
+  assert.deepEqual(response.choices[0].message, {
+    role: "assistant",
+    content: "Let me check.",
+    tool_calls: [
+      {
+        id: "tu_1",
+        type: "function",
+        function: { name: "search_jobs", arguments: '{"query":"go"}' },
+      },
+    ],
+  });
+  assert.deepEqual(response.usage, {
+    prompt_tokens: 120,
+    completion_tokens: 30,
+    total_tokens: 150,
+  });
+  // Tool calls alone leave content null, as OpenAI does
+  const toolsOnly = fromAnthropicResponse({
+    content: [{ type: "tool_use", id: "tu_2", name: "search_jobs", input: {} }],
+  });
+  assert.equal(toolsOnly.choices[0].message.content, null);
+});
+
+test("stop reasons map to OpenAI finish reasons", () => {
+  const finish = (stop_reason) =>
+    fromAnthropicResponse({ content: [], stop_reason }).choices[0]
+      .finish_reason;
+  assert.equal(finish("end_turn"), "stop");
+  assert.equal(finish("stop_sequence"), "stop");
+  assert.equal(finish("max_tokens"), "length");
+  assert.equal(finish("tool_use"), "tool_calls");
+  assert.equal(finish("refusal"), "stop");
+});
+
+test("stream events map to OpenAI chunks", () => {
+  const map = createAnthropicStreamMapper();
+  assert.equal(
+    map({ type: "message_start", message: { usage: { input_tokens: 50 } } }),
+    null
+  );
+  assert.equal(
+    map({
+      type: "content_block_start",
+      index: 0,
+      content_block: { type: "text" },
+    }),
+    null
+  );
+  assert.deepEqual(
+    map({
+      type: "content_block_delta",
+      index: 0,
+      delta: { type: "text_delta", text: "Hi" },
+    }),
+    { choices: [{ delta: { content: "Hi" } }] }
+  );
+  // Content block 1 is the first tool call (tool_calls index 0)
+  assert.deepEqual(
+    map({
+      type: "content_block_start",
+      index: 1,
+      content_block: { type: "tool_use", id: "tu_1", name: "search_jobs" },
+    }),
+    {
+      choices: [
+        {
+          delta: {
+            tool_calls: [
+              {
+                index: 0,
+                id: "tu_1",
+                type: "function",
+                function: { name: "search_jobs", arguments: "" },
+              },
+            ],
+          },
+        },
+      ],
+    }
+  );
+  assert.deepEqual(
+    map({
+      type: "content_block_delta",
+      index: 1,
+      delta: { type: "input_json_delta", partial_json: '{"query":' },
+    }),
+    {
+      choices: [
+        {
+          delta: {
+            tool_calls: [{ index: 0, function: { arguments: '{"query":' } }],
+          },
+        },
+      ],
+    }
+  );
+  assert.deepEqual(
+    map({
+      type: "message_delta",
+      delta: { stop_reason: "tool_use" },
+      usage: { output_tokens: 12 },
+    }),
+    {
+      choices: [{ delta: {}, finish_reason: "tool_calls" }],
+      usage: { prompt_tokens: 50, completion_tokens: 12, total_tokens: 62 },
+    }
+  );
+  assert.equal(map({ type: "ping" }), null);
+  assert.throws(
+    () => map({ type: "error", error: { message: "Overloaded" } }),
+    /Overloaded/
+  );
+});
+
+test("OpenAI-style providers build their own URLs and bodies", () => {
+  const openai = createProvider("openai", {
+    type: "openai",
+    baseUrl: "https://api.openai.com/v1/",
+    apiKey: "sk-test",
+  });
+  const body = {
+    model: "gpt-3.5-turbo",
+    messages: [],
+    response_format: { type: "json_schema", json_schema: { schema: {} } },
+  };
+  const request = openai.buildRequest(body);
+  assert.equal(request.url, "https://api.openai.com/v1/chat/completions");
+  assert.equal(request.headers.Authorization, "Bearer sk-test");
+  // Older models only know json_object
+  assert.deepEqual(request.body.response_format, { type: "json_object" });
+  assert.equal(
+    openai.buildRequest({ ...body, model: "gpt-4o" }).body.response_format,
+    body.response_format
+  );
+
+  const local = createProvider("local", {
+    type: "openai-compatible",
+    baseUrl: "http://localhost:11434/v1",
+  });
+  assert.equal(local.configured, true);
+  assert.equal(local.buildRequest(body).headers.Authorization, undefined);
+  assert.equal(
+    createProvider("openai", { type: "openai", baseUrl: "x" }).configured,
+    false
+  );
+
+  const azure = createProvider("azure", {
+    type: "azure",
+    baseUrl: "https://example.openai.azure.com",
+    apiKey: "az",
+  });
+  const azureRequest = azure.buildRequest({ model: "gpt 4o", messages: [] });
+  assert.equal(
+    azureRequest.url,
+    "https://example.openai.azure.com/openai/deployments/gpt%204o/chat/completions?api-version=2024-10-21"
+  );
+  assert.equal(azureRequest.body.model, undefined);
+
+  assert.throws(() => createProvider("x", { type: "bogus" }), /Unknown LLM/);
+});
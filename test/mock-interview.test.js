@@ -0,0 +1,208 @@
+// Mock interview analysis: timings, speech metrics and answer splitting.
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  analyzeMockInterview,
+  collectTimedWords,
+  mockLongRecognizeWords,
+  oggOpusDurationSec,
+  speechMetrics,
+} from "../mock-interview.js";
+
+/** Timed words from [word, start, end, speaker?, turn?] rows. */
+const timed = (rows) =>
+  rows.map(([word, start, end, speaker = 1, turn = 0]) => ({
+    word,
+    start,
+    end,
+    speaker,
+    turn,
+  }));
+
+test("pace counts speaking time and short gaps, not pauses", () => {
+  const metrics = speechMetrics(
+    timed([
+      ["I", 0, 0.5],
+      ["built", 0.7, 1.2], // 0.2s gap: speech rhythm
+      ["payment", 2.2, 2.7], // 1s pause
+      ["systems", 5.2, 5.7], // 2.5s long pause
+    ])
+  );
+  assert.equal(metrics.wordCount, 4);
+  assert.equal(metrics.speakingSec, 2.2);
+  assert.equal(metrics.wordsPerMinute, 109);
+  assert.equal(metrics.pace, "slow");
+  assert.deepEqual(metrics.pauses, {
+    count: 2,
+    longCount: 1,
+    longestSec: 2.5,
+    totalSec: 3.5,
+  });
+});
+
+test("silence between turns is not a pause", () => {
+  const metrics = speechMetrics(
+    timed([
+      ["yes", 0, 0.3, 2, 1],
+      ["right", 10, 10.3, 2, 3],
+    ])
+  );
+  assert.equal(metrics.pauses.count, 0);
+  assert.equal(metrics.speakingSec, 0.6);
+});
+
+test("pace bands", () => {
+  // n words, each 0.25s long with no gaps -> 240 wpm
+  const words = (n, length) =>
+    timed(
+      Array.from({ length: n }, (_, i) => [
+        "word",
+        i * length,
+        (i + 1) * length,
+      ])
+    );
+  assert.equal(speechMetrics(words(10, 0.25)).pace, "fast");
+  assert.equal(speechMetrics(words(10, 0.45)).pace, "good");
+  assert.equal(speechMetrics(words(10, 0.6)).pace, "slow");
+  assert.equal(speechMetrics([]).pace, "unknown");
+});
+
+test("only disfluencies count as fillers", () => {
+  const words = (text) =>
+    timed(text.split(" ").map((word, i) => [word, i, i + 0.5]));
+  assert.equal(
+    speechMetrics(words("I like your product and I actually mean it")).fillers
+      .count,
+    0
+  );
+  const { fillers } = speechMetrics(words("Um, I uh think umm matlab yes"));
+  assert.equal(fillers.count, 4);
+  assert.equal(fillers.per100Words, 57.1);
+  assert.deepEqual(
+    fillers.terms.map((f) => f.term),
+    ["um", "uh", "umm", "matlab"]
+  );
+});
+
+test("the speaker with the most words is the candidate", () => {
+  const analysis = analyzeMockInterview({ words: mockLongRecognizeWords() });
+  assert.equal(analysis.candidateSpeaker, 2);
+  assert.deepEqual(
+    analysis.speakers
+      .map((s) => [s.speaker, s.role])
+      .sort((a, b) => a[0] - b[0]),
+    [
+      [1, "interviewer"],
+      [2, "candidate"],
+    ]
+  );
+  assert.equal(analysis.metrics.fillers.count, 2);
+
+  // An explicit choice wins; an unknown speaker falls back to the default
+  const chosen = analyzeMockInterview({
+    words: mockLongRecognizeWords(),
+    candidateSpeaker: 1,
+  });
+  assert.equal(chosen.candidateSpeaker, 1);
+  const unknown = analyzeMockInterview({
+    words: mockLongRecognizeWords(),
+    candidateSpeaker: 5,
+  });
+  assert.equal(unknown.candidateSpeaker, 2);
+});
+
+test("interviewer turns become the questions", () => {
+  const { answers } = analyzeMockInterview({ words: mockLongRecognizeWords() });
+  assert.deepEqual(
+    answers.map((a) => a.question),
+    ["Tell me about yourself.", "Why do you want to join our company?"]
+  );
+  assert.match(answers[0].answer, /^Um I am a software developer/);
+  assert.match(answers[1].answer, /large scale systems\.$/);
+  assert.ok(answers[0].end < answers[1].start);
+});
+
+test("questions with startSec split the candidate's words by time", () => {
+  const words = timed([
+    ["I", 1, 1.3],
+    ["code", 1.4, 1.8],
+    ["in", 10, 10.2],
+    ["Go", 10.3, 10.6],
+    ["daily", 20, 20.4],
+  ]);
+  const { answers } = analyzeMockInterview({
+    words,
+    questions: [
+      { question: "What do you use?", startSec: 9 },
+      { question: "Introduce yourself", startSec: 0 },
+      { question: "How often?", startSec: 19 },
+    ],
+  });
+  assert.deepEqual(
+    answers.map((a) => [a.question, a.answer, a.start, a.end]),
+    [
+      ["Introduce yourself", "I code", 0, 1.8],
+      ["What do you use?", "in Go", 9, 10.6],
+      ["How often?", "daily", 19, 20.4],
+    ]
+  );
+});
+
+test("one speaker without timed questions answers the first question", () => {
+  const words = timed([
+    ["I", 0, 0.3],
+    ["lead", 0.4, 0.8],
+  ]);
+  const [answer] = analyzeMockInterview({
+    words,
+    questions: [{ question: "Tell me about yourself." }],
+  }).answers;
+  assert.equal(answer.question, "Tell me about yourself.");
+  assert.equal(answer.answer, "I lead");
+  assert.equal(
+    analyzeMockInterview({ words }).answers[0].question,
+    "Overall interview"
+  );
+});
+
+test("timed words come from the diarized last result when present", () => {
+  const word = (text, start, end, speakerTag) => ({
+    word: text,
+    startTime: { seconds: start, nanos: 0 },
+    endTime: { seconds: end, nanos: 500000000 },
+    ...(speakerTag && { speakerTag }),
+  });
+  const plain = [
+    { alternatives: [{ words: [word("hello", 0, 0)] }] },
+    { alternatives: [{ words: [word("there", 1, 1)] }] },
+  ];
+  assert.deepEqual(collectTimedWords(plain), [
+    { word: "hello", start: 0, end: 0.5, speaker: 1 },
+    { word: "there", start: 1, end: 1.5, speaker: 1 },
+  ]);
+  const diarized = [
+    ...plain,
+    {
+      alternatives: [
+        { words: [word("hello", 0, 0, 1), word("there", 1, 1, 2)] },
+      ],
+    },
+  ];
+  assert.deepEqual(
+    collectTimedWords(diarized).map((w) => w.speaker),
+    [1, 2]
+  );
+  assert.deepEqual(collectTimedWords(undefined), []);
+});
+
+test("Ogg Opus duration comes from the last granule less the pre-skip", () => {
+  const head = Buffer.alloc(19);
+  head.write("OpusHead", 0);
+  head.writeUInt16LE(312, 10);
+  const lastPage = Buffer.alloc(27);
+  lastPage.write("OggS", 0);
+  lastPage.writeBigInt64LE(BigInt(48000 * 3 + 312), 6);
+  const file = Buffer.concat([Buffer.from("OggS"), head, lastPage]);
+  assert.equal(oggOpusDurationSec(file), 3);
+  assert.equal(oggOpusDurationSec(Buffer.from("not an ogg file")), null);
+});
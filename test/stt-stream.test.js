@@ -0,0 +1,126 @@
+// WebSocket speech streaming (/stt/stream) driven end to end with the mock
+// recognizer that STT_MOCK enables, so no Google credentials are needed.
+import test from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { WebSocket, WebSocketServer } from "ws";
+import {
+  createMockRecognizeStream,
+  createSttStreamHandler,
+} from "../stt-stream.js";
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Serve one handler on a random port. `quotaDelayMs` makes the quota check
+ * slow, like the Firestore round trip in production.
+ */
+async function startServer(t, { quotaDelayMs = 0, ...options } = {}) {
+  const handler = createSttStreamHandler({
+    createRecognizer: ({ languageCode, mockTranscript }) =>
+      createMockRecognizeStream({
+        transcript: mockTranscript || "hello world",
+        languageCode,
+      }),
+    consumeLimit: async () => {
+      await delay(quotaDelayMs);
+      return { allowed: true };
+    },
+    runChat: async ({ text }) => ({ reply: `echo: ${text}` }),
+    mock: true,
+    idleMs: 2000,
+    ...options,
+  });
+  const server = http.createServer();
+  const wss = new WebSocketServer({ server });
+  wss.on("connection", (ws) =>
+    handler(ws, { uid: options.uid ?? null, quotaKey: "ip:test" })
+  );
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => {
+    wss.close();
+    server.close();
+  });
+  return `ws://127.0.0.1:${server.address().port}`;
+}
+
+/** Run a session: send `messages` at once, collect events until close. */
+function session(url, messages) {
+  return new Promise((resolve, reject) => {
+    const events = [];
+    const ws = new WebSocket(url);
+    ws.on("open", () => {
+      for (const m of messages) {
+        if (Buffer.isBuffer(m)) ws.send(m);
+        else ws.send(JSON.stringify(m));
+      }
+    });
+    ws.on("message", (data) => events.push(JSON.parse(data.toString())));
+    ws.on("close", (code) => resolve({ events, code }));
+    ws.on("error", reject);
+  });
+}
+
+const frame = () => Buffer.alloc(320);
+
+test("audio and stop sent right after start are kept", async (t) => {
+  const url = await startServer(t, { quotaDelayMs: 100 });
+  const { events, code } = await session(url, [
+    { type: "start", mockTranscript: "mujhe job chahiye" },
+    frame(),
+    frame(),
+    frame(),
+    { type: "stop" },
+  ]);
+  const types = events.map((e) => e.type);
+  assert.ok(!types.includes("error"), JSON.stringify(events));
+  assert.equal(types[0], "ready");
+  const interim = events.filter((e) => e.type === "transcript" && !e.isFinal);
+  assert.deepEqual(
+    interim.map((e) => e.text),
+    ["mujhe", "mujhe job", "mujhe job chahiye"]
+  );
+  const final = events.find((e) => e.type === "final");
+  assert.equal(final.text, "mujhe job chahiye");
+  assert.equal(final.stoppedBy, "client");
+  assert.equal(final.detectedLanguage, "Hindi");
+  assert.equal(code, 1000);
+});
+
+test("audio before start is rejected", async (t) => {
+  const url = await startServer(t);
+  const ws = new WebSocket(url);
+  await new Promise((resolve) => ws.on("open", resolve));
+  const reply = new Promise((resolve) =>
+    ws.once("message", (data) => resolve(JSON.parse(data.toString())))
+  );
+  ws.send(frame());
+  assert.equal((await reply).code, "NOT_STARTED");
+  ws.close();
+});
+
+test("transcripts are forwarded to chat for signed-in users", async (t) => {
+  const url = await startServer(t, { uid: "user-1" });
+  const { events } = await session(url, [
+    { type: "start", chat: true, mockTranscript: "find me jobs" },
+    frame(),
+    { type: "stop" },
+  ]);
+  const chat = events.find((e) => e.type === "chat");
+  assert.equal(chat?.reply, "echo: find me jobs");
+});
+
+test("chat forwarding requires sign-in", async (t) => {
+  const url = await startServer(t);
+  const { events, code } = await session(url, [{ type: "start", chat: true }]);
+  assert.equal(events[0].code, "UNAUTHENTICATED");
+  assert.equal(code, 1008);
+});
+
+test("a silent session stops on the idle timer", async (t) => {
+  const url = await startServer(t, { idleMs: 100 });
+  const { events } = await session(url, [{ type: "start" }, frame()]);
+  const final = events.find((e) => e.type === "final");
+  assert.equal(final.stoppedBy, "idle");
+  assert.equal(final.text, "hello world");
+});
@@ -0,0 +1,237 @@
+// Speech-to-text against the fixture recordings (test.wav, test-audio.3gp).
+// Transcoding tests need an ffmpeg binary (ffmpeg-static or FFMPEG_PATH);
+// the live Google tests run only when GOOGLE_APPLICATION_CREDENTIALS_JSON is set.
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import http from "http";
+import { fileURLToPath } from "url";
+import ffmpeg from "fluent-ffmpeg";
+import ffmpegStatic from "ffmpeg-static";
+import speech from "@google-cloud/speech";
+import {
+  createGoogleSttProvider,
+  createLocalSttProvider,
+  createSttProvider,
+  prepareAudioForStt,
+  sniffAudio,
+  transcribeAudioFile,
+} from "../stt.js";
+
+const root = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+const ffmpegPath = process.env.FFMPEG_PATH || ffmpegStatic;
+ffmpeg.setFfmpegPath(ffmpegPath);
+const noFfmpeg = !ffmpegPath || !fs.existsSync(ffmpegPath);
+const googleCredentials = process.env.GOOGLE_APPLICATION_CREDENTIALS_JSON;
+
+/** A temp directory removed when test `t` ends. */
+function tempDir(t, prefix) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/** Copy a fixture to a temp file so transcoder output never lands in the repo. */
+function fixture(t, name) {
+  const copy = path.join(tempDir(t, "stt-test-"), name);
+  fs.copyFileSync(path.join(root, name), copy);
+  return copy;
+}
+
+/** A SpeechClient stand-in that records requests. */
+function fakeGoogleClient(transcript) {
+  const requests = [];
+  return {
+    requests,
+    async recognize(request) {
+      requests.push(request);
+      return [
+        {
+          results: [{ alternatives: [{ transcript }], languageCode: "en-in" }],
+        },
+      ];
+    },
+  };
+}
+
+test("test.wav is 8 kHz mono LINEAR16 and needs no transcoding", async (t) => {
+  const file = fixture(t, "test.wav");
+  const probe = sniffAudio(fs.readFileSync(file));
+  assert.equal(probe.container, "wav");
+  assert.equal(probe.encoding, "LINEAR16");
+  assert.equal(probe.sampleRate, 8000);
+  assert.equal(probe.channels, 1);
+  const prepared = await prepareAudioForStt(file);
+  assert.deepEqual(prepared.config, {
+    encoding: "LINEAR16",
+    sampleRateHertz: 8000,
+  });
+  assert.equal(prepared.audio.transcoded, false);
+  assert.ok(prepared.audio.durationSec > 1);
+});
+
+test(
+  "test-audio.3gp is transcoded to 16 kHz FLAC",
+  { skip: noFfmpeg && "no ffmpeg binary" },
+  async (t) => {
+    const file = fixture(t, "test-audio.3gp");
+    assert.equal(sniffAudio(fs.readFileSync(file)).container, "3gp");
+    const prepared = await prepareAudioForStt(file);
+    assert.deepEqual(prepared.config, {
+      encoding: "FLAC",
+      sampleRateHertz: 16000,
+    });
+    assert.equal(prepared.audio.transcoded, true);
+    assert.equal(prepared.bytes.toString("ascii", 0, 4), "fLaC");
+  }
+);
+
+test("recordings over the length limit are rejected with 413", async (t) => {
+  await assert.rejects(
+    prepareAudioForStt(fixture(t, "test.wav"), { maxSeconds: 1 }),
+    { status: 413, code: "AUDIO_TOO_LONG" }
+  );
+});
+
+test(
+  "unreadable audio is rejected with 415",
+  { skip: noFfmpeg && "no ffmpeg binary" },
+  async (t) => {
+    const file = path.join(tempDir(t, "stt-"), "x");
+    fs.writeFileSync(file, "not audio");
+    await assert.rejects(prepareAudioForStt(file), {
+      status: 415,
+      code: "AUDIO_UNREADABLE",
+    });
+  }
+);
+
+test("google provider sends the probed encoding and returns { text, detectedLanguage }", async (t) => {
+  const client = fakeGoogleClient("I need a job");
+  const result = await transcribeAudioFile(fixture(t, "test.wav"), {
+    provider: createGoogleSttProvider(client),
+    languageCode: "en-IN",
+    alternativeLanguageCodes: ["en-IN", "hi-IN", "pa-IN"],
+  });
+  assert.equal(result.text, "I need a job");
+  assert.equal(result.detectedLanguage, "English");
+  const { config, audio } = client.requests[0];
+  assert.equal(config.encoding, "LINEAR16");
+  assert.equal(config.sampleRateHertz, 8000);
+  assert.deepEqual(config.alternativeLanguageCodes, [
+    "en-IN",
+    "hi-IN",
+    "pa-IN",
+  ]);
+  assert.equal(typeof audio.content, "string");
+});
+
+test(
+  "local command provider gets 16 kHz WAV and answers in the same shape",
+  { skip: noFfmpeg && "no ffmpeg binary" },
+  async (t) => {
+    const engine = path.join(root, "test", "fixtures", "fake-stt-engine.mjs");
+    const provider = createSttProvider({
+      provider: "local",
+      local: { command: `${process.execPath} ${engine} {file} {language}` },
+    });
+    for (const name of ["test.wav", "test-audio.3gp"]) {
+      const result = await transcribeAudioFile(fixture(t, name), {
+        provider,
+        languageCode: "hi-IN",
+      });
+      assert.deepEqual(
+        { text: result.text, detectedLanguage: result.detectedLanguage },
+        { text: "मुझे नौकरी चाहिए", detectedLanguage: "Hindi" }
+      );
+      assert.equal(result.audio.transcoded, true);
+    }
+  }
+);
+
+test(
+  "local HTTP provider posts the WAV to a Whisper-style server",
+  { skip: noFfmpeg && "no ffmpeg binary" },
+  async (t) => {
+    let received = "";
+    const server = http.createServer((req, res) => {
+      req.on("data", (chunk) => (received += chunk.toString("latin1")));
+      req.on("end", () => {
+        res.setHeader("Content-Type", "application/json");
+        res.end(JSON.stringify({ text: " I need a job " }));
+      });
+    });
+    await new Promise((resolve) => server.listen(0, resolve));
+    t.after(() => server.close());
+
+    const provider = createLocalSttProvider({
+      url: `http://127.0.0.1:${server.address().port}/inference`,
+    });
+    const result = await transcribeAudioFile(fixture(t, "test.wav"), {
+      provider,
+      languageCode: "en-IN",
+    });
+    assert.equal(result.text, "I need a job");
+    assert.equal(result.detectedLanguage, "English");
+    assert.match(received, /name="file"; filename="audio.wav"/);
+    assert.match(received, /RIFF/);
+    assert.match(received, /name="language"\r\n\r\nen/);
+  }
+);
+
+test("a failing local engine surfaces an error", async () => {
+  const provider = createLocalSttProvider({
+    command: `${process.execPath} -e process.exit(3)`,
+  });
+  await assert.rejects(
+    provider.recognize({
+      bytes: Buffer.alloc(44),
+      config: { languageCode: "en-IN" },
+    }),
+    /Local STT command failed/
+  );
+});
+
+test("unknown providers and unconfigured local engines are refused", () => {
+  assert.throws(
+    () => createSttProvider({ provider: "azure" }),
+    /Unknown STT provider/
+  );
+  assert.throws(
+    () => createSttProvider({ provider: "local" }),
+    /STT_LOCAL_URL/
+  );
+  assert.equal(createSttProvider({ googleClient: null }).ready, false);
+});
+
+for (const name of ["test.wav", "test-audio.3gp"]) {
+  test(
+    `live Google recognition of ${name}`,
+    {
+      skip: !googleCredentials
+        ? "needs GOOGLE_APPLICATION_CREDENTIALS_JSON"
+        : name.endsWith(".3gp") && noFfmpeg && "no ffmpeg binary",
+    },
+    async (t) => {
+      const credentials = JSON.parse(googleCredentials);
+      const client = new speech.SpeechClient({
+        credentials: {
+          client_email: credentials.client_email,
+          private_key: credentials.private_key,
+        },
+        projectId: credentials.project_id,
+      });
+      const result = await transcribeAudioFile(fixture(t, name), {
+        provider: createGoogleSttProvider(client),
+        languageCode: "en-IN",
+        alternativeLanguageCodes: ["en-IN", "hi-IN", "pa-IN"],
+      });
+      assert.equal(typeof result.text, "string");
+      assert.ok(
+        ["English", "Hindi", "Punjabi"].includes(result.detectedLanguage)
+      );
+    }
+  );
+}